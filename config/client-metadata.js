@@ -0,0 +1,253 @@
+/**
+ * Client Metadata Configuration
+ *
+ * Reads the client metadata fields deployments can customize (name, logo,
+ * terms of service, privacy policy and redirect URIs), validates them, and
+ * loads the documents served at /tos and /policy.
+ *
+ * When PUBLIC_URL is a loopback address (http://127.0.0.1 or http://localhost)
+ * the app runs as an ATProto loopback client for local development: its
+ * metadata is derived from the client_id by the authorization server, so
+ * only the redirect URIs and scope apply.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { marked } = require('marked');
+
+const DEFAULT_CLIENT_NAME = 'ATProto OAuth Example';
+
+// Documents served by the app when a file is configured instead of an external URI
+const DOCUMENTS = {
+    tos: { fileVar: 'TOS_FILE', uriVar: 'OAUTH_TOS_URI', field: 'tos_uri', title: 'Terms of Service' },
+    policy: { fileVar: 'POLICY_FILE', uriVar: 'OAUTH_POLICY_URI', field: 'policy_uri', title: 'Privacy Policy' }
+};
+
+const DEFAULT_CALLBACK_PATH = '/oauth/callback';
+
+// Hostnames of loopback development clients
+const LOOPBACK_HOSTNAMES = ['127.0.0.1', 'localhost', '[::1]'];
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+const HTML_EXTENSIONS = ['.html', '.htm'];
+
+/**
+ * Split a space or comma separated list
+ * @param {string} [value] - List from an environment variable
+ * @returns {Array<string>}
+ */
+function splitList(value) {
+    return (value || '').split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * Check whether the app runs as a loopback development client
+ * @param {string} publicUrl - The public URL of this application
+ * @returns {boolean}
+ */
+function isLoopbackUrl(publicUrl) {
+    try {
+        const url = new URL(publicUrl);
+        return url.protocol === 'http:' && LOOPBACK_HOSTNAMES.includes(url.hostname);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Get the origin redirect URIs are registered on
+ * Loopback redirect URIs must use an IP address rather than "localhost" (RFC 8252).
+ * @param {string} publicUrl - The public URL of this application
+ * @returns {string}
+ */
+function getRedirectOrigin(publicUrl) {
+    const url = new URL(publicUrl);
+    if (isLoopbackUrl(publicUrl) && url.hostname === 'localhost') {
+        url.hostname = '127.0.0.1';
+    }
+    return url.origin;
+}
+
+/**
+ * Get the redirect URIs to register (the first one is used for logins)
+ * @param {string} publicUrl - The public URL of this application
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Array<string>}
+ */
+function getRedirectUris(publicUrl, env = process.env) {
+    const uris = splitList(env.OAUTH_REDIRECT_URIS);
+    return uris.length > 0 ? uris : [`${getRedirectOrigin(publicUrl)}${DEFAULT_CALLBACK_PATH}`];
+}
+
+/**
+ * Get the paths the OAuth callback is served on
+ * Redirect URIs share PUBLIC_URL's origin, so their paths are enough to route them.
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Array<string>}
+ */
+function getCallbackPaths(env = process.env) {
+    const paths = new Set([DEFAULT_CALLBACK_PATH]);
+    for (const uri of splitList(env.OAUTH_REDIRECT_URIS)) {
+        try {
+            paths.add(new URL(uri).pathname);
+        } catch {
+            // Reported at startup by validateClientMetadataConfig
+        }
+    }
+    return [...paths];
+}
+
+/**
+ * Get the configurable client metadata fields
+ * Unset optional fields are left out rather than pointing at pages that don't exist.
+ * @param {string} publicUrl - The public URL of this application
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {{client_name: string, redirect_uris: Array<string>, logo_uri?: string, tos_uri?: string, policy_uri?: string}}
+ */
+function getClientMetadataConfig(publicUrl, env = process.env) {
+    const config = {
+        client_name: env.OAUTH_CLIENT_NAME || DEFAULT_CLIENT_NAME,
+        redirect_uris: getRedirectUris(publicUrl, env)
+    };
+
+    if (env.OAUTH_LOGO_URI) {
+        config.logo_uri = env.OAUTH_LOGO_URI;
+    }
+
+    for (const [name, { fileVar, uriVar, field }] of Object.entries(DOCUMENTS)) {
+        if (env[uriVar]) {
+            config[field] = env[uriVar];
+        } else if (env[fileVar]) {
+            config[field] = `${publicUrl}/${name}`;
+        }
+    }
+
+    return config;
+}
+
+/**
+ * Validate the configured client metadata
+ * The OAuth spec requires every URI to be on the same origin as the client_id.
+ * Loopback clients only publish redirect URIs, which must be on the loopback IP.
+ * @param {string} publicUrl - The public URL of this application
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {{valid: boolean, error?: string}}
+ */
+function validateClientMetadataConfig(publicUrl, env = process.env) {
+    let origin;
+    try {
+        origin = getRedirectOrigin(publicUrl);
+    } catch {
+        return { valid: false, error: `PUBLIC_URL is not a valid URL: ${publicUrl}` };
+    }
+
+    const uris = getRedirectUris(publicUrl, env).map(uri => ['OAUTH_REDIRECT_URIS', uri]);
+    if (!isLoopbackUrl(publicUrl)) {
+        uris.push(
+            ['OAUTH_LOGO_URI', env.OAUTH_LOGO_URI],
+            ['OAUTH_TOS_URI', env.OAUTH_TOS_URI],
+            ['OAUTH_POLICY_URI', env.OAUTH_POLICY_URI]
+        );
+    }
+
+    for (const [name, uri] of uris) {
+        if (!uri) continue;
+
+        let url;
+        try {
+            url = new URL(uri);
+        } catch {
+            return { valid: false, error: `${name} contains an invalid URI: ${uri}` };
+        }
+        if (url.origin !== origin) {
+            return { valid: false, error: `${name} must be on the same origin as PUBLIC_URL (${origin}): ${uri}` };
+        }
+    }
+
+    for (const { fileVar } of Object.values(DOCUMENTS)) {
+        const file = env[fileVar];
+        if (!file) continue;
+
+        const extension = path.extname(file).toLowerCase();
+        if (!MARKDOWN_EXTENSIONS.includes(extension) && !HTML_EXTENSIONS.includes(extension)) {
+            return { valid: false, error: `${fileVar} must be a Markdown (.md) or HTML (.html) file: ${file}` };
+        }
+        if (!fs.existsSync(file)) {
+            return { valid: false, error: `${fileVar} not found: ${file}` };
+        }
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Render a document for /tos or /policy
+ * HTML files are served as they are; Markdown is rendered into a page styled like the app.
+ * @param {string} file - Path to a Markdown or HTML file
+ * @param {string} title - Page title
+ * @param {string} clientName - App name for the page title
+ * @returns {string} HTML page
+ */
+function renderDocument(file, title, clientName) {
+    const content = fs.readFileSync(file, 'utf8');
+    if (HTML_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+        return content;
+    }
+
+    // The file is written by the operator, so its inline HTML is trusted
+    return `<!DOCTYPE html>
+<html lang="en">
+
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)} - ${escapeHtml(clientName)}</title>
+  <link rel="stylesheet" href="/css/styles.css">
+</head>
+
+<body>
+  <article class="card document">
+${marked.parse(content)}
+  </article>
+</body>
+
+</html>
+`;
+}
+
+/**
+ * Load the documents served at /tos and /policy
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {{tos?: string, policy?: string}} Rendered HTML for each configured document
+ */
+function loadDocuments(env = process.env) {
+    const clientName = env.OAUTH_CLIENT_NAME || DEFAULT_CLIENT_NAME;
+    const documents = {};
+
+    for (const [name, { fileVar, title }] of Object.entries(DOCUMENTS)) {
+        if (env[fileVar]) {
+            documents[name] = renderDocument(env[fileVar], title, clientName);
+        }
+    }
+
+    return documents;
+}
+
+module.exports = {
+    isLoopbackUrl,
+    getRedirectOrigin,
+    getRedirectUris,
+    getCallbackPaths,
+    getClientMetadataConfig,
+    validateClientMetadataConfig,
+    loadDocuments
+};
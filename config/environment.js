@@ -5,6 +5,9 @@
  * at application startup.
  */
 
+const { getRequestedScope } = require('./scopes');
+const { isLoopbackUrl, getRedirectOrigin, validateClientMetadataConfig } = require('./client-metadata');
+
 function validateEnvironment() {
     const required = ['COOKIE_SECRET', 'PUBLIC_URL'];
     const missing = required.filter(key => !process.env[key]);
@@ -28,8 +31,32 @@ function validateEnvironment() {
         process.exit(1);
     }
 
-    // Warn if using HTTP in production (not localhost)
-    if (process.env.PUBLIC_URL.startsWith('http://') && !process.env.PUBLIC_URL.includes('localhost') && !process.env.PUBLIC_URL.includes('127.0.0.1')) {
+    // Validate the client metadata URIs and documents
+    const metadata = validateClientMetadataConfig(process.env.PUBLIC_URL);
+    if (!metadata.valid) {
+        console.error(`❌ ${metadata.error}`);
+        process.exit(1);
+    }
+
+    // Validate the OAuth scope preset
+    try {
+        getRequestedScope();
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    }
+
+    // A loopback PUBLIC_URL runs the app as a development client (no tunnel or keys needed)
+    if (isLoopbackUrl(process.env.PUBLIC_URL)) {
+        console.log('🧪 Running as an ATProto loopback client for local development');
+
+        // Logins finish on the loopback IP, where the session cookie is set
+        const origin = getRedirectOrigin(process.env.PUBLIC_URL);
+        if (origin !== new URL(process.env.PUBLIC_URL).origin) {
+            console.warn(`⚠️  Open the app at ${origin}: loopback redirect URIs can't use "localhost", so logins return there.`);
+        }
+    } else if (process.env.PUBLIC_URL.startsWith('http://')) {
+        // Warn if using HTTP in production
         console.warn('⚠️  WARNING: PUBLIC_URL is using HTTP instead of HTTPS. This is insecure for production!');
     }
 }
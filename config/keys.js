@@ -0,0 +1,193 @@
+/**
+ * Signing Key Set
+ *
+ * keys.json (or KEYS_JSON) holds a set of ES256 key pairs so the client's
+ * signing key can be rotated without logging everyone out:
+ *
+ *   {
+ *     "signingKid": "key-2",
+ *     "keys": [
+ *       { "privateJwk": {...}, "publicJwk": {...}, "retiredAt": "...", "expiresAt": "..." },
+ *       { "privateJwk": {...}, "publicJwk": {...} }
+ *     ]
+ *   }
+ *
+ * New logins are signed with the signing key. A new key is published first and
+ * only promoted to signing key once authorization servers have refreshed their
+ * cached copies of the metadata and JWKS; otherwise they would reject client
+ * assertions signed with a kid they don't know yet. Every OAuth session keeps
+ * using the key it was created with, so older keys stay published in the
+ * client metadata until their grace period (expiresAt) ends.
+ * The original single-key format ({ privateJwk, publicJwk }) is still accepted.
+ */
+
+// How long a retired key stays published by default
+const DEFAULT_GRACE_DAYS = 30;
+
+const KID_PATTERN = /^key-(\d+)$/;
+
+// JWK members that hold private key material (EC/OKP "d", RSA factors, symmetric "k")
+const PRIVATE_JWK_FIELDS = ['d', 'p', 'q', 'dp', 'dq', 'qi', 'oth', 'k'];
+
+/**
+ * Normalize and validate a parsed keys.json
+ * @param {Object} raw - Parsed keys.json, in the key set or single-key format
+ * @returns {{signingKid: string, keys: Array<{privateJwk: Object, publicJwk: Object, retiredAt?: string, expiresAt?: string}>}}
+ * @throws {Error} If the key set is malformed
+ */
+function normalizeKeySet(raw) {
+    if (!raw || typeof raw !== 'object') {
+        throw new Error('Key set must be a JSON object');
+    }
+
+    // Single key pair from before rotation was supported
+    const keySet = raw.keys ? raw : { signingKid: raw.privateJwk?.kid, keys: [raw] };
+
+    if (!Array.isArray(keySet.keys) || keySet.keys.length === 0) {
+        throw new Error('Key set has no keys');
+    }
+
+    const kids = new Set();
+    for (const entry of keySet.keys) {
+        const kid = entry?.privateJwk?.kid;
+        if (!kid || entry.publicJwk?.kid !== kid) {
+            throw new Error('Every key needs a privateJwk and publicJwk with the same "kid"');
+        }
+        if (kids.has(kid)) {
+            throw new Error(`Duplicate key id "${kid}"`);
+        }
+        kids.add(kid);
+    }
+
+    const signingKey = keySet.keys.find(entry => entry.privateJwk.kid === keySet.signingKid);
+    if (!signingKey) {
+        throw new Error(`Signing key "${keySet.signingKid}" is not in the key set`);
+    }
+    if (signingKey.retiredAt) {
+        throw new Error(`Signing key "${keySet.signingKid}" is retired`);
+    }
+
+    return { signingKid: keySet.signingKid, keys: keySet.keys };
+}
+
+/**
+ * List the keys to publish and load, signing key first
+ * Retired keys are dropped once their grace period has ended.
+ * @param {Object} keySet - Normalized key set
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Array<{privateJwk: Object, publicJwk: Object}>}
+ */
+function getActiveKeys(keySet, now = new Date()) {
+    const active = keySet.keys.filter(entry => !entry.expiresAt || new Date(entry.expiresAt) > now);
+
+    // The OAuth client signs new logins with the first key that fits
+    return [
+        ...active.filter(entry => entry.privateJwk.kid === keySet.signingKid),
+        ...active.filter(entry => entry.privateJwk.kid !== keySet.signingKid)
+    ];
+}
+
+/**
+ * Build the public JWKS to publish for the active keys
+ * @param {Array<Object>} activeKeys - Key pairs from getActiveKeys
+ * @returns {{keys: Array<Object>}}
+ */
+function getPublicJwks(activeKeys) {
+    return { keys: activeKeys.map(entry => entry.publicJwk) };
+}
+
+/**
+ * Make sure a JWKS holds public key material only
+ * @param {{keys: Array<Object>}} jwks - JWKS about to be published
+ * @throws {Error} If any key has a private member
+ */
+function assertPublicJwks(jwks) {
+    for (const jwk of jwks.keys) {
+        const leaked = PRIVATE_JWK_FIELDS.filter(field => Object.hasOwn(jwk, field));
+        if (leaked.length > 0) {
+            throw new Error(`Published key "${jwk.kid}" contains private key material (${leaked.join(', ')})`);
+        }
+    }
+}
+
+/**
+ * Pick the key id for a new key ("key-1", "key-2", ...)
+ * @param {Object} [keySet] - Normalized key set, if there is one
+ * @returns {string}
+ */
+function nextKid(keySet) {
+    const numbers = (keySet?.keys || [])
+        .map(entry => KID_PATTERN.exec(entry.privateJwk.kid))
+        .filter(Boolean)
+        .map(match => Number(match[1]));
+
+    return `key-${Math.max(0, ...numbers) + 1}`;
+}
+
+/**
+ * Add a key pair to publish, without signing with it yet
+ * @param {Object} keySet - Normalized key set
+ * @param {{privateJwk: Object, publicJwk: Object}} pair - Key pair with a new kid
+ * @returns {Object} Updated key set
+ */
+function addKey(keySet, pair) {
+    return normalizeKeySet({
+        signingKid: keySet.signingKid,
+        keys: [...keySet.keys, pair]
+    });
+}
+
+/**
+ * Make a published key the signing key
+ * Only promote a key once caches of the metadata and JWKS that lack it have expired.
+ * @param {Object} keySet - Normalized key set
+ * @param {string} kid - Key to sign new logins with
+ * @returns {Object} Updated key set
+ * @throws {Error} If the key doesn't exist or is retired
+ */
+function promoteKey(keySet, kid) {
+    return normalizeKeySet({ signingKid: kid, keys: keySet.keys });
+}
+
+/**
+ * Retire a key, keeping it published for a grace period
+ * The signing key can't be retired; add and promote a new key first.
+ * @param {Object} keySet - Normalized key set
+ * @param {string} kid - Key to retire
+ * @param {number} [graceDays=DEFAULT_GRACE_DAYS] - Days the key stays published
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Object} Updated key set
+ * @throws {Error} If the key doesn't exist, is already retired or is the signing key
+ */
+function retireKey(keySet, kid, graceDays = DEFAULT_GRACE_DAYS, now = new Date()) {
+    const entry = keySet.keys.find(key => key.privateJwk.kid === kid);
+    if (!entry) {
+        throw new Error(`Key "${kid}" is not in the key set`);
+    }
+    if (entry.retiredAt) {
+        throw new Error(`Key "${kid}" is already retired`);
+    }
+    if (kid === keySet.signingKid) {
+        throw new Error(`Key "${kid}" is the signing key; add and promote a new key before retiring it`);
+    }
+
+    const expiresAt = new Date(now.getTime() + graceDays * 24 * 60 * 60 * 1000);
+    return normalizeKeySet({
+        signingKid: keySet.signingKid,
+        keys: keySet.keys.map(key => key === entry
+            ? { ...key, retiredAt: now.toISOString(), expiresAt: expiresAt.toISOString() }
+            : key)
+    });
+}
+
+module.exports = {
+    DEFAULT_GRACE_DAYS,
+    normalizeKeySet,
+    getActiveKeys,
+    getPublicJwks,
+    assertPublicJwks,
+    nextKid,
+    addKey,
+    promoteKey,
+    retireKey
+};
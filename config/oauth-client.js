@@ -2,61 +2,103 @@
  * OAuth Client Configuration
  *
  * Creates and configures the ATProto OAuth client with proper metadata
- * and key management.
+ * and key management. A loopback PUBLIC_URL runs it as a public loopback
+ * client for local development, without keys.
  */
 
 const { JoseKey } = require('@atproto/jwk-jose');
-const { NodeOAuthClient } = require('@atproto/oauth-client-node');
+const { NodeOAuthClient, buildAtprotoLoopbackClientMetadata } = require('@atproto/oauth-client-node');
+const { getRequestedScope } = require('./scopes');
+const { getActiveKeys, getPublicJwks, assertPublicJwks } = require('./keys');
+const { isLoopbackUrl, getRedirectUris, getClientMetadataConfig } = require('./client-metadata');
 
 /**
  * Create client metadata for OAuth
  * @param {string} publicUrl - The public URL of this application
- * @param {Object} keys - Keys object with publicJwk
+ * @param {{keys: Array<Object>}} jwks - Public JWKS (from getPublicJwks)
+ * @param {Object} [options]
+ * @param {boolean} [options.jwksUri=false] - Link to /jwks.json instead of embedding the keys,
+ *   so key changes don't change the client metadata
  * @returns {Object} Client metadata for OAuth
  */
-function createClientMetadata(publicUrl, keys) {
+function createClientMetadata(publicUrl, jwks, { jwksUri = false } = {}) {
     return {
         client_id: `${publicUrl}/client-metadata.json`,
-        client_name: 'ATProto OAuth Example',
         client_uri: publicUrl,
-        logo_uri: `${publicUrl}/logo.png`, // Optional
-        tos_uri: `${publicUrl}/tos`, // Optional
-        policy_uri: `${publicUrl}/policy`, // Optional
-        redirect_uris: [`${publicUrl}/oauth/callback`],
+        // Name, logo, terms of service, privacy policy and redirect URIs
+        ...getClientMetadataConfig(publicUrl),
         grant_types: ['authorization_code', 'refresh_token'],
         response_types: ['code'],
-        scope: 'atproto transition:generic', // Standard scope for now
+        scope: getRequestedScope(), // Every scope requested at login must be listed here
         token_endpoint_auth_method: 'private_key_jwt',
         token_endpoint_auth_signing_alg: 'ES256',
         dpop_bound_access_tokens: true,
-        jwks: {
-            keys: [keys.publicJwk]
-        }
+        // Retired keys stay listed until sessions created with them have had time to end
+        ...(jwksUri ? { jwks_uri: `${publicUrl}/jwks.json` } : { jwks })
     };
 }
 
+/**
+ * Create client metadata for a loopback development client
+ * The client_id ("http://localhost?redirect_uri=...&scope=...") carries the
+ * redirect URIs and scope; the client authenticates with no keys ("none").
+ * @param {string} publicUrl - Loopback URL of this application
+ * @returns {Object} Client metadata for OAuth
+ */
+function createLoopbackClientMetadata(publicUrl) {
+    return buildAtprotoLoopbackClientMetadata({
+        scope: getRequestedScope(),
+        redirect_uris: getRedirectUris(publicUrl)
+    });
+}
+
 /**
  * Create and configure OAuth client
- * @param {Object} keys - Keys object with privateJwk
+ * @param {Object|null} keys - Normalized key set (from loadKeys); null for a loopback client
  * @param {string} publicUrl - The public URL of this application
  * @param {Object} stateStore - Store for OAuth state
  * @param {Object} sessionStore - Store for OAuth sessions
  * @param {Function} requestLock - Lock function for token refresh coordination
- * @returns {Promise<{oauthClient: NodeOAuthClient, clientMetadata: Object}>}
+ * @returns {Promise<{oauthClient: NodeOAuthClient, clientMetadata: Object, jwks: Object|null}>}
+ * @throws {Error} If private key material would be published
  */
 async function createOAuthClient(keys, publicUrl, stateStore, sessionStore, requestLock) {
-    const privateKey = await JoseKey.fromJWK(keys.privateJwk);
-    const clientMetadata = createClientMetadata(publicUrl, keys);
+    if (isLoopbackUrl(publicUrl)) {
+        const clientMetadata = createLoopbackClientMetadata(publicUrl);
+        const oauthClient = new NodeOAuthClient({
+            clientMetadata,
+            stateStore,
+            sessionStore,
+            requestLock,
+        });
+
+        return { oauthClient, clientMetadata, jwks: null };
+    }
+
+    const activeKeys = getActiveKeys(keys);
+    const jwks = getPublicJwks(activeKeys);
+    const clientMetadata = createClientMetadata(publicUrl, jwks, {
+        jwksUri: process.env.OAUTH_JWKS_URI === 'true'
+    });
+
+    // Both /jwks.json and /client-metadata.json are public: refuse to start if either would leak a private key
+    assertPublicJwks(jwks);
+    if (clientMetadata.jwks) {
+        assertPublicJwks(clientMetadata.jwks);
+    }
+
+    // Signing key first: new logins use it, existing sessions keep the key they started with
+    const keyset = await Promise.all(activeKeys.map(entry => JoseKey.fromJWK(entry.privateJwk)));
 
     const oauthClient = new NodeOAuthClient({
         clientMetadata,
-        keyset: [privateKey],
+        keyset,
         stateStore,
         sessionStore,
         requestLock,
     });
 
-    return { oauthClient, clientMetadata };
+    return { oauthClient, clientMetadata, jwks };
 }
 
-module.exports = { createOAuthClient };
+module.exports = { createClientMetadata, createLoopbackClientMetadata, createOAuthClient };
@@ -0,0 +1,133 @@
+/**
+ * OAuth Scope Configuration
+ *
+ * Single source for the scopes this app requests at login, and helpers for
+ * checking what a granted scope string allows. Deployments pick a preset with
+ * OAUTH_SCOPE_PRESET and can add scopes with OAUTH_EXTRA_SCOPES.
+ */
+
+const CHAT_SCOPE = 'transition:chat.bsky';
+const APPVIEW_AUDIENCE = 'did:web:api.bsky.app%23bsky_appview';
+
+// Read access to the Bluesky AppView (timeline, profiles, threads, notifications, search)
+const READ_SCOPE = `rpc:*?aud=${APPVIEW_AUDIENCE}`;
+
+const SCOPE_PRESETS = {
+    // Everything the app can do: posting, likes, reposts, follows and image uploads
+    generic: 'atproto transition:generic',
+    // Browse only; every write route answers 403
+    'read-only': `atproto ${READ_SCOPE}`,
+    // Browse, write and edit posts (with images), but no likes, reposts or follows
+    posting: `atproto ${READ_SCOPE} repo:app.bsky.feed.post blob:image/*`
+};
+
+const DEFAULT_PRESET = 'generic';
+
+// Repo actions granted when a repo scope doesn't list any
+const REPO_ACTIONS = ['create', 'update', 'delete'];
+
+/**
+ * Build the scope string to request at login
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {string} Space-separated scopes
+ * @throws {Error} If OAUTH_SCOPE_PRESET names an unknown preset
+ */
+function getRequestedScope(env = process.env) {
+    const preset = env.OAUTH_SCOPE_PRESET || DEFAULT_PRESET;
+    if (!Object.hasOwn(SCOPE_PRESETS, preset)) {
+        throw new Error(`Unknown OAUTH_SCOPE_PRESET "${preset}" (expected one of: ${Object.keys(SCOPE_PRESETS).join(', ')})`);
+    }
+
+    // Chat is opt-in: deployments that want it add transition:chat.bsky here
+    const extra = env.OAUTH_EXTRA_SCOPES || '';
+    const scopes = [...SCOPE_PRESETS[preset].split(' '), ...extra.split(/\s+/).filter(Boolean)];
+
+    // De-duplicate while keeping the order (atproto must come first)
+    return [...new Set(scopes)].join(' ');
+}
+
+/**
+ * Split a scope token into its resource, positional value and query parameters
+ * e.g. "repo:app.bsky.feed.post?action=create" or "repo?collection=app.bsky.feed.like"
+ * @param {string} token - A single scope
+ * @returns {{resource: string, positional?: string, params: URLSearchParams}}
+ */
+function parseScopeToken(token) {
+    const [name, query = ''] = token.split('?', 2);
+    const colon = name.indexOf(':');
+
+    return {
+        resource: colon === -1 ? name : name.slice(0, colon),
+        positional: colon === -1 ? undefined : decodeURIComponent(name.slice(colon + 1)),
+        params: new URLSearchParams(query)
+    };
+}
+
+/**
+ * Check whether a MIME type matches an accept pattern such as "image/*"
+ * @param {string} pattern - Accept pattern
+ * @param {string} mimeType - MIME type to check
+ * @returns {boolean}
+ */
+function matchesMimeType(pattern, mimeType) {
+    if (pattern === '*/*' || pattern === mimeType) {
+        return true;
+    }
+    return pattern.endsWith('/*') && mimeType.startsWith(pattern.slice(0, -1));
+}
+
+/**
+ * Check whether a granted scope string allows a permission
+ * @param {string} scope - Space-separated granted scopes
+ * @param {Object} permission - What the route needs
+ * @param {string} [permission.collection] - Repo collection written to (with permission.action)
+ * @param {string} [permission.action] - Repo action: create, update or delete
+ * @param {string} [permission.blob] - MIME type of an uploaded blob
+ * @param {boolean} [permission.chat] - Access to the chat service
+ * @returns {boolean}
+ */
+function grantsPermission(scope, permission) {
+    const tokens = (scope || '').split(' ').filter(Boolean);
+
+    if (permission.chat) {
+        return tokens.includes(CHAT_SCOPE);
+    }
+
+    // transition:generic covers every repo write and blob upload
+    if (tokens.includes('transition:generic')) {
+        return true;
+    }
+
+    return tokens.map(parseScopeToken).some(({ resource, positional, params }) => {
+        if (permission.blob) {
+            if (resource !== 'blob') return false;
+            const accept = positional ? [positional] : params.getAll('accept');
+            return accept.some(pattern => matchesMimeType(pattern, permission.blob));
+        }
+
+        if (resource !== 'repo') return false;
+        const collections = positional ? [positional] : params.getAll('collection');
+        const actions = params.getAll('action');
+
+        return (collections.includes('*') || collections.includes(permission.collection)) &&
+            (actions.length === 0 ? REPO_ACTIONS : actions).includes(permission.action);
+    });
+}
+
+/**
+ * Find the configured scopes that would grant a permission, for a step-up login
+ * @param {Object} permission - Permission for grantsPermission
+ * @returns {string|null} Space-separated scopes, or null if this deployment never requests the permission
+ */
+function getUpgradeScope(permission) {
+    const tokens = getRequestedScope().split(' ').filter(token => grantsPermission(token, permission));
+    return tokens.length > 0 ? tokens.join(' ') : null;
+}
+
+module.exports = {
+    CHAT_SCOPE,
+    SCOPE_PRESETS,
+    getRequestedScope,
+    grantsPermission,
+    getUpgradeScope
+};
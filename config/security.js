@@ -8,6 +8,9 @@ const rateLimit = require('express-rate-limit');
 const { doubleCsrf } = require('csrf-csrf');
 const fs = require('fs');
 const path = require('path');
+const { getActiveSession } = require('../utils/accounts');
+const { normalizeKeySet } = require('./keys');
+const { isLoopbackUrl } = require('./client-metadata');
 
 /**
  * Login Rate Limiter
@@ -34,10 +37,41 @@ const postLimiter = rateLimit({
 });
 
 /**
- * Load cryptographic keys from KEYS_JSON env var or keys.json file
- * @returns {Object} Keys object with privateJwk and publicJwk
+ * Interaction Rate Limiter
+ * Prevents like/repost spam (toggling is cheap, so this is looser than posting)
  */
-function loadKeys() {
+const interactionLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    limit: 300, // Limit each IP to 300 likes/reposts per hour
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: 'You are doing that too fast.'
+});
+
+/**
+ * Login Suggestion Rate Limiter
+ * Handle typeahead on the login form is unauthenticated, so it is limited per IP
+ */
+const suggestLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    limit: 60, // Limit each IP to 60 lookups per minute (the form waits for typing to pause)
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: 'Too many lookups, please slow down.'
+});
+
+/**
+ * Load the signing key set from KEYS_JSON env var or keys.json file
+ * @param {string} publicUrl - The public URL of this application
+ * @returns {Object|null} Normalized key set with signingKid and keys (see config/keys.js),
+ *   or null for a loopback development client, which doesn't sign anything
+ */
+function loadKeys(publicUrl) {
+    if (isLoopbackUrl(publicUrl)) {
+        console.log('🔑 Loopback development client: no keys needed');
+        return null;
+    }
+
     let keys;
 
     if (process.env.KEYS_JSON) {
@@ -58,7 +92,12 @@ function loadKeys() {
         console.log('🔑 Loaded keys from local keys.json file');
     }
 
-    return keys;
+    try {
+        return normalizeKeySet(keys);
+    } catch (err) {
+        console.error(`❌ Invalid key set: ${err.message}`);
+        process.exit(1);
+    }
 }
 
 /**
@@ -71,7 +110,7 @@ function setupCsrf() {
         doubleCsrfProtection,
     } = doubleCsrf({
         getSecret: () => process.env.COOKIE_SECRET,
-        getSessionIdentifier: (req) => req.signedCookies?.user_did || "anon",
+        getSessionIdentifier: (req) => getActiveSession(req)?.id || "anon",
         cookieName: "x-csrf-token",
         cookieOptions: {
             httpOnly: true,
@@ -90,6 +129,8 @@ function setupCsrf() {
 module.exports = {
     loginLimiter,
     postLimiter,
+    interactionLimiter,
+    suggestLimiter,
     loadKeys,
     setupCsrf
 };
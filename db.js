@@ -1,14 +1,29 @@
 const Database = require('better-sqlite3');
 const { createClient } = require('redis');
 const path = require('path');
+const crypto = require('crypto');
+
+// Entry lifetimes (in milliseconds)
+// State only has to survive the round-trip to the PDS and back.
+const STATE_TTL = 60 * 60 * 1000; // 1 hour
+// Sessions live as long as the refresh token they hold (confidential clients get 90 days).
+// Every token refresh re-writes the session, so this is a sliding window.
+const SESSION_TTL = 90 * 24 * 60 * 60 * 1000; // 90 days
+// Browser sessions end after a period of inactivity, or a fixed time after sign-in
+const BROWSER_SESSION_IDLE_TIMEOUT = 7 * 24 * 60 * 60 * 1000; // 7 days
+const BROWSER_SESSION_ABSOLUTE_TIMEOUT = 30 * 24 * 60 * 60 * 1000; // 30 days
+// How often the SQLite sweeper deletes expired rows
+const SWEEP_INTERVAL = 5 * 60 * 1000; // 5 minutes
 
 // Factory to create a store interface
-const createStore = (redisClient, sqliteDb, tableName) => {
+// ttl (ms) is optional - entries without one never expire
+const createStore = (redisClient, sqliteDb, tableName, ttl) => {
     if (redisClient) {
-        // Redis Implementation
+        // Redis Implementation (expiry handled by Redis itself)
         return {
             async set(key, val) {
-                await redisClient.set(key, JSON.stringify(val));
+                const options = ttl ? { PX: ttl } : undefined;
+                await redisClient.set(key, JSON.stringify(val), options);
             },
             async get(key) {
                 const val = await redisClient.get(key);
@@ -22,13 +37,16 @@ const createStore = (redisClient, sqliteDb, tableName) => {
         // SQLite Implementation
         return {
             async set(key, val) {
-                const stmt = sqliteDb.prepare(`INSERT OR REPLACE INTO ${tableName} (key, value) VALUES (?, ?)`);
-                stmt.run(key, JSON.stringify(val));
+                const expiresAt = ttl ? Date.now() + ttl : null;
+                const stmt = sqliteDb.prepare(`INSERT OR REPLACE INTO ${tableName} (key, value, expires_at) VALUES (?, ?, ?)`);
+                stmt.run(key, JSON.stringify(val), expiresAt);
             },
             async get(key) {
-                const stmt = sqliteDb.prepare(`SELECT value FROM ${tableName} WHERE key = ?`);
+                const stmt = sqliteDb.prepare(`SELECT value, expires_at FROM ${tableName} WHERE key = ?`);
                 const row = stmt.get(key);
                 if (!row) return undefined;
+                // Expired rows are treated as missing until the sweeper removes them
+                if (row.expires_at !== null && row.expires_at <= Date.now()) return undefined;
                 return JSON.parse(row.value);
             },
             async del(key) {
@@ -39,6 +57,147 @@ const createStore = (redisClient, sqliteDb, tableName) => {
     }
 };
 
+// When a browser session expires: whichever timeout comes first
+const browserSessionExpiry = (session) => Math.min(
+    session.lastSeenAt + BROWSER_SESSION_IDLE_TIMEOUT,
+    session.createdAt + BROWSER_SESSION_ABSOLUTE_TIMEOUT
+);
+
+// Factory to create the browser session store
+// Sessions are { id, did, createdAt, lastSeenAt, ip, userAgent, scope } and can be listed per DID
+// scope is the OAuth scope the DID granted at its latest login (null if unknown)
+const createBrowserSessionStore = (redisClient, sqliteDb) => {
+    const newSession = ({ did, ip, userAgent, scope }) => {
+        const now = Date.now();
+        return {
+            id: crypto.randomBytes(32).toString('base64url'),
+            did,
+            createdAt: now,
+            lastSeenAt: now,
+            ip: ip || null,
+            userAgent: userAgent || null,
+            scope: scope || null
+        };
+    };
+
+    if (redisClient) {
+        // Redis Implementation
+        // browser_session:<id> holds the session, browser_sessions:<did> indexes IDs per DID
+        const sessionKey = (id) => `browser_session:${id}`;
+        const indexKey = (did) => `browser_sessions:${did}`;
+
+        const save = async (session) => {
+            const ttl = browserSessionExpiry(session) - Date.now();
+            await redisClient.set(sessionKey(session.id), JSON.stringify(session), { PX: Math.max(ttl, 1) });
+        };
+
+        const get = async (id) => {
+            const val = await redisClient.get(sessionKey(id));
+            return val ? JSON.parse(val) : undefined;
+        };
+
+        return {
+            async create(details) {
+                const session = newSession(details);
+                await save(session);
+                await redisClient.sAdd(indexKey(session.did), session.id);
+                await redisClient.pExpire(indexKey(session.did), BROWSER_SESSION_ABSOLUTE_TIMEOUT);
+                return session;
+            },
+            get,
+            async touch(id, { ip, userAgent } = {}) {
+                const session = await get(id);
+                if (!session) return undefined;
+                session.lastSeenAt = Date.now();
+                session.ip = ip || session.ip;
+                session.userAgent = userAgent || session.userAgent;
+                await save(session);
+                return session;
+            },
+            async listByDid(did) {
+                const ids = await redisClient.sMembers(indexKey(did));
+                const sessions = await Promise.all(ids.map(get));
+
+                // Drop index entries for sessions Redis has already expired
+                const expired = ids.filter((id, i) => !sessions[i]);
+                if (expired.length > 0) {
+                    await redisClient.sRem(indexKey(did), expired);
+                }
+
+                return sessions
+                    .filter(Boolean)
+                    .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+            },
+            async setScope(did, scope) {
+                const sessions = await this.listByDid(did);
+                await Promise.all(sessions.map(session => save({ ...session, scope })));
+            },
+            async del(id) {
+                const session = await get(id);
+                await redisClient.del(sessionKey(id));
+                if (session) {
+                    await redisClient.sRem(indexKey(session.did), id);
+                }
+            }
+        };
+    } else {
+        // SQLite Implementation
+        const fromRow = (row) => ({
+            id: row.id,
+            did: row.did,
+            createdAt: row.created_at,
+            lastSeenAt: row.last_seen_at,
+            ip: row.ip,
+            userAgent: row.user_agent,
+            scope: row.scope
+        });
+
+        return {
+            async create(details) {
+                const session = newSession(details);
+                const stmt = sqliteDb.prepare(`
+                    INSERT INTO browser_session (id, did, created_at, last_seen_at, ip, user_agent, scope, expires_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                `);
+                stmt.run(session.id, session.did, session.createdAt, session.lastSeenAt,
+                    session.ip, session.userAgent, session.scope, browserSessionExpiry(session));
+                return session;
+            },
+            async get(id) {
+                const stmt = sqliteDb.prepare('SELECT * FROM browser_session WHERE id = ? AND expires_at > ?');
+                const row = stmt.get(id, Date.now());
+                return row ? fromRow(row) : undefined;
+            },
+            async touch(id, { ip, userAgent } = {}) {
+                const session = await this.get(id);
+                if (!session) return undefined;
+                session.lastSeenAt = Date.now();
+                session.ip = ip || session.ip;
+                session.userAgent = userAgent || session.userAgent;
+                const stmt = sqliteDb.prepare(`
+                    UPDATE browser_session SET last_seen_at = ?, ip = ?, user_agent = ?, expires_at = ? WHERE id = ?
+                `);
+                stmt.run(session.lastSeenAt, session.ip, session.userAgent, browserSessionExpiry(session), id);
+                return session;
+            },
+            async listByDid(did) {
+                const stmt = sqliteDb.prepare(`
+                    SELECT * FROM browser_session WHERE did = ? AND expires_at > ? ORDER BY last_seen_at DESC
+                `);
+                return stmt.all(did, Date.now()).map(fromRow);
+            },
+            async setScope(did, scope) {
+                const stmt = sqliteDb.prepare('UPDATE browser_session SET scope = ? WHERE did = ?');
+                stmt.run(scope || null, did);
+            },
+            async del(id) {
+                const stmt = sqliteDb.prepare('DELETE FROM browser_session WHERE id = ?');
+                stmt.run(id);
+            }
+        };
+    }
+};
+
 // In-memory locks for SQLite mode (single instance only)
 const inMemoryLocks = new Map();
 
@@ -104,11 +263,32 @@ const createRequestLock = (redisClient) => {
     }
 };
 
+// Tables managed by createStore (SQLite mode)
+const SQLITE_TABLES = ['auth_state', 'auth_session', 'browser_session'];
+
+// Delete expired rows from all SQLite store tables
+// Returns the number of rows removed (always 0 in Redis mode, which expires keys itself)
+function sweepExpired() {
+    if (!sqliteDb) {
+        return 0;
+    }
+
+    const now = Date.now();
+    let removed = 0;
+    for (const table of SQLITE_TABLES) {
+        const stmt = sqliteDb.prepare(`DELETE FROM ${table} WHERE expires_at IS NOT NULL AND expires_at <= ?`);
+        removed += stmt.run(now).changes;
+    }
+    return removed;
+}
+
 let stateStore;
 let sessionStore;
+let browserSessionStore;
 let requestLock;
 let redisClient;
 let sqliteDb;
+let sweepTimer;
 let isInitialized = false;
 
 // Initialize database connection (must be called before using stores)
@@ -130,8 +310,9 @@ async function initialize() {
             await redisClient.connect();
             console.log('✅ Redis connected successfully');
 
-            stateStore = createStore(redisClient, null, null);
-            sessionStore = createStore(redisClient, null, null);
+            stateStore = createStore(redisClient, null, null, STATE_TTL);
+            sessionStore = createStore(redisClient, null, null, SESSION_TTL);
+            browserSessionStore = createBrowserSessionStore(redisClient, null);
             requestLock = createRequestLock(redisClient);
         } catch (err) {
             console.error('❌ Failed to connect to Redis:', err.message);
@@ -146,18 +327,53 @@ async function initialize() {
         sqliteDb.exec(`
         CREATE TABLE IF NOT EXISTS auth_state (
           key TEXT PRIMARY KEY,
-          value TEXT NOT NULL
+          value TEXT NOT NULL,
+          expires_at INTEGER
         );
 
         CREATE TABLE IF NOT EXISTS auth_session (
           key TEXT PRIMARY KEY,
-          value TEXT NOT NULL
+          value TEXT NOT NULL,
+          expires_at INTEGER
         );
+
+        CREATE TABLE IF NOT EXISTS browser_session (
+          id TEXT PRIMARY KEY,
+          did TEXT NOT NULL,
+          created_at INTEGER NOT NULL,
+          last_seen_at INTEGER NOT NULL,
+          ip TEXT,
+          user_agent TEXT,
+          scope TEXT,
+          expires_at INTEGER NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS browser_session_did ON browser_session (did);
       `);
 
-        stateStore = createStore(null, sqliteDb, 'auth_state');
-        sessionStore = createStore(null, sqliteDb, 'auth_session');
+        // Migrate databases created before entries had an expiry
+        for (const table of ['auth_state', 'auth_session']) {
+            const columns = sqliteDb.prepare(`PRAGMA table_info(${table})`).all();
+            if (!columns.some(column => column.name === 'expires_at')) {
+                sqliteDb.exec(`ALTER TABLE ${table} ADD COLUMN expires_at INTEGER`);
+            }
+        }
+
+        // Migrate databases created before browser sessions recorded the granted scope
+        const browserColumns = sqliteDb.prepare('PRAGMA table_info(browser_session)').all();
+        if (!browserColumns.some(column => column.name === 'scope')) {
+            sqliteDb.exec('ALTER TABLE browser_session ADD COLUMN scope TEXT');
+        }
+
+        stateStore = createStore(null, sqliteDb, 'auth_state', STATE_TTL);
+        sessionStore = createStore(null, sqliteDb, 'auth_session', SESSION_TTL);
+        browserSessionStore = createBrowserSessionStore(null, sqliteDb);
         requestLock = createRequestLock(null);
+
+        // Periodically prune expired rows (unref'd so it never keeps the process alive)
+        sweepExpired();
+        sweepTimer = setInterval(sweepExpired, SWEEP_INTERVAL);
+        sweepTimer.unref();
         console.log('✅ SQLite initialized successfully');
     }
 
@@ -170,6 +386,10 @@ async function close() {
         return;
     }
 
+    if (sweepTimer) {
+        clearInterval(sweepTimer);
+    }
+
     if (redisClient) {
         try {
             await redisClient.quit();
@@ -191,9 +411,11 @@ async function close() {
     isInitialized = false;
     stateStore = null;
     sessionStore = null;
+    browserSessionStore = null;
     requestLock = null;
     redisClient = null;
     sqliteDb = null;
+    sweepTimer = null;
 }
 
 // Health check for monitoring
@@ -224,6 +446,11 @@ module.exports = {
     initialize,
     close,
     healthCheck,
+    sweepExpired,
+    STATE_TTL,
+    SESSION_TTL,
+    BROWSER_SESSION_IDLE_TIMEOUT,
+    BROWSER_SESSION_ABSOLUTE_TIMEOUT,
     get stateStore() {
         if (!isInitialized) {
             throw new Error('Database not initialized. Call initialize() first.');
@@ -236,6 +463,12 @@ module.exports = {
         }
         return sessionStore;
     },
+    get browserSessionStore() {
+        if (!isInitialized) {
+            throw new Error('Database not initialized. Call initialize() first.');
+        }
+        return browserSessionStore;
+    },
     get requestLock() {
         if (!isInitialized) {
             throw new Error('Database not initialized. Call initialize() first.');
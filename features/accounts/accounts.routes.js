@@ -0,0 +1,70 @@
+/**
+ * Accounts Routes
+ *
+ * Handles switching between accounts signed in on the same browser:
+ * - GET /api/accounts - List linked accounts
+ * - POST /api/accounts/switch - Make a linked account active
+ */
+
+const express = require('express');
+const { getActiveDid, getLinkedDids, switchAccount, removeAccount } = require('../../utils/accounts');
+const { listAccounts } = require('./accounts.service');
+
+const router = express.Router();
+
+/**
+ * GET /api/accounts
+ * List accounts linked to this browser, marking the active one
+ */
+router.get('/accounts', async (req, res) => {
+    const dids = getLinkedDids(req);
+    if (dids.length === 0) {
+        return res.status(401).json({ error: 'Not logged in' });
+    }
+
+    const activeDid = getActiveDid(req);
+
+    try {
+        const { accounts, expiredDids } = await listAccounts(dids, activeDid, req.app.locals.oauthClient);
+
+        // Forget accounts whose OAuth session is gone
+        if (expiredDids.length > 0) {
+            for (const did of expiredDids) {
+                await removeAccount(req, res, did);
+            }
+            const nextActive = getActiveDid(req);
+            accounts.forEach(account => {
+                account.active = account.did === nextActive;
+            });
+        }
+
+        res.json({ accounts });
+    } catch (err) {
+        console.error('Accounts error:', err);
+        res.status(500).json({ error: 'Failed to fetch accounts' });
+    }
+});
+
+/**
+ * POST /api/accounts/switch
+ * Make another linked account active
+ * Body: { did }
+ */
+router.post('/accounts/switch', (req, res) => {
+    if (!getActiveDid(req)) {
+        return res.status(401).json({ error: 'Not logged in' });
+    }
+
+    const { did } = req.body;
+    if (!did || typeof did !== 'string') {
+        return res.status(400).json({ error: 'DID required' });
+    }
+
+    if (!switchAccount(req, res, did)) {
+        return res.status(404).json({ error: 'Account not linked' });
+    }
+
+    res.json({ success: true, activeDid: did });
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+/**
+ * Accounts Service
+ *
+ * Handles looking up the accounts linked to a browser.
+ */
+
+const { getAgent } = require('../../utils/agent');
+
+/**
+ * Get profile summaries for linked accounts
+ * @param {string[]} dids - Linked DIDs (active account first)
+ * @param {string} activeDid - Currently active DID
+ * @param {Object} oauthClient - OAuth client instance
+ * @returns {Promise<{accounts: Array, expiredDids: string[]}>} Accounts with a live session, and DIDs whose session is gone
+ */
+async function listAccounts(dids, activeDid, oauthClient) {
+    const results = await Promise.all(dids.map(async (did) => {
+        const agent = await getAgent(did, oauthClient);
+        if (!agent) {
+            return { did, expired: true };
+        }
+
+        try {
+            const profile = await agent.getProfile({ actor: did });
+            return {
+                did,
+                handle: profile.data.handle,
+                displayName: profile.data.displayName,
+                avatar: profile.data.avatar,
+                active: did === activeDid
+            };
+        } catch (err) {
+            // Session is valid but the profile lookup failed - still list the account
+            console.warn(`Failed to fetch profile for ${did}:`, err);
+            return { did, active: did === activeDid };
+        }
+    }));
+
+    return {
+        accounts: results.filter(result => !result.expired),
+        expiredDids: results.filter(result => result.expired).map(result => result.did)
+    };
+}
+
+module.exports = { listAccounts };
@@ -3,36 +3,96 @@
  *
  * Handles OAuth authentication endpoints:
  * - GET /login - Initiate OAuth flow
- * - GET /oauth/callback - Handle OAuth callback
- * - POST /logout - Logout and revoke tokens
+ * - GET /login/upgrade - Re-authorize the active account with extra scopes
+ * - GET /oauth/callback - Handle OAuth callback (also served on the path of every other redirect URI)
+ * - GET /oauth/error - Frontend error view for failed logins
+ * - POST /logout - Logout an account and revoke its tokens
  */
 
+const path = require('path');
 const express = require('express');
 const { loginLimiter } = require('../../config/security');
-const { initiateLogin, processCallback, logout, validateHandle } = require('./auth.service');
+const { getCallbackPaths } = require('../../config/client-metadata');
+const { getActiveSession, getActiveDid, getLinkedDids, addAccount, removeAccount } = require('../../utils/accounts');
+const {
+    LOGIN_ERRORS,
+    initiateLogin,
+    initiateUpgrade,
+    parseReturnTo,
+    processCallback,
+    logout,
+    validateLoginInput,
+    validateUpgradeScope,
+    validateReturnTo,
+    classifyLoginError,
+    loginErrorPath
+} = require('./auth.service');
 
 const router = express.Router();
 
 /**
  * GET /login
  * Initiate OAuth login flow
+ * Query params:
+ *   - handle: user's handle (a leading @ is fine), DID, or the https:// URL of their server
+ *   - returnTo: relative path to come back to after the callback (default: /)
  */
 router.get('/login', loginLimiter, async (req, res) => {
-    const handle = req.query.handle;
+    const { handle, returnTo = '/' } = req.query;
 
     // Input Validation
-    const validation = validateHandle(handle);
+    const validation = validateLoginInput(handle);
     if (!validation.valid) {
         return res.status(400).send(validation.error);
     }
 
+    const returnValidation = validateReturnTo(returnTo);
+    if (!returnValidation.valid) {
+        return res.status(400).send(returnValidation.error);
+    }
+
     try {
-        const url = await initiateLogin(handle, req.app.locals.oauthClient);
+        const url = await initiateLogin(validation.identifier, req.app.locals.oauthClient, returnTo);
         // Redirect user to PDS (convert to string for Express 5 compatibility)
         res.redirect(url.toString());
     } catch (err) {
         console.error('Login error:', err);
-        res.status(500).send(`Failed to start login: ${err.message}`);
+        res.redirect(loginErrorPath(classifyLoginError(err), returnTo));
+    }
+});
+
+/**
+ * GET /login/upgrade
+ * Re-authorize the active account when a feature needs more than it granted
+ * Query params:
+ *   - scope: space-separated scopes to add (from an insufficient_scope error)
+ *   - returnTo: relative path to come back to after the callback (default: /)
+ */
+router.get('/login/upgrade', loginLimiter, async (req, res) => {
+    const session = getActiveSession(req);
+    if (!session) {
+        return res.status(401).send('Not logged in');
+    }
+
+    const { scope, returnTo = '/' } = req.query;
+
+    // Input Validation
+    const validation = validateUpgradeScope(scope);
+    if (!validation.valid) {
+        return res.status(400).send(validation.error);
+    }
+
+    const returnValidation = validateReturnTo(returnTo);
+    if (!returnValidation.valid) {
+        return res.status(400).send(returnValidation.error);
+    }
+
+    try {
+        const url = await initiateUpgrade(session.did, session.scope, scope, returnTo, req.app.locals.oauthClient);
+        res.redirect(url.toString());
+    } catch (err) {
+        console.error('Upgrade error:', err);
+        res.redirect(loginErrorPath(classifyLoginError(err), returnTo));
     }
 });
 
@@ -40,43 +100,59 @@ router.get('/login', loginLimiter, async (req, res) => {
  * GET /oauth/callback
  * Handle OAuth callback from PDS
  */
-router.get('/oauth/callback', async (req, res) => {
+router.get(getCallbackPaths(), async (req, res) => {
     try {
         const params = new URLSearchParams(req.query);
-        const session = await processCallback(params, req.app.locals.oauthClient);
-
-        // Store DID in a signed httpOnly cookie to track the browser user
-        res.cookie('user_did', session.did, {
-            httpOnly: true,
-            signed: true,
-            maxAge: 7 * 24 * 60 * 60 * 1000, // 1 week
-            sameSite: 'lax', // Must be lax for top-level navigation (redirect from PDS)
-            secure: true
-        });
-
-        res.redirect('/');
+        // The code can only be exchanged with the redirect URI it was issued for
+        const redirectUri = req.app.locals.clientMetadata.redirect_uris.find(uri => new URL(uri).pathname === req.path);
+        const { did, scope, returnTo } = await processCallback(params, req.app.locals.oauthClient, redirectUri);
+
+        // Start a server-side browser session for the DID and make it the active account
+        await addAccount(req, res, did, scope);
+
+        res.redirect(returnTo);
     } catch (err) {
         console.error('Callback error:', err);
-        res.status(500).send(`Login failed: ${err.message}`);
+        // Callback errors carry the app state when it was found, so the retry can keep the return path
+        res.redirect(loginErrorPath(classifyLoginError(err), parseReturnTo(err.state)));
     }
 });
 
+/**
+ * GET /oauth/error
+ * Serve the frontend, which shows the login error view, with the failure's status code
+ * Query params:
+ *   - reason: why the login failed (see LOGIN_ERRORS)
+ *   - returnTo: path for the retry action
+ */
+router.get('/oauth/error', (req, res) => {
+    const reason = Object.hasOwn(LOGIN_ERRORS, req.query.reason) ? req.query.reason : 'login_failed';
+    res.status(LOGIN_ERRORS[reason]).sendFile('index.html', { root: path.join(__dirname, '../../public') });
+});
+
 /**
  * POST /logout
- * Logout user and revoke OAuth tokens
+ * Logout one account and revoke its OAuth tokens
+ * Body (optional): { did } - linked account to log out (defaults to the active account)
+ * Any other linked account stays signed in; the next one becomes active.
  */
 router.post('/logout', async (req, res) => {
-    const did = req.signedCookies.user_did;
+    const did = req.body?.did || getActiveDid(req);
+
+    if (did && !getLinkedDids(req).includes(did)) {
+        return res.status(404).json({ error: 'Account not linked' });
+    }
+
+    const activeDid = await removeAccount(req, res, did);
 
     try {
         await logout(did, req.app.locals.oauthClient);
     } catch (err) {
         console.error('Failed to revoke token:', err);
-        // Continue anyway to clear cookie
+        // Continue anyway - this browser's session is already gone
     }
 
-    res.clearCookie('user_did');
-    res.json({ success: true });
+    res.json({ success: true, activeDid: activeDid || null });
 });
 
 module.exports = router;
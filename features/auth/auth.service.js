@@ -3,70 +3,277 @@
  *
  * Handles OAuth flow business logic including:
  * - Login initiation
+ * - Step-up re-authorization for extra scopes
  * - OAuth callback processing
+ * - Classifying login failures for the error page
  * - Session management
  * - Token revocation
  */
 
+const { OAuthCallbackError, OAuthResolverError } = require('@atproto/oauth-client-node');
+const db = require('../../db');
+const { getRequestedScope } = require('../../config/scopes');
+
+// Why a login failed, and the status the error page is served with
+const LOGIN_ERRORS = {
+    access_denied: 403,
+    session_expired: 400,
+    handle_not_found: 400,
+    server_unreachable: 502,
+    login_failed: 500
+};
+
+const HANDLE_PATTERN = /^([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]([a-z0-9-]{0,61}[a-z0-9])?$/;
+const DID_PLC_PATTERN = /^did:plc:[a-z2-7]{24}$/;
+// did:web identifiers in atproto are a bare hostname (a port is percent-encoded)
+const DID_WEB_PATTERN = /^did:web:[a-zA-Z0-9.-]+(%3[aA][0-9]+)?$/;
+// Top-level domains that can never be used for handles
+const DISALLOWED_TLDS = ['alt', 'arpa', 'example', 'internal', 'invalid', 'local', 'localhost', 'onion'];
+
+// Node error codes for servers that can't be reached
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT'];
+
 /**
  * Initiate OAuth login flow
- * @param {string} handle - User's Bluesky handle
+ * @param {string} identifier - Handle, DID or server URL (normalized by validateLoginInput)
+ * @param {Object} oauthClient - OAuth client instance
+ * @param {string} [returnTo='/'] - Relative path to return to after the callback (validated with validateReturnTo)
+ * @returns {Promise<URL>} Authorization URL to redirect to
+ */
+async function initiateLogin(identifier, oauthClient, returnTo = '/') {
+    // Initiate OAuth authorization; the return path travels in the OAuth state
+    const url = await oauthClient.authorize(identifier, {
+        scope: getRequestedScope(),
+        state: JSON.stringify({ returnTo })
+    });
+
+    return url;
+}
+
+/**
+ * Re-authorize a signed-in DID with extra scopes
+ * Everything granted so far is requested again, since the new grant replaces the old one.
+ * @param {string} did - Signed-in user's DID
+ * @param {string|null} grantedScope - Scope the user granted at their last login (null if unknown)
+ * @param {string} scope - Space-separated scopes to add (validated with validateUpgradeScope)
+ * @param {string} returnTo - Relative path to return to after the callback
  * @param {Object} oauthClient - OAuth client instance
  * @returns {Promise<URL>} Authorization URL to redirect to
  */
-async function initiateLogin(handle, oauthClient) {
-    // Initiate OAuth authorization
-    const url = await oauthClient.authorize(handle, {
-        scope: 'atproto transition:generic',
+async function initiateUpgrade(did, grantedScope, scope, returnTo, oauthClient) {
+    const available = getRequestedScope().split(' ');
+
+    // Scopes dropped from the deployment's config since the last login can't be requested
+    // (sessions from before scopes were recorded are assumed to have everything configured)
+    const granted = (grantedScope || getRequestedScope()).split(' ').filter(token => available.includes(token));
+    const scopes = new Set(['atproto', ...granted, ...scope.split(' ').filter(Boolean)]);
+
+    const url = await oauthClient.authorize(did, {
+        scope: [...scopes].join(' '),
+        state: JSON.stringify({ returnTo })
     });
 
     return url;
 }
 
+/**
+ * Read the return path stored in the OAuth state
+ * @param {string|null} state - App state passed to authorize
+ * @returns {string} Validated relative path, or '/' if missing or invalid
+ */
+function parseReturnTo(state) {
+    try {
+        const { returnTo } = JSON.parse(state);
+        return validateReturnTo(returnTo).valid ? returnTo : '/';
+    } catch {
+        return '/';
+    }
+}
+
 /**
  * Process OAuth callback
  * @param {URLSearchParams} params - Query parameters from OAuth callback
  * @param {Object} oauthClient - OAuth client instance
- * @returns {Promise<{did: string}>} Session object with user's DID
+ * @param {string} [redirectUri] - Redirect URI the callback was received on (defaults to the first registered one)
+ * @returns {Promise<{did: string, scope: string|null, returnTo: string}>} User's DID, the scopes they granted and where to send them
  */
-async function processCallback(params, oauthClient) {
-    const { session } = await oauthClient.callback(params);
-    return session;
+async function processCallback(params, oauthClient, redirectUri) {
+    const { session, state } = await oauthClient.callback(params, { redirect_uri: redirectUri });
+
+    // The user may have granted less than was requested
+    const { scope } = await session.getTokenInfo(false);
+    return { did: session.did, scope: scope || null, returnTo: parseReturnTo(state) };
 }
 
 /**
- * Revoke OAuth tokens and cleanup session
+ * Revoke OAuth tokens once the DID is signed out everywhere
+ * The OAuth session is shared by every browser the user signed in from,
+ * so tokens are only revoked when no other browser session remains.
  * @param {string} did - User's DID
  * @param {Object} oauthClient - OAuth client instance
  * @returns {Promise<void>}
  */
 async function logout(did, oauthClient) {
-    if (did) {
+    if (!did) {
+        return;
+    }
+
+    const otherSessions = await db.browserSessionStore.listByDid(did);
+    if (otherSessions.length === 0) {
         await oauthClient.revoke(did);
     }
 }
 
 /**
- * Validate handle format
- * @param {string} handle - Handle to validate
- * @returns {{valid: boolean, error?: string}}
+ * Check whether an error means a server couldn't be reached
+ * @param {Error} err - Error (or cause) to check
+ * @returns {boolean}
  */
-function validateHandle(handle) {
-    if (!handle || typeof handle !== 'string' || handle.trim().length === 0) {
+function isNetworkError(err) {
+    return NETWORK_ERROR_CODES.includes(err.code) ||
+        err.name === 'TimeoutError' ||
+        (err instanceof TypeError && err.message === 'fetch failed');
+}
+
+/**
+ * Work out why a login failed, without exposing the error's message
+ * @param {Error} err - Error from authorize or callback
+ * @returns {string} A LOGIN_ERRORS reason
+ */
+function classifyLoginError(err) {
+    if (err instanceof OAuthCallbackError) {
+        if (err.params.get('error') === 'access_denied') {
+            return 'access_denied';
+        }
+        // The state expired, was already used, or was never issued by this app
+        if (err.message.startsWith('Unknown authorization session') || err.message === 'Missing "state" parameter') {
+            return 'session_expired';
+        }
+    }
+
+    // The real reason is often wrapped (callback errors keep the original as the cause)
+    for (let cause = err; cause instanceof Error; cause = cause.cause) {
+        if (cause instanceof OAuthResolverError) {
+            return cause.message.startsWith('Failed to resolve identity') ? 'handle_not_found' : 'server_unreachable';
+        }
+        if (isNetworkError(cause)) {
+            return 'server_unreachable';
+        }
+    }
+
+    return 'login_failed';
+}
+
+/**
+ * Build the path of the frontend's login error view
+ * @param {string} reason - A LOGIN_ERRORS reason
+ * @param {string} [returnTo='/'] - Validated path for the retry action
+ * @returns {string} Relative URL to redirect to
+ */
+function loginErrorPath(reason, returnTo = '/') {
+    const params = new URLSearchParams({ reason });
+    if (returnTo !== '/') {
+        params.set('returnTo', returnTo);
+    }
+    return `/oauth/error?${params}`;
+}
+
+/**
+ * Normalize and classify what the user typed into the login form
+ * The OAuth client accepts a handle, a DID, or the URL of a PDS or entryway
+ * (to sign in on that server without giving a handle).
+ * @param {string} input - Raw login input
+ * @returns {{valid: boolean, error?: string, type?: 'handle'|'did'|'service', identifier?: string}}
+ */
+function validateLoginInput(input) {
+    if (!input || typeof input !== 'string' || input.trim().length === 0) {
         return { valid: false, error: 'Handle required' };
     }
 
-    // Basic handle format check (alphanumeric + dots/hyphens)
-    if (!/^[a-zA-Z0-9.-]+$/.test(handle)) {
+    const value = input.trim();
+
+    if (value.startsWith('did:')) {
+        if (!DID_PLC_PATTERN.test(value) && !DID_WEB_PATTERN.test(value)) {
+            return { valid: false, error: 'Invalid DID' };
+        }
+        return { valid: true, type: 'did', identifier: value };
+    }
+
+    if (/^https?:\/\//i.test(value)) {
+        let url;
+        try {
+            url = new URL(value);
+        } catch {
+            return { valid: false, error: 'Invalid server URL' };
+        }
+
+        // Only the server's origin is used; anything else is a typo or a trick
+        if (url.protocol !== 'https:' || url.username || url.password || url.pathname !== '/' || url.search || url.hash) {
+            return { valid: false, error: 'Invalid server URL' };
+        }
+        return { valid: true, type: 'service', identifier: url.origin };
+    }
+
+    // Handles are case-insensitive, and people often paste them with a leading @
+    const handle = value.replace(/^@/, '').toLowerCase();
+    if (handle.length > 253 || !HANDLE_PATTERN.test(handle)) {
         return { valid: false, error: 'Invalid handle format' };
     }
+    if (DISALLOWED_TLDS.includes(handle.slice(handle.lastIndexOf('.') + 1))) {
+        return { valid: false, error: 'Invalid handle format' };
+    }
+
+    return { valid: true, type: 'handle', identifier: handle };
+}
+
+/**
+ * Validate scopes requested by a step-up login
+ * Only scopes listed in the client metadata can be requested.
+ * @param {string} scope - Space-separated scopes
+ * @returns {{valid: boolean, error?: string}}
+ */
+function validateUpgradeScope(scope) {
+    if (!scope || typeof scope !== 'string' || scope.trim().length === 0) {
+        return { valid: false, error: 'Scope required' };
+    }
+
+    const available = getRequestedScope().split(' ');
+    if (!scope.split(' ').filter(Boolean).every(token => available.includes(token))) {
+        return { valid: false, error: 'Scope not available' };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Validate a post-login return path
+ * Only same-origin relative paths are allowed, to prevent open redirects.
+ * @param {string} returnTo - Path such as "/#/notifications"
+ * @returns {{valid: boolean, error?: string}}
+ */
+function validateReturnTo(returnTo) {
+    if (typeof returnTo !== 'string' || returnTo.length > 2048) {
+        return { valid: false, error: 'Invalid return path' };
+    }
+
+    // "//host" and "/\host" are treated by browsers as URLs on another host
+    if (!/^\/(?![/\\])/.test(returnTo) || /[\u0000-\u001f\\]/.test(returnTo)) {
+        return { valid: false, error: 'Invalid return path' };
+    }
 
     return { valid: true };
 }
 
 module.exports = {
+    LOGIN_ERRORS,
     initiateLogin,
+    initiateUpgrade,
+    parseReturnTo,
     processCallback,
     logout,
-    validateHandle
+    validateLoginInput,
+    validateUpgradeScope,
+    validateReturnTo,
+    classifyLoginError,
+    loginErrorPath
 };
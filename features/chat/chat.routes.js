@@ -0,0 +1,151 @@
+/**
+ * Chat Routes
+ *
+ * Handles direct message endpoints:
+ * - GET /api/chat/convos - List conversations
+ * - GET /api/chat/convos/:convoId/messages - Get messages in a conversation
+ * - POST /api/chat/convos/:convoId/messages - Send a message
+ * - POST /api/chat/convos/:convoId/read - Mark a conversation as read
+ */
+
+const express = require('express');
+const { postLimiter } = require('../../config/security');
+const { getActiveDid, hasScope, insufficientScope } = require('../../utils/accounts');
+const {
+    getChatAgent,
+    validateConvoId,
+    validateMessageText,
+    listConvos,
+    getMessages,
+    sendMessage,
+    markConvoRead
+} = require('./chat.service');
+
+const router = express.Router();
+
+const CHAT_PERMISSION = { chat: true };
+
+/**
+ * Resolve the chat agent for the active account into req.chatAgent
+ * Responds 403 when the session wasn't granted chat access.
+ */
+async function requireChat(req, res, next) {
+    const did = getActiveDid(req);
+    if (!did) {
+        return res.status(401).json({ error: 'Not logged in' });
+    }
+
+    // Sessions from before chat was requested don't include the chat scope
+    if (!hasScope(req, CHAT_PERMISSION)) {
+        return insufficientScope(res, CHAT_PERMISSION, 'Chat access not granted');
+    }
+
+    if (req.params.convoId !== undefined) {
+        const validation = validateConvoId(req.params.convoId);
+        if (!validation.valid) {
+            return res.status(400).json({ error: validation.error });
+        }
+    }
+
+    try {
+        const { agent, error } = await getChatAgent(did, req.app.locals.oauthClient);
+        if (error) {
+            return res.status(401).json({ error });
+        }
+        req.chatAgent = agent;
+        next();
+    } catch (err) {
+        console.error('Chat session error:', err);
+        res.status(500).json({ error: 'Failed to connect to chat' });
+    }
+}
+
+/**
+ * GET /api/chat/convos
+ * List the user's conversations, most recent first
+ * Query params:
+ *   - cursor: pagination cursor for next page
+ *   - limit: number of conversations (default 20, max 50)
+ */
+router.get('/chat/convos', requireChat, async (req, res) => {
+    const cursor = req.query.cursor || undefined;
+    let limit = parseInt(req.query.limit, 10) || 20;
+    limit = Math.min(Math.max(limit, 1), 50); // Clamp between 1 and 50
+
+    try {
+        const convos = await listConvos(req.chatAgent, cursor, limit);
+        res.json(convos);
+    } catch (err) {
+        console.error('List convos error:', err);
+        res.status(500).json({ error: 'Failed to fetch conversations' });
+    }
+});
+
+/**
+ * GET /api/chat/convos/:convoId/messages
+ * Get messages in a conversation, newest first
+ * Query params:
+ *   - cursor: pagination cursor for older messages
+ *   - limit: number of messages (default 30, max 100)
+ */
+router.get('/chat/convos/:convoId/messages', requireChat, async (req, res) => {
+    const cursor = req.query.cursor || undefined;
+    let limit = parseInt(req.query.limit, 10) || 30;
+    limit = Math.min(Math.max(limit, 1), 100); // Clamp between 1 and 100
+
+    try {
+        const result = await getMessages(req.chatAgent, req.params.convoId, cursor, limit);
+        if (result.error) {
+            return res.status(404).json({ error: result.error });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error('Get messages error:', err);
+        res.status(500).json({ error: 'Failed to fetch messages' });
+    }
+});
+
+/**
+ * POST /api/chat/convos/:convoId/messages
+ * Send a message
+ * Body: { text }
+ */
+router.post('/chat/convos/:convoId/messages', postLimiter, requireChat, async (req, res) => {
+    const { text } = req.body ?? {};
+
+    // Input Validation
+    const validation = validateMessageText(text);
+    if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    try {
+        const result = await sendMessage(req.chatAgent, req.params.convoId, text);
+        if (result.error) {
+            return res.status(404).json({ error: result.error });
+        }
+        res.json({ success: true, message: result.message });
+    } catch (err) {
+        console.error('Send message error:', err);
+        res.status(500).json({ error: 'Failed to send message' });
+    }
+});
+
+/**
+ * POST /api/chat/convos/:convoId/read
+ * Mark a conversation as read
+ */
+router.post('/chat/convos/:convoId/read', requireChat, async (req, res) => {
+    try {
+        const result = await markConvoRead(req.chatAgent, req.params.convoId);
+        if (result.error) {
+            return res.status(404).json({ error: result.error });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Mark read error:', err);
+        res.status(500).json({ error: 'Failed to mark conversation as read' });
+    }
+});
+
+module.exports = router;
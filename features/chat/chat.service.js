@@ -0,0 +1,201 @@
+/**
+ * Chat Service
+ *
+ * Handles direct messages. Chat lives on a separate service, so requests go
+ * through the user's PDS with an atproto-proxy header pointing at it. The
+ * routes check that the session was granted the transition:chat.bsky scope.
+ */
+
+const { getAgent } = require('../../utils/agent');
+const { normalizeAuthor } = require('../feed/feed.service');
+
+const CHAT_SERVICE_DID = 'did:web:api.bsky.chat';
+const MAX_MESSAGE_LENGTH = 1000;
+const CONVO_ID_PATTERN = /^[a-zA-Z0-9._:~-]{1,128}$/;
+
+/**
+ * Get an agent that proxies requests to the chat service
+ * @param {string} did - User's DID
+ * @param {Object} oauthClient - OAuth client instance
+ * @returns {Promise<{agent?: Object, error?: string}>} Proxied agent, or an error if the session has expired
+ */
+async function getChatAgent(did, oauthClient) {
+    const agent = await getAgent(did, oauthClient);
+    if (!agent) {
+        return { error: 'Session expired' };
+    }
+
+    return { agent: agent.withProxy('bsky_chat', CHAT_SERVICE_DID) };
+}
+
+/**
+ * Validate a conversation ID
+ * @param {string} convoId - Conversation ID
+ * @returns {{valid: boolean, error?: string}}
+ */
+function validateConvoId(convoId) {
+    if (typeof convoId !== 'string' || !CONVO_ID_PATTERN.test(convoId)) {
+        return { valid: false, error: 'Invalid conversation ID' };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Validate message text
+ * @param {string} text - Message text
+ * @returns {{valid: boolean, error?: string}}
+ */
+function validateMessageText(text) {
+    if (!text || typeof text !== 'string' || !text.trim()) {
+        return { valid: false, error: 'Text required' };
+    }
+
+    if (text.length > MAX_MESSAGE_LENGTH) {
+        return { valid: false, error: `Message too long (max ${MAX_MESSAGE_LENGTH} chars)` };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Normalize a message (or a deleted message)
+ * @param {Object} message - MessageView or DeletedMessageView
+ * @returns {Object|null} Normalized message, or null for unknown message types
+ */
+function normalizeMessage(message) {
+    if (!message) {
+        return null;
+    }
+
+    switch (message.$type) {
+        case 'chat.bsky.convo.defs#messageView':
+            return {
+                id: message.id,
+                text: message.text,
+                facets: message.facets || [],
+                senderDid: message.sender.did,
+                sentAt: message.sentAt
+            };
+        case 'chat.bsky.convo.defs#deletedMessageView':
+            return {
+                id: message.id,
+                deleted: true,
+                senderDid: message.sender.did,
+                sentAt: message.sentAt
+            };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Normalize a conversation
+ * @param {Object} convo - ConvoView from the chat service
+ * @returns {Object} Normalized conversation
+ */
+function normalizeConvo(convo) {
+    return {
+        id: convo.id,
+        members: convo.members.map(normalizeAuthor),
+        lastMessage: normalizeMessage(convo.lastMessage),
+        unreadCount: convo.unreadCount || 0,
+        muted: Boolean(convo.muted)
+    };
+}
+
+/**
+ * Turn chat service errors for unknown conversations into an error result
+ * @param {Error} err - Error thrown by the agent
+ * @returns {{error: string}} Error result
+ * @throws {Error} If the error is not about the conversation
+ */
+function convoError(err) {
+    if (err.error === 'InvalidRequest') {
+        return { error: 'Conversation not found' };
+    }
+    throw err;
+}
+
+/**
+ * List the user's conversations, most recent first
+ * @param {Object} chatAgent - Agent from getChatAgent
+ * @param {string} [cursor] - Pagination cursor
+ * @param {number} [limit=20] - Number of conversations to fetch
+ * @returns {Promise<{convos: Array, cursor?: string}>}
+ */
+async function listConvos(chatAgent, cursor, limit = 20) {
+    const response = await chatAgent.chat.bsky.convo.listConvos({ cursor, limit });
+
+    return {
+        convos: response.data.convos.map(normalizeConvo),
+        cursor: response.data.cursor || null
+    };
+}
+
+/**
+ * Get messages in a conversation, newest first
+ * @param {Object} chatAgent - Agent from getChatAgent
+ * @param {string} convoId - Conversation ID
+ * @param {string} [cursor] - Pagination cursor
+ * @param {number} [limit=30] - Number of messages to fetch
+ * @returns {Promise<{messages?: Array, cursor?: string, error?: string}>} Messages, or an error if the conversation doesn't exist
+ */
+async function getMessages(chatAgent, convoId, cursor, limit = 30) {
+    let response;
+    try {
+        response = await chatAgent.chat.bsky.convo.getMessages({ convoId, cursor, limit });
+    } catch (err) {
+        return convoError(err);
+    }
+
+    return {
+        messages: response.data.messages.map(normalizeMessage).filter(Boolean),
+        cursor: response.data.cursor || null
+    };
+}
+
+/**
+ * Send a message to a conversation
+ * @param {Object} chatAgent - Agent from getChatAgent
+ * @param {string} convoId - Conversation ID
+ * @param {string} text - Message text
+ * @returns {Promise<{message?: Object, error?: string}>} The sent message, or an error if the conversation doesn't exist
+ */
+async function sendMessage(chatAgent, convoId, text) {
+    let response;
+    try {
+        response = await chatAgent.chat.bsky.convo.sendMessage({ convoId, message: { text } });
+    } catch (err) {
+        return convoError(err);
+    }
+
+    return { message: normalizeMessage({ $type: 'chat.bsky.convo.defs#messageView', ...response.data }) };
+}
+
+/**
+ * Mark a conversation as read
+ * @param {Object} chatAgent - Agent from getChatAgent
+ * @param {string} convoId - Conversation ID
+ * @returns {Promise<{read?: boolean, error?: string}>} Whether it was marked read, or an error if the conversation doesn't exist
+ */
+async function markConvoRead(chatAgent, convoId) {
+    try {
+        await chatAgent.chat.bsky.convo.updateRead({ convoId });
+    } catch (err) {
+        return convoError(err);
+    }
+
+    return { read: true };
+}
+
+module.exports = {
+    getChatAgent,
+    validateConvoId,
+    validateMessageText,
+    normalizeConvo,
+    listConvos,
+    getMessages,
+    sendMessage,
+    markConvoRead
+};
@@ -2,38 +2,80 @@
  * Feed Routes
  *
  * Handles feed endpoints:
- * - GET /api/feed - Get user's home timeline
+ * - GET /api/feed - Get user's home timeline, or a custom feed
+ * - GET /api/feeds/saved - Get the user's saved and pinned feeds
  */
 
 const express = require('express');
-const { getTimeline } = require('./feed.service');
+const { getActiveDid } = require('../../utils/accounts');
+const { getTimeline, validateFeedUri, getCustomFeed, getSavedFeeds } = require('./feed.service');
 
 const router = express.Router();
 
 /**
  * GET /api/feed
- * Get the authenticated user's home timeline
+ * Get the authenticated user's home timeline, or a custom feed
  * Query params:
+ *   - feed: AT-URI of an app.bsky.feed.generator (optional, defaults to the home timeline)
  *   - cursor: pagination cursor for next page
  *   - limit: number of posts (default 20, max 50)
  */
 router.get('/feed', async (req, res) => {
-    const did = req.signedCookies.user_did;
+    const did = getActiveDid(req);
     if (!did) {
         return res.status(401).json({ error: 'Not logged in' });
     }
 
+    const feed = req.query.feed || undefined;
     const cursor = req.query.cursor || undefined;
     let limit = parseInt(req.query.limit, 10) || 20;
     limit = Math.min(Math.max(limit, 1), 50); // Clamp between 1 and 50
 
+    // Input Validation
+    if (feed !== undefined) {
+        const validation = validateFeedUri(feed);
+        if (!validation.valid) {
+            return res.status(400).json({ error: validation.error });
+        }
+    }
+
     try {
-        const timeline = await getTimeline(did, req.app.locals.oauthClient, cursor, limit);
-        res.json(timeline);
+        const result = feed
+            ? await getCustomFeed(did, req.app.locals.oauthClient, feed, cursor, limit)
+            : await getTimeline(did, req.app.locals.oauthClient, cursor, limit);
+        if (result.expired) {
+            return res.status(401).json({ error: result.error });
+        }
+        if (result.error) {
+            return res.status(404).json({ error: result.error });
+        }
+        res.json(result);
     } catch (err) {
         console.error('Feed error:', err);
         res.status(500).json({ error: 'Failed to fetch feed' });
     }
 });
 
+/**
+ * GET /api/feeds/saved
+ * Get the user's saved feeds from their preferences, pinned feeds first
+ */
+router.get('/feeds/saved', async (req, res) => {
+    const did = getActiveDid(req);
+    if (!did) {
+        return res.status(401).json({ error: 'Not logged in' });
+    }
+
+    try {
+        const saved = await getSavedFeeds(did, req.app.locals.oauthClient);
+        if (saved.expired) {
+            return res.status(401).json({ error: saved.error });
+        }
+        res.json(saved);
+    } catch (err) {
+        console.error('Saved feeds error:', err);
+        res.status(500).json({ error: 'Failed to fetch saved feeds' });
+    }
+});
+
 module.exports = router;
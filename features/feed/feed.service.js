@@ -1,23 +1,152 @@
 /**
  * Feed Service
  *
- * Handles fetching the user's home timeline (posts from followed accounts).
+ * Handles fetching the user's home timeline (posts from followed accounts),
+ * custom feeds from feed generators and the user's saved feeds, and
+ * normalizing posts into the shape the frontend renders.
  */
 
 const { getAgent } = require('../../utils/agent');
 
+const FEED_URI_PATTERN = /^at:\/\/(did:[a-z]+:[a-zA-Z0-9._:%-]+|[a-zA-Z0-9.-]+)\/app\.bsky\.feed\.generator\/[a-zA-Z0-9._:~-]{1,512}$/;
+
+/**
+ * Normalize an author (ProfileViewBasic)
+ * @param {Object} author - Author from the AppView
+ * @returns {{did: string, handle: string, displayName: string, avatar?: string}}
+ */
+function normalizeAuthor(author) {
+    return {
+        did: author.did,
+        handle: author.handle,
+        displayName: author.displayName || author.handle,
+        avatar: author.avatar
+    };
+}
+
+/**
+ * Normalize an embedded (quoted) record view
+ * @param {Object} embed - Post embed view
+ * @returns {Object|null} Quoted post, or null if the post doesn't quote anything
+ */
+function normalizeQuote(embed) {
+    if (!embed) {
+        return null;
+    }
+
+    // Quote posts with images wrap the quoted record one level deeper
+    let record = null;
+    if (embed.$type === 'app.bsky.embed.record#view') {
+        record = embed.record;
+    } else if (embed.$type === 'app.bsky.embed.recordWithMedia#view') {
+        record = embed.record?.record;
+    }
+    if (!record) {
+        return null;
+    }
+
+    switch (record.$type) {
+        case 'app.bsky.embed.record#viewRecord':
+            return {
+                uri: record.uri,
+                cid: record.cid,
+                author: normalizeAuthor(record.author),
+                text: record.value?.text || '',
+                facets: record.value?.facets || [],
+                createdAt: record.value?.createdAt
+            };
+        case 'app.bsky.embed.record#viewNotFound':
+            return { uri: record.uri, notFound: true };
+        case 'app.bsky.embed.record#viewBlocked':
+            return { uri: record.uri, blocked: true };
+        case 'app.bsky.embed.record#viewDetached':
+            return { uri: record.uri, detached: true };
+        default:
+            // Quoted feeds, lists, starter packs etc. are not rendered
+            return null;
+    }
+}
+
+/**
+ * Normalize the parent of a reply
+ * @param {Object} parent - Parent post view (may be not-found or blocked)
+ * @param {Object} record - The reply's own record (fallback for the parent URI)
+ * @returns {Object|null} Parent summary, or null if the post is not a reply
+ */
+function normalizeReplyParent(parent, record) {
+    if (!parent) {
+        return record?.reply ? { uri: record.reply.parent.uri } : null;
+    }
+
+    if (parent.notFound || parent.$type === 'app.bsky.feed.defs#notFoundPost') {
+        return { uri: parent.uri, notFound: true };
+    }
+    if (parent.blocked || parent.$type === 'app.bsky.feed.defs#blockedPost') {
+        return { uri: parent.uri, blocked: true };
+    }
+
+    return {
+        uri: parent.uri,
+        author: normalizeAuthor(parent.author)
+    };
+}
+
+/**
+ * Normalize a post view into the shape the frontend renders
+ * @param {Object} post - PostView from the AppView
+ * @returns {Object} Normalized post
+ */
+function normalizePost(post) {
+    const record = post.record;
+
+    return {
+        uri: post.uri,
+        cid: post.cid,
+        author: normalizeAuthor(post.author),
+        text: record.text,
+        facets: record.facets || [],
+        createdAt: record.createdAt,
+        likeCount: post.likeCount || 0,
+        repostCount: post.repostCount || 0,
+        replyCount: post.replyCount || 0,
+        indexedAt: post.indexedAt,
+        // The viewer's own like/repost records (null if they haven't liked/reposted)
+        viewer: {
+            like: post.viewer?.like || null,
+            repost: post.viewer?.repost || null
+        },
+        replyTo: normalizeReplyParent(null, record),
+        quote: normalizeQuote(post.embed)
+    };
+}
+
+/**
+ * Normalize a feed item (FeedViewPost), adding its reply context
+ * @param {Object} item - Feed item from a feed or timeline
+ * @returns {Object} Normalized post
+ */
+function normalizeFeedItem(item) {
+    const post = normalizePost(item.post);
+
+    if (item.reply) {
+        post.replyTo = normalizeReplyParent(item.reply.parent, item.post.record);
+    }
+
+    return post;
+}
+
 /**
  * Get the user's home timeline
  * @param {string} did - User's DID
  * @param {Object} oauthClient - OAuth client instance
  * @param {string} [cursor] - Pagination cursor
  * @param {number} [limit=20] - Number of posts to fetch
- * @returns {Promise<{posts: Array, cursor?: string}>}
+ * @returns {Promise<{posts?: Array, cursor?: string, error?: string, expired?: boolean}>} Posts, or an error if the session has expired
  */
 async function getTimeline(did, oauthClient, cursor, limit = 20) {
     const agent = await getAgent(did, oauthClient);
     if (!agent) {
-        return { posts: [], cursor: null };
+        return { error: 'Session expired', expired: true };
     }
 
     const response = await agent.getTimeline({
@@ -25,33 +154,110 @@ async function getTimeline(did, oauthClient, cursor, limit = 20) {
         cursor
     });
 
-    const posts = response.data.feed.map(item => {
-        const post = item.post;
-        const author = post.author;
-        const record = post.record;
-
-        return {
-            uri: post.uri,
-            cid: post.cid,
-            author: {
-                did: author.did,
-                handle: author.handle,
-                displayName: author.displayName || author.handle,
-                avatar: author.avatar
-            },
-            text: record.text,
-            createdAt: record.createdAt,
-            likeCount: post.likeCount || 0,
-            repostCount: post.repostCount || 0,
-            replyCount: post.replyCount || 0,
-            indexedAt: post.indexedAt
-        };
-    });
+    return {
+        posts: response.data.feed.map(normalizeFeedItem),
+        cursor: response.data.cursor || null
+    };
+}
+
+/**
+ * Validate a feed generator AT-URI
+ * @param {string} feed - AT-URI of an app.bsky.feed.generator record
+ * @returns {{valid: boolean, error?: string}}
+ */
+function validateFeedUri(feed) {
+    if (typeof feed !== 'string' || !FEED_URI_PATTERN.test(feed)) {
+        return { valid: false, error: 'Invalid feed URI' };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Get a custom feed from a feed generator
+ * @param {string} did - User's DID
+ * @param {Object} oauthClient - OAuth client instance
+ * @param {string} feed - AT-URI of the feed generator
+ * @param {string} [cursor] - Pagination cursor
+ * @param {number} [limit=20] - Number of posts to fetch
+ * @returns {Promise<{posts?: Array, cursor?: string, error?: string, expired?: boolean}>} Posts, or an error if the feed doesn't exist or the session has expired
+ */
+async function getCustomFeed(did, oauthClient, feed, cursor, limit = 20) {
+    const agent = await getAgent(did, oauthClient);
+    if (!agent) {
+        return { error: 'Session expired', expired: true };
+    }
+
+    let response;
+    try {
+        response = await agent.app.bsky.feed.getFeed({ feed, cursor, limit });
+    } catch (err) {
+        if (err.error === 'UnknownFeed') {
+            return { error: 'Feed not found' };
+        }
+        throw err;
+    }
 
     return {
-        posts,
+        posts: response.data.feed.map(normalizeFeedItem),
         cursor: response.data.cursor || null
     };
 }
 
-module.exports = { getTimeline };
+/**
+ * Get the user's saved feeds, pinned feeds first
+ * The home timeline is listed with a null URI. Saved lists are not included.
+ * @param {string} did - User's DID
+ * @param {Object} oauthClient - OAuth client instance
+ * @returns {Promise<{feeds?: Array<{uri: string|null, displayName: string, description?: string, avatar?: string, pinned: boolean}>, error?: string, expired?: boolean}>}
+ */
+async function getSavedFeeds(did, oauthClient) {
+    const agent = await getAgent(did, oauthClient);
+    if (!agent) {
+        return { error: 'Session expired', expired: true };
+    }
+
+    const preferences = await agent.getPreferences();
+    const saved = (preferences.savedFeeds || [])
+        .filter(feed => feed.type === 'timeline' || (feed.type === 'feed' && validateFeedUri(feed.value).valid));
+
+    // Look up names and avatars for the feed generators
+    const uris = saved.filter(feed => feed.type === 'feed').map(feed => feed.value);
+    const generators = new Map();
+    if (uris.length > 0) {
+        const response = await agent.app.bsky.feed.getFeedGenerators({ feeds: uris });
+        response.data.feeds.forEach(generator => generators.set(generator.uri, generator));
+    }
+
+    const feeds = saved
+        .map(feed => {
+            if (feed.type === 'timeline') {
+                return { uri: null, displayName: 'Following', pinned: feed.pinned };
+            }
+
+            // Generators that are offline or deleted are left out
+            const generator = generators.get(feed.value);
+            return generator ? {
+                uri: generator.uri,
+                displayName: generator.displayName,
+                description: generator.description,
+                avatar: generator.avatar,
+                pinned: feed.pinned
+            } : null;
+        })
+        .filter(Boolean);
+
+    // Stable sort keeps the user's order within pinned and unpinned feeds
+    feeds.sort((a, b) => Number(b.pinned) - Number(a.pinned));
+    return { feeds };
+}
+
+module.exports = {
+    normalizeAuthor,
+    normalizePost,
+    normalizeFeedItem,
+    getTimeline,
+    validateFeedUri,
+    getCustomFeed,
+    getSavedFeeds
+};
@@ -0,0 +1,68 @@
+/**
+ * Follows Routes
+ *
+ * Handles follow endpoints:
+ * - POST /api/follows/:actor - Follow a user
+ * - DELETE /api/follows/:actor - Unfollow a user
+ */
+
+const express = require('express');
+const { interactionLimiter } = require('../../config/security');
+const { getActiveDid, requireScope } = require('../../utils/accounts');
+const { validateActor } = require('../profile/profile.service');
+const { followActor, unfollowActor } = require('./follows.service');
+
+const router = express.Router();
+
+const FOLLOW_COLLECTION = 'app.bsky.graph.follow';
+
+/**
+ * Build a handler that follows or unfollows the actor in the URL
+ * @param {Function} action - Service function (did, oauthClient, actor)
+ * @param {string} failureMessage - Error message for unexpected failures
+ */
+function followHandler(action, failureMessage) {
+    return async (req, res) => {
+        const did = getActiveDid(req);
+        if (!did) {
+            return res.status(401).json({ error: 'Not logged in' });
+        }
+
+        const { actor } = req.params;
+
+        // Input Validation
+        const validation = validateActor(actor);
+        if (!validation.valid) {
+            return res.status(400).json({ error: validation.error });
+        }
+
+        try {
+            const result = await action(did, req.app.locals.oauthClient, actor);
+            if (result.expired) {
+                return res.status(401).json({ error: result.error });
+            }
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+            res.json({ success: true, ...result });
+        } catch (err) {
+            console.error(`${failureMessage}:`, err);
+            res.status(500).json({ error: failureMessage });
+        }
+    };
+}
+
+/**
+ * POST /api/follows/:actor
+ * Follow a user
+ * Returns the follow record URI
+ */
+router.post('/follows/:actor', interactionLimiter, requireScope({ collection: FOLLOW_COLLECTION, action: 'create' }), followHandler(followActor, 'Failed to follow'));
+
+/**
+ * DELETE /api/follows/:actor
+ * Unfollow a user
+ */
+router.delete('/follows/:actor', interactionLimiter, requireScope({ collection: FOLLOW_COLLECTION, action: 'delete' }), followHandler(unfollowActor, 'Failed to unfollow'));
+
+module.exports = router;
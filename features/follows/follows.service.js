@@ -0,0 +1,68 @@
+/**
+ * Follows Service
+ *
+ * Handles creating and deleting app.bsky.graph.follow records.
+ */
+
+const { getAgent } = require('../../utils/agent');
+const { fetchProfile } = require('../profile/profile.service');
+
+/**
+ * Follow a user
+ * Following someone already followed returns the existing follow record.
+ * @param {string} did - User's DID
+ * @param {Object} oauthClient - OAuth client instance
+ * @param {string} actor - Handle or DID to follow
+ * @returns {Promise<{uri?: string, error?: string, expired?: boolean}>} The follow record, or an error if the account can't be followed or the session has expired
+ */
+async function followActor(did, oauthClient, actor) {
+    const agent = await getAgent(did, oauthClient);
+    if (!agent) {
+        return { error: 'Session expired', expired: true };
+    }
+
+    const profile = await fetchProfile(agent, actor);
+    if (profile.error) {
+        return { error: profile.error };
+    }
+
+    if (profile.did === did) {
+        return { error: 'You cannot follow yourself' };
+    }
+    if (profile.viewer.following) {
+        return { uri: profile.viewer.following };
+    }
+
+    const follow = await agent.follow(profile.did);
+    return { uri: follow.uri };
+}
+
+/**
+ * Unfollow a user
+ * @param {string} did - User's DID
+ * @param {Object} oauthClient - OAuth client instance
+ * @param {string} actor - Handle or DID to unfollow
+ * @returns {Promise<{removed?: boolean, error?: string, expired?: boolean}>} Whether a follow was removed, or an error if the profile is unavailable or the session has expired
+ */
+async function unfollowActor(did, oauthClient, actor) {
+    const agent = await getAgent(did, oauthClient);
+    if (!agent) {
+        return { error: 'Session expired', expired: true };
+    }
+
+    const profile = await fetchProfile(agent, actor);
+    if (profile.error) {
+        return { error: profile.error };
+    }
+
+    if (!profile.viewer.following) {
+        return { removed: false };
+    }
+    await agent.deleteFollow(profile.viewer.following);
+    return { removed: true };
+}
+
+module.exports = {
+    followActor,
+    unfollowActor
+};
@@ -3,6 +3,9 @@
  *
  * Handles metadata and utility endpoints:
  * - GET /client-metadata.json - OAuth client metadata
+ * - GET /jwks.json - Public signing keys
+ * - GET /tos - Terms of service (when TOS_FILE is configured)
+ * - GET /policy - Privacy policy (when POLICY_FILE is configured)
  * - GET /api/csrf - CSRF token generation
  * - GET /api/health - Health check endpoint
  */
@@ -12,6 +15,9 @@ const db = require('../../db');
 
 const router = express.Router();
 
+// Authorization servers may cache the key set; keep it short so new keys are picked up quickly
+const JWKS_MAX_AGE = 10 * 60; // 10 minutes
+
 /**
  * GET /client-metadata.json
  * OAuth client metadata (required for ATProto OAuth)
@@ -20,6 +26,32 @@ router.get('/client-metadata.json', (req, res) => {
     res.json(req.app.locals.clientMetadata);
 });
 
+/**
+ * GET /jwks.json
+ * Public keys the client signs with (linked from the metadata's jwks_uri)
+ * Only public key material is served; createOAuthClient checks this at startup.
+ * Loopback development clients have no keys, so there is nothing to serve.
+ */
+router.get('/jwks.json', (req, res, next) => {
+    if (!req.app.locals.jwks) {
+        return next();
+    }
+    res.set('Cache-Control', `public, max-age=${JWKS_MAX_AGE}`);
+    res.json(req.app.locals.jwks);
+});
+
+/**
+ * GET /tos, GET /policy
+ * Documents linked from the client metadata, rendered at startup from TOS_FILE and POLICY_FILE
+ */
+router.get(['/tos', '/policy'], (req, res, next) => {
+    const document = req.app.locals.documents[req.path.slice(1)];
+    if (!document) {
+        return next();
+    }
+    res.type('html').send(document);
+});
+
 /**
  * GET /api/csrf
  * Get CSRF token for protected requests
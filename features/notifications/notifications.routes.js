@@ -0,0 +1,98 @@
+/**
+ * Notifications Routes
+ *
+ * Handles notification endpoints:
+ * - GET /api/notifications - Get the user's notifications, grouped by reason
+ * - GET /api/notifications/unread-count - Count unread notifications
+ * - POST /api/notifications/seen - Mark notifications as seen
+ */
+
+const express = require('express');
+const { getActiveDid } = require('../../utils/accounts');
+const { getNotifications, getUnreadCount, markSeen } = require('./notifications.service');
+
+const router = express.Router();
+
+/**
+ * GET /api/notifications
+ * Get the user's notifications, grouped by reason
+ * Query params:
+ *   - cursor: pagination cursor for next page
+ *   - limit: number of notifications before grouping (default 30, max 50)
+ */
+router.get('/notifications', async (req, res) => {
+    const did = getActiveDid(req);
+    if (!did) {
+        return res.status(401).json({ error: 'Not logged in' });
+    }
+
+    const cursor = req.query.cursor || undefined;
+    let limit = parseInt(req.query.limit, 10) || 30;
+    limit = Math.min(Math.max(limit, 1), 50); // Clamp between 1 and 50
+
+    try {
+        const notifications = await getNotifications(did, req.app.locals.oauthClient, cursor, limit);
+        if (notifications.expired) {
+            return res.status(401).json({ error: notifications.error });
+        }
+        res.json(notifications);
+    } catch (err) {
+        console.error('Notifications error:', err);
+        res.status(500).json({ error: 'Failed to fetch notifications' });
+    }
+});
+
+/**
+ * GET /api/notifications/unread-count
+ * Count the user's unread notifications
+ */
+router.get('/notifications/unread-count', async (req, res) => {
+    const did = getActiveDid(req);
+    if (!did) {
+        return res.status(401).json({ error: 'Not logged in' });
+    }
+
+    try {
+        const unread = await getUnreadCount(did, req.app.locals.oauthClient);
+        if (unread.expired) {
+            return res.status(401).json({ error: unread.error });
+        }
+        res.json(unread);
+    } catch (err) {
+        console.error('Unread count error:', err);
+        res.status(500).json({ error: 'Failed to count notifications' });
+    }
+});
+
+/**
+ * POST /api/notifications/seen
+ * Mark notifications as seen
+ * Body: { seenAt? } - ISO timestamp (defaults to now). Send the newest notification's indexedAt
+ *   so notifications that arrive while the list is open stay unread.
+ */
+router.post('/notifications/seen', async (req, res) => {
+    const did = getActiveDid(req);
+    if (!did) {
+        return res.status(401).json({ error: 'Not logged in' });
+    }
+
+    const { seenAt } = req.body ?? {};
+
+    // Input Validation
+    if (seenAt !== undefined && (typeof seenAt !== 'string' || Number.isNaN(Date.parse(seenAt)))) {
+        return res.status(400).json({ error: 'Invalid seenAt timestamp' });
+    }
+
+    try {
+        const result = await markSeen(did, req.app.locals.oauthClient, seenAt && new Date(seenAt).toISOString());
+        if (result.expired) {
+            return res.status(401).json({ error: result.error });
+        }
+        res.json({ success: true, ...result });
+    } catch (err) {
+        console.error('Mark seen error:', err);
+        res.status(500).json({ error: 'Failed to mark notifications as seen' });
+    }
+});
+
+module.exports = router;
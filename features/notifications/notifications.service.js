@@ -0,0 +1,166 @@
+/**
+ * Notifications Service
+ *
+ * Handles fetching the user's notifications, grouping them for display,
+ * and tracking which notifications have been seen.
+ */
+
+const { getAgent } = require('../../utils/agent');
+const { normalizeAuthor } = require('../feed/feed.service');
+
+// Notification reasons shown in the app
+const NOTIFICATION_REASONS = ['like', 'repost', 'follow', 'mention', 'reply', 'quote'];
+
+// Reasons where many accounts act on the same subject, shown as one group
+const GROUPED_REASONS = ['like', 'repost', 'follow'];
+
+// Maximum URIs per getPosts call
+const GET_POSTS_BATCH = 25;
+
+/**
+ * Group notifications by reason
+ * Likes and reposts of the same post, and follows, are combined into one group;
+ * mentions, replies and quotes each get their own group with the post's text.
+ * Grouping only happens within one page of notifications.
+ * @param {Array} notifications - Notifications from the AppView, newest first
+ * @returns {Array} Notification groups, newest first
+ */
+function groupNotifications(notifications) {
+    const groups = [];
+    const byKey = new Map();
+
+    for (const notification of notifications) {
+        if (!NOTIFICATION_REASONS.includes(notification.reason)) {
+            continue;
+        }
+
+        const grouped = GROUPED_REASONS.includes(notification.reason);
+        const key = `${notification.reason}:${notification.reasonSubject || ''}`;
+        const existing = grouped ? byKey.get(key) : undefined;
+
+        if (existing) {
+            if (!existing.authors.some(author => author.did === notification.author.did)) {
+                existing.authors.push(normalizeAuthor(notification.author));
+            }
+            existing.isRead = existing.isRead && notification.isRead;
+            continue;
+        }
+
+        const group = {
+            id: notification.uri,
+            reason: notification.reason,
+            authors: [normalizeAuthor(notification.author)],
+            isRead: notification.isRead,
+            indexedAt: notification.indexedAt,
+            subject: notification.reasonSubject ? { uri: notification.reasonSubject } : null,
+            // Mentions, replies and quotes are posts themselves
+            post: grouped ? null : {
+                uri: notification.uri,
+                cid: notification.cid,
+                text: notification.record?.text || '',
+                facets: notification.record?.facets || []
+            }
+        };
+        groups.push(group);
+        if (grouped) {
+            byKey.set(key, group);
+        }
+    }
+
+    return groups;
+}
+
+/**
+ * Add the text of liked/reposted posts to their groups
+ * @param {Object} agent - Agent for the user
+ * @param {Array} groups - Notification groups from groupNotifications
+ */
+async function addSubjectText(agent, groups) {
+    const uris = [...new Set(groups
+        .filter(group => group.subject && group.subject.uri.includes('/app.bsky.feed.post/'))
+        .map(group => group.subject.uri))];
+
+    const posts = new Map();
+    for (let i = 0; i < uris.length; i += GET_POSTS_BATCH) {
+        const response = await agent.getPosts({ uris: uris.slice(i, i + GET_POSTS_BATCH) });
+        response.data.posts.forEach(post => posts.set(post.uri, post));
+    }
+
+    for (const group of groups) {
+        const post = group.subject && posts.get(group.subject.uri);
+        if (post) {
+            group.subject.text = post.record?.text || '';
+        }
+    }
+}
+
+/**
+ * Get a page of the user's notifications, grouped by reason
+ * @param {string} did - User's DID
+ * @param {Object} oauthClient - OAuth client instance
+ * @param {string} [cursor] - Pagination cursor
+ * @param {number} [limit=30] - Number of notifications to fetch (before grouping)
+ * @returns {Promise<{notifications?: Array, cursor?: string, seenAt?: string, error?: string, expired?: boolean}>} Notifications, or an error if the session has expired
+ */
+async function getNotifications(did, oauthClient, cursor, limit = 30) {
+    const agent = await getAgent(did, oauthClient);
+    if (!agent) {
+        return { error: 'Session expired', expired: true };
+    }
+
+    const response = await agent.listNotifications({
+        reasons: NOTIFICATION_REASONS,
+        cursor,
+        limit
+    });
+
+    const groups = groupNotifications(response.data.notifications);
+    await addSubjectText(agent, groups);
+
+    return {
+        notifications: groups,
+        cursor: response.data.cursor || null,
+        seenAt: response.data.seenAt || null
+    };
+}
+
+/**
+ * Count the user's unread notifications
+ * @param {string} did - User's DID
+ * @param {Object} oauthClient - OAuth client instance
+ * @returns {Promise<{count?: number, error?: string, expired?: boolean}>} Unread count, or an error if the session has expired
+ */
+async function getUnreadCount(did, oauthClient) {
+    const agent = await getAgent(did, oauthClient);
+    if (!agent) {
+        return { error: 'Session expired', expired: true };
+    }
+
+    const response = await agent.countUnreadNotifications();
+    return { count: response.data.count };
+}
+
+/**
+ * Mark notifications as seen
+ * @param {string} did - User's DID
+ * @param {Object} oauthClient - OAuth client instance
+ * @param {string} [seenAt] - ISO timestamp to mark as seen up to (defaults to now)
+ * @returns {Promise<{seenAt?: string, error?: string, expired?: boolean}>} The seenAt stored, or an error if the session has expired
+ */
+async function markSeen(did, oauthClient, seenAt = new Date().toISOString()) {
+    const agent = await getAgent(did, oauthClient);
+    if (!agent) {
+        return { error: 'Session expired', expired: true };
+    }
+
+    await agent.updateSeenNotifications(seenAt);
+    return { seenAt };
+}
+
+module.exports = {
+    NOTIFICATION_REASONS,
+    groupNotifications,
+    getNotifications,
+    getUnreadCount,
+    markSeen
+};
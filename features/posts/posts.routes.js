@@ -2,40 +2,276 @@
  * Posts Routes
  *
  * Handles post creation endpoints:
- * - POST /api/post - Create a new post
+ * - POST /api/post - Create a new post (JSON, or multipart with image attachments)
+ * - POST/DELETE /api/posts/like - Like or unlike a post
+ * - POST/DELETE /api/posts/repost - Repost or un-repost a post
+ * - PUT /api/posts/:rkey - Edit one of the user's posts
+ * - DELETE /api/posts/:rkey - Delete one of the user's posts
  */
 
 const express = require('express');
-const { postLimiter } = require('../../config/security');
-const { validatePostText, createPost } = require('./posts.service');
+const multer = require('multer');
+const { postLimiter, interactionLimiter } = require('../../config/security');
+const { getActiveDid, hasScope, insufficientScope, requireScope } = require('../../utils/accounts');
+const {
+    MAX_IMAGES,
+    MAX_IMAGE_SIZE,
+    validatePostText,
+    validatePostTargets,
+    validatePostRef,
+    validateInteractionRecord,
+    validateRecordKey,
+    validateImages,
+    createPost,
+    deletePost,
+    editPost,
+    likePost,
+    unlikePost,
+    repostPost,
+    unrepostPost
+} = require('./posts.service');
 
 const router = express.Router();
 
+const POST_COLLECTION = 'app.bsky.feed.post';
+const LIKE_COLLECTION = 'app.bsky.feed.like';
+const REPOST_COLLECTION = 'app.bsky.feed.repost';
+
+// Multipart parser for image attachments (kept in memory - they are re-uploaded to the PDS)
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_IMAGE_SIZE,
+        files: MAX_IMAGES,
+        fields: 10
+    }
+}).array('images', MAX_IMAGES);
+
+/**
+ * Parse multipart image uploads, turning upload limit errors into 4xx responses
+ * JSON requests pass through untouched.
+ */
+function parseImages(req, res, next) {
+    upload(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({ error: 'Image too large (max 1MB)' });
+            }
+            if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+                return res.status(400).json({ error: `Too many images (max ${MAX_IMAGES})` });
+            }
+            return res.status(400).json({ error: 'Invalid upload' });
+        }
+        next(err);
+    });
+}
+
 /**
  * POST /api/post
  * Create a new post
+ * Body: { text, replyTo?, quote? } as JSON, or multipart/form-data with:
+ *   - text: post text (optional when images are attached)
+ *   - images: up to 4 image files (JPEG, PNG, WebP or GIF, max 1MB each)
+ *   - alt: alt text for each image, repeated in the same order
+ *   - replyTo: AT-URI of the post being replied to (optional)
+ *   - quote: AT-URI of the post being quoted (optional)
  */
-router.post('/post', postLimiter, async (req, res) => {
-    const did = req.signedCookies.user_did;
+router.post('/post', postLimiter, requireScope({ collection: POST_COLLECTION, action: 'create' }), parseImages, async (req, res) => {
+    const did = getActiveDid(req);
     if (!did) {
         return res.status(401).json({ error: 'Not logged in' });
     }
 
-    const { text } = req.body;
+    const { text, alt, replyTo, quote } = req.body ?? {};
+    const files = req.files || [];
 
     // Input Validation
-    const validation = validatePostText(text);
+    const validation = validatePostText(text, files.length > 0);
     if (!validation.valid) {
         return res.status(400).json({ error: validation.error });
     }
 
+    // Empty multipart fields mean "not set"
+    const targets = { replyTo: replyTo || undefined, quote: quote || undefined };
+    const targetValidation = validatePostTargets(targets);
+    if (!targetValidation.valid) {
+        return res.status(400).json({ error: targetValidation.error });
+    }
+
+    const imageValidation = validateImages(files, [].concat(alt ?? []));
+    if (!imageValidation.valid) {
+        return res.status(400).json({ error: imageValidation.error });
+    }
+
+    const ungranted = files.find(file => !hasScope(req, { blob: file.mimetype }));
+    if (ungranted) {
+        return insufficientScope(res, { blob: ungranted.mimetype });
+    }
+
     try {
-        await createPost(did, text, req.app.locals.oauthClient);
-        res.json({ success: true });
+        const result = await createPost(did, text || '', req.app.locals.oauthClient, {
+            images: imageValidation.images,
+            ...targets
+        });
+        if (result.expired) {
+            return res.status(401).json({ error: result.error });
+        }
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json({ success: true, uri: result.uri, cid: result.cid });
     } catch (err) {
         console.error('Post error:', err);
         res.status(500).json({ error: 'Failed to post' });
     }
 });
 
+/**
+ * Build a handler that creates or deletes a like/repost record
+ * Deletes pass the record URI from the body to the service instead of the CID.
+ * @param {Function} action - Service function (did, oauthClient, uri, cid) or (did, oauthClient, uri, record)
+ * @param {boolean} requireCid - Whether the post CID is required
+ * @param {string} failureMessage - Error message for unexpected failures
+ * @param {string} [recordCollection] - Collection of the optional record URI, for deletes
+ */
+function interactionHandler(action, requireCid, failureMessage, recordCollection) {
+    return async (req, res) => {
+        const did = getActiveDid(req);
+        if (!did) {
+            return res.status(401).json({ error: 'Not logged in' });
+        }
+
+        const { uri, cid, record } = req.body ?? {};
+
+        // Input Validation
+        const validation = validatePostRef({ uri, cid }, requireCid);
+        if (!validation.valid) {
+            return res.status(400).json({ error: validation.error });
+        }
+
+        if (recordCollection && record !== undefined) {
+            const recordValidation = validateInteractionRecord(record, did, recordCollection);
+            if (!recordValidation.valid) {
+                return res.status(400).json({ error: recordValidation.error });
+            }
+        }
+
+        try {
+            const result = await action(did, req.app.locals.oauthClient, uri, recordCollection ? record : cid);
+            if (result.expired) {
+                return res.status(401).json({ error: result.error });
+            }
+            if (result.error) {
+                return res.status(404).json({ error: result.error });
+            }
+            res.json({ success: true, ...result });
+        } catch (err) {
+            console.error(`${failureMessage}:`, err);
+            res.status(500).json({ error: failureMessage });
+        }
+    };
+}
+
+/**
+ * POST /api/posts/like
+ * Like a post
+ * Body: { uri, cid }
+ * Returns the like record URI
+ */
+router.post('/posts/like', interactionLimiter, requireScope({ collection: LIKE_COLLECTION, action: 'create' }), interactionHandler(likePost, true, 'Failed to like post'));
+
+/**
+ * DELETE /api/posts/like
+ * Remove the user's like from a post
+ * Body: { uri, cid?, record? } - record is the like's AT-URI, as returned when it was created
+ */
+router.delete('/posts/like', interactionLimiter, requireScope({ collection: LIKE_COLLECTION, action: 'delete' }), interactionHandler(unlikePost, false, 'Failed to unlike post', LIKE_COLLECTION));
+
+/**
+ * POST /api/posts/repost
+ * Repost a post
+ * Body: { uri, cid }
+ * Returns the repost record URI
+ */
+router.post('/posts/repost', interactionLimiter, requireScope({ collection: REPOST_COLLECTION, action: 'create' }), interactionHandler(repostPost, true, 'Failed to repost'));
+
+/**
+ * DELETE /api/posts/repost
+ * Remove the user's repost of a post
+ * Body: { uri, cid?, record? } - record is the repost's AT-URI, as returned when it was created
+ */
+router.delete('/posts/repost', interactionLimiter, requireScope({ collection: REPOST_COLLECTION, action: 'delete' }), interactionHandler(unrepostPost, false, 'Failed to remove repost', REPOST_COLLECTION));
+
+// Routes with a record key must come after the like/repost routes above
+
+/**
+ * PUT /api/posts/:rkey
+ * Edit the text of one of the user's posts, keeping its original createdAt
+ * Body: { text }
+ * Returns the updated post's URI, CID and re-detected facets
+ */
+router.put('/posts/:rkey', postLimiter, requireScope({ collection: POST_COLLECTION, action: 'update' }), async (req, res) => {
+    const did = getActiveDid(req);
+    if (!did) {
+        return res.status(401).json({ error: 'Not logged in' });
+    }
+
+    const { rkey } = req.params;
+    const { text } = req.body ?? {};
+
+    // Input Validation (whether empty text is allowed depends on the post, so the service checks that)
+    const validation = validateRecordKey(rkey);
+    if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    try {
+        const result = await editPost(did, req.app.locals.oauthClient, rkey, text ?? '');
+        if (result.expired) {
+            return res.status(401).json({ error: result.error });
+        }
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json({ success: true, ...result });
+    } catch (err) {
+        console.error('Edit post error:', err);
+        res.status(500).json({ error: 'Failed to edit post' });
+    }
+});
+
+/**
+ * DELETE /api/posts/:rkey
+ * Delete one of the user's posts
+ * Only the active account's own repo is touched, so other users' posts can't be deleted.
+ */
+router.delete('/posts/:rkey', postLimiter, requireScope({ collection: POST_COLLECTION, action: 'delete' }), async (req, res) => {
+    const did = getActiveDid(req);
+    if (!did) {
+        return res.status(401).json({ error: 'Not logged in' });
+    }
+
+    const { rkey } = req.params;
+
+    // Input Validation
+    const validation = validateRecordKey(rkey);
+    if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    try {
+        const result = await deletePost(did, req.app.locals.oauthClient, rkey);
+        if (result.expired) {
+            return res.status(401).json({ error: result.error });
+        }
+        if (result.error) {
+            return res.status(404).json({ error: result.error });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Delete post error:', err);
+        res.status(500).json({ error: 'Failed to delete post' });
+    }
+});
+
 module.exports = router;
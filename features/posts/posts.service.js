@@ -4,14 +4,39 @@
  * Handles post creation and validation.
  */
 
+const { RichText } = require('@atproto/api');
+const { imageSize } = require('image-size');
 const { getAgent } = require('../../utils/agent');
 
+// Image attachment limits (the PDS rejects post images over 1MB)
+const MAX_IMAGES = 4;
+const MAX_IMAGE_SIZE = 1000000; // bytes
+const MAX_ALT_TEXT_LENGTH = 2000;
+
+// AT-URI of a post record: at://<did or handle>/app.bsky.feed.post/<rkey>
+const POST_URI_PATTERN = /^at:\/\/(did:[a-z]+:[a-zA-Z0-9._:%-]+|[a-zA-Z0-9.-]+)\/app\.bsky\.feed\.post\/[a-zA-Z0-9._:~-]{1,512}$/;
+// Record keys of posts in the user's own repo
+const RECORD_KEY_PATTERN = /^[a-zA-Z0-9._:~-]{1,512}$/;
+
+// Accepted MIME types, mapped to the format detected from the file contents
+const IMAGE_TYPES = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif'
+};
+
 /**
  * Validate post text
  * @param {string} text - Post text to validate
+ * @param {boolean} [hasImages=false] - Whether images are attached (text may then be empty)
  * @returns {{valid: boolean, error?: string}}
  */
-function validatePostText(text) {
+function validatePostText(text, hasImages = false) {
+    if (hasImages && (text === undefined || text === '')) {
+        return { valid: true };
+    }
+
     if (!text || typeof text !== 'string') {
         return { valid: false, error: 'Text required' };
     }
@@ -23,20 +48,518 @@ function validatePostText(text) {
     return { valid: true };
 }
 
+/**
+ * Validate the optional reply and quote targets of a post
+ * @param {Object} targets
+ * @param {string} [targets.replyTo] - AT-URI of the post being replied to
+ * @param {string} [targets.quote] - AT-URI of the post being quoted
+ * @returns {{valid: boolean, error?: string}}
+ */
+function validatePostTargets({ replyTo, quote } = {}) {
+    if (replyTo !== undefined && (typeof replyTo !== 'string' || !POST_URI_PATTERN.test(replyTo))) {
+        return { valid: false, error: 'Invalid replyTo URI' };
+    }
+
+    if (quote !== undefined && (typeof quote !== 'string' || !POST_URI_PATTERN.test(quote))) {
+        return { valid: false, error: 'Invalid quote URI' };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Validate a post reference (the subject of a like or repost)
+ * @param {Object} ref
+ * @param {string} ref.uri - AT-URI of the post
+ * @param {string} [ref.cid] - CID of the post
+ * @param {boolean} [requireCid=true] - Whether the CID is required (it is when creating a record)
+ * @returns {{valid: boolean, error?: string}}
+ */
+function validatePostRef({ uri, cid } = {}, requireCid = true) {
+    if (typeof uri !== 'string' || !POST_URI_PATTERN.test(uri)) {
+        return { valid: false, error: 'Invalid post URI' };
+    }
+
+    if ((requireCid || cid !== undefined) && (typeof cid !== 'string' || !/^[a-zA-Z0-9]+$/.test(cid))) {
+        return { valid: false, error: 'Invalid post CID' };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Validate the AT-URI of one of the user's like or repost records
+ * @param {string} record - AT-URI of the record
+ * @param {string} did - User's DID
+ * @param {string} collection - Expected collection (app.bsky.feed.like or app.bsky.feed.repost)
+ * @returns {{valid: boolean, error?: string}}
+ */
+function validateInteractionRecord(record, did, collection) {
+    const prefix = `at://${did}/${collection}/`;
+    if (typeof record !== 'string' || !record.startsWith(prefix) || !RECORD_KEY_PATTERN.test(record.slice(prefix.length))) {
+        return { valid: false, error: 'Invalid record URI' };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Validate the record key of one of the user's posts
+ * @param {string} rkey - Record key from the post's AT-URI
+ * @returns {{valid: boolean, error?: string}}
+ */
+function validateRecordKey(rkey) {
+    if (typeof rkey !== 'string' || !RECORD_KEY_PATTERN.test(rkey) || rkey === '.' || rkey === '..') {
+        return { valid: false, error: 'Invalid post ID' };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Validate uploaded image attachments
+ * The file contents are checked, not just the MIME type the browser declared.
+ * @param {Array<{buffer: Buffer, mimetype: string, size: number}>} files - Uploaded files
+ * @param {string[]} altTexts - Alt text for each file, in the same order
+ * @returns {{valid: boolean, error?: string, images?: Array<{data: Buffer, mimeType: string, alt: string, aspectRatio: {width: number, height: number}}>}}
+ */
+function validateImages(files, altTexts = []) {
+    if (files.length > MAX_IMAGES) {
+        return { valid: false, error: `Too many images (max ${MAX_IMAGES})` };
+    }
+
+    const images = [];
+    for (const [i, file] of files.entries()) {
+        const expectedType = IMAGE_TYPES[file.mimetype];
+        if (!expectedType) {
+            return { valid: false, error: 'Unsupported image type (use JPEG, PNG, WebP or GIF)' };
+        }
+
+        if (file.size > MAX_IMAGE_SIZE) {
+            return { valid: false, error: 'Image too large (max 1MB)' };
+        }
+
+        let dimensions;
+        try {
+            dimensions = imageSize(file.buffer);
+        } catch (err) {
+            return { valid: false, error: 'Invalid image file' };
+        }
+        if (dimensions.type !== expectedType || !dimensions.width || !dimensions.height) {
+            return { valid: false, error: 'Invalid image file' };
+        }
+
+        const alt = altTexts[i] ?? '';
+        if (typeof alt !== 'string' || alt.length > MAX_ALT_TEXT_LENGTH) {
+            return { valid: false, error: `Alt text too long (max ${MAX_ALT_TEXT_LENGTH} chars)` };
+        }
+
+        images.push({
+            data: file.buffer,
+            mimeType: file.mimetype,
+            alt,
+            aspectRatio: { width: dimensions.width, height: dimensions.height }
+        });
+    }
+
+    return { valid: true, images };
+}
+
+/**
+ * Upload images to the user's PDS and build an images embed
+ * @param {Object} agent - Agent for the posting user
+ * @param {Array} images - Validated images from validateImages
+ * @returns {Promise<Object>} app.bsky.embed.images embed
+ */
+async function uploadImages(agent, images) {
+    const uploads = await Promise.all(images.map(image =>
+        agent.uploadBlob(image.data, { encoding: image.mimeType })
+    ));
+
+    return {
+        $type: 'app.bsky.embed.images',
+        images: images.map((image, i) => ({
+            image: uploads[i].data.blob,
+            alt: image.alt,
+            aspectRatio: image.aspectRatio
+        }))
+    };
+}
+
+/**
+ * Check whether a post view is the post an AT-URI points to
+ * The AppView always returns DID-form URIs, while the requested URI may name the author by handle.
+ * @param {Object} post - PostView from the AppView
+ * @param {string} uri - AT-URI of a post (validated with POST_URI_PATTERN)
+ * @returns {boolean}
+ */
+function matchesPostUri(post, uri) {
+    const [authority, , rkey] = uri.slice('at://'.length).split('/');
+    const [postDid, , postRkey] = post.uri.slice('at://'.length).split('/');
+
+    if (rkey !== postRkey) {
+        return false;
+    }
+    return authority.startsWith('did:')
+        ? authority === postDid
+        : authority.toLowerCase() === post.author?.handle?.toLowerCase();
+}
+
+/**
+ * Resolve reply and quote targets into strong refs
+ * @param {Object} agent - Agent for the posting user
+ * @param {Object} targets
+ * @param {string} [targets.replyTo] - AT-URI of the post being replied to
+ * @param {string} [targets.quote] - AT-URI of the post being quoted
+ * @returns {Promise<{reply?: Object, quoteRef?: Object, error?: string}>} Reply refs and quote ref, or an error if a target doesn't exist
+ */
+async function resolvePostTargets(agent, { replyTo, quote } = {}) {
+    const uris = [replyTo, quote].filter(Boolean);
+    if (uris.length === 0) {
+        return {};
+    }
+
+    const response = await agent.getPosts({ uris });
+    const findPost = (uri) => response.data.posts.find(post => matchesPostUri(post, uri));
+    const result = {};
+
+    if (replyTo) {
+        const parent = findPost(replyTo);
+        if (!parent) {
+            return { error: 'Post being replied to was not found' };
+        }
+
+        const parentRef = { uri: parent.uri, cid: parent.cid };
+        // A reply to a reply shares the thread's root; otherwise the parent is the root
+        const root = parent.record?.reply?.root;
+        result.reply = {
+            root: root ? { uri: root.uri, cid: root.cid } : parentRef,
+            parent: parentRef
+        };
+    }
+
+    if (quote) {
+        const quoted = findPost(quote);
+        if (!quoted) {
+            return { error: 'Quoted post was not found' };
+        }
+        result.quoteRef = { uri: quoted.uri, cid: quoted.cid };
+    }
+
+    return result;
+}
+
+/**
+ * Build the embed for a post from its images and quoted post
+ * @param {Object} [imagesEmbed] - app.bsky.embed.images embed
+ * @param {Object} [quoteRef] - Strong ref of the quoted post
+ * @returns {Object|undefined} Post embed
+ */
+function buildEmbed(imagesEmbed, quoteRef) {
+    if (quoteRef && imagesEmbed) {
+        return {
+            $type: 'app.bsky.embed.recordWithMedia',
+            record: { $type: 'app.bsky.embed.record', record: quoteRef },
+            media: imagesEmbed
+        };
+    }
+    if (quoteRef) {
+        return { $type: 'app.bsky.embed.record', record: quoteRef };
+    }
+    return imagesEmbed;
+}
+
+/**
+ * Detect rich text facets (mentions, links and hashtags) in post text
+ * Facet ranges are UTF-8 byte offsets, as required by app.bsky.richtext.facet.
+ * @param {string} text - Post text
+ * @param {Object} agent - Agent used to resolve mentioned handles to DIDs
+ * @returns {Promise<Array|undefined>} Facets, or undefined if the text has none
+ */
+async function detectFacets(text, agent) {
+    const richText = new RichText({ text });
+    await richText.detectFacets(agent);
+
+    // Mentions of handles that could not be resolved are left with an empty DID - drop them
+    const facets = (richText.facets || [])
+        .map(facet => ({
+            ...facet,
+            features: facet.features.filter(feature =>
+                feature.$type !== 'app.bsky.richtext.facet#mention' || feature.did
+            )
+        }))
+        .filter(facet => facet.features.length > 0);
+
+    return facets.length > 0 ? facets : undefined;
+}
+
 /**
  * Create a post on Bluesky
  * @param {string} did - User's DID
  * @param {string} text - Post text
  * @param {Object} oauthClient - OAuth client instance
- * @returns {Promise<void>}
+ * @param {Object} [options]
+ * @param {Array} [options.images] - Validated images from validateImages
+ * @param {string} [options.replyTo] - AT-URI of the post being replied to
+ * @param {string} [options.quote] - AT-URI of the post being quoted
+ * @returns {Promise<{uri?: string, cid?: string, error?: string, expired?: boolean}>} The new post, or an error if a reply/quote target doesn't exist or the session has expired
  */
-async function createPost(did, text, oauthClient) {
+async function createPost(did, text, oauthClient, { images = [], replyTo, quote } = {}) {
     const agent = await getAgent(did, oauthClient);
+    if (!agent) {
+        return { error: 'Session expired', expired: true };
+    }
+
+    const targets = await resolvePostTargets(agent, { replyTo, quote });
+    if (targets.error) {
+        return { error: targets.error };
+    }
 
-    await agent.post({
+    const facets = await detectFacets(text, agent);
+    const imagesEmbed = images.length > 0 ? await uploadImages(agent, images) : undefined;
+
+    const result = await agent.post({
         text: text,
+        facets,
+        reply: targets.reply,
+        embed: buildEmbed(imagesEmbed, targets.quoteRef),
         createdAt: new Date().toISOString()
     });
+
+    return { uri: result.uri, cid: result.cid };
+}
+
+/**
+ * Fetch one of the user's own post records
+ * Only the user's own repo is read, so a record that is found is always theirs.
+ * @param {Object} agent - Agent for the posting user
+ * @param {string} did - User's DID
+ * @param {string} rkey - Record key of the post
+ * @returns {Promise<{uri: string, cid: string, value: Object}|null>} The post record, or null if it doesn't exist
+ */
+async function getOwnPost(agent, did, rkey) {
+    try {
+        const response = await agent.com.atproto.repo.getRecord({
+            repo: did,
+            collection: 'app.bsky.feed.post',
+            rkey
+        });
+        return response.data;
+    } catch (err) {
+        if (err.error === 'RecordNotFound') {
+            return null;
+        }
+        throw err;
+    }
+}
+
+/**
+ * Delete one of the user's posts
+ * @param {string} did - User's DID
+ * @param {Object} oauthClient - OAuth client instance
+ * @param {string} rkey - Record key of the post
+ * @returns {Promise<{deleted?: boolean, error?: string, expired?: boolean}>} Whether the post was deleted, or an error if it doesn't exist or the session has expired
+ */
+async function deletePost(did, oauthClient, rkey) {
+    const agent = await getAgent(did, oauthClient);
+    if (!agent) {
+        return { error: 'Session expired', expired: true };
+    }
+
+    const post = await getOwnPost(agent, did, rkey);
+    if (!post) {
+        return { error: 'Post not found' };
+    }
+
+    await agent.com.atproto.repo.deleteRecord({
+        repo: did,
+        collection: 'app.bsky.feed.post',
+        rkey,
+        swapRecord: post.cid
+    });
+    return { deleted: true };
+}
+
+/**
+ * Edit the text of one of the user's posts
+ * The record is updated in place, keeping its createdAt, reply, embed and languages.
+ * @param {string} did - User's DID
+ * @param {Object} oauthClient - OAuth client instance
+ * @param {string} rkey - Record key of the post
+ * @param {string} text - New post text
+ * @returns {Promise<{uri?: string, cid?: string, facets?: Array, error?: string, expired?: boolean}>} The updated post, or an error if it doesn't exist, the text is invalid or the session has expired
+ */
+async function editPost(did, oauthClient, rkey, text) {
+    const agent = await getAgent(did, oauthClient);
+    if (!agent) {
+        return { error: 'Session expired', expired: true };
+    }
+
+    const post = await getOwnPost(agent, did, rkey);
+    if (!post) {
+        return { error: 'Post not found' };
+    }
+
+    // Posts with images may have empty text, as when they were created
+    const embed = post.value.embed;
+    const hasImages = Boolean(embed?.images || embed?.media?.images);
+    const validation = validatePostText(text, hasImages);
+    if (!validation.valid) {
+        return { error: validation.error };
+    }
+
+    const record = {
+        ...post.value,
+        text,
+        facets: await detectFacets(text, agent)
+    };
+    if (!record.facets) {
+        delete record.facets;
+    }
+
+    // swapRecord rejects the update if the post changed since it was read
+    const result = await agent.com.atproto.repo.putRecord({
+        repo: did,
+        collection: 'app.bsky.feed.post',
+        rkey,
+        record,
+        swapRecord: post.cid
+    });
+
+    return { uri: result.data.uri, cid: result.data.cid, facets: record.facets || [] };
+}
+
+/**
+ * Get the viewer's like and repost record URIs for a post
+ * @param {Object} agent - Agent for the viewing user
+ * @param {string} uri - AT-URI of the post
+ * @returns {Promise<{like?: string, repost?: string}|null>} Viewer state, or null if the post doesn't exist
+ */
+async function getViewerState(agent, uri) {
+    const response = await agent.getPosts({ uris: [uri] });
+    const post = response.data.posts.find(candidate => matchesPostUri(candidate, uri));
+    return post ? (post.viewer || {}) : null;
+}
+
+/**
+ * Like a post
+ * @param {string} did - User's DID
+ * @param {Object} oauthClient - OAuth client instance
+ * @param {string} uri - AT-URI of the post
+ * @param {string} cid - CID of the post
+ * @returns {Promise<{uri?: string, error?: string, expired?: boolean}>} The like record, or an error if the session has expired
+ */
+async function likePost(did, oauthClient, uri, cid) {
+    const agent = await getAgent(did, oauthClient);
+    if (!agent) {
+        return { error: 'Session expired', expired: true };
+    }
+
+    const like = await agent.like(uri, cid);
+    return { uri: like.uri };
+}
+
+/**
+ * Remove the user's like from a post
+ * The AppView's viewer state lags behind the PDS, so a like the client just
+ * created is deleted by its record URI; viewer state is only the fallback.
+ * @param {string} did - User's DID
+ * @param {Object} oauthClient - OAuth client instance
+ * @param {string} uri - AT-URI of the post
+ * @param {string} [record] - AT-URI of the like record, if the client knows it
+ * @returns {Promise<{removed?: boolean, error?: string, expired?: boolean}>} Whether a like was removed, or an error if the post doesn't exist or the session has expired
+ */
+async function unlikePost(did, oauthClient, uri, record) {
+    const agent = await getAgent(did, oauthClient);
+    if (!agent) {
+        return { error: 'Session expired', expired: true };
+    }
+
+    if (record) {
+        await agent.deleteLike(record);
+        return { removed: true };
+    }
+
+    const viewer = await getViewerState(agent, uri);
+    if (!viewer) {
+        return { error: 'Post not found' };
+    }
+
+    if (!viewer.like) {
+        return { removed: false };
+    }
+    await agent.deleteLike(viewer.like);
+    return { removed: true };
+}
+
+/**
+ * Repost a post
+ * @param {string} did - User's DID
+ * @param {Object} oauthClient - OAuth client instance
+ * @param {string} uri - AT-URI of the post
+ * @param {string} cid - CID of the post
+ * @returns {Promise<{uri?: string, error?: string, expired?: boolean}>} The repost record, or an error if the session has expired
+ */
+async function repostPost(did, oauthClient, uri, cid) {
+    const agent = await getAgent(did, oauthClient);
+    if (!agent) {
+        return { error: 'Session expired', expired: true };
+    }
+
+    const repost = await agent.repost(uri, cid);
+    return { uri: repost.uri };
+}
+
+/**
+ * Remove the user's repost of a post
+ * Like unlikePost, prefers the repost record URI over the AppView's viewer state.
+ * @param {string} did - User's DID
+ * @param {Object} oauthClient - OAuth client instance
+ * @param {string} uri - AT-URI of the post
+ * @param {string} [record] - AT-URI of the repost record, if the client knows it
+ * @returns {Promise<{removed?: boolean, error?: string, expired?: boolean}>} Whether a repost was removed, or an error if the post doesn't exist or the session has expired
+ */
+async function unrepostPost(did, oauthClient, uri, record) {
+    const agent = await getAgent(did, oauthClient);
+    if (!agent) {
+        return { error: 'Session expired', expired: true };
+    }
+
+    if (record) {
+        await agent.deleteRepost(record);
+        return { removed: true };
+    }
+
+    const viewer = await getViewerState(agent, uri);
+    if (!viewer) {
+        return { error: 'Post not found' };
+    }
+
+    if (!viewer.repost) {
+        return { removed: false };
+    }
+    await agent.deleteRepost(viewer.repost);
+    return { removed: true };
 }
 
-module.exports = { validatePostText, createPost };
+module.exports = {
+    MAX_IMAGES,
+    MAX_IMAGE_SIZE,
+    validatePostText,
+    validatePostTargets,
+    validatePostRef,
+    validateInteractionRecord,
+    validateRecordKey,
+    validateImages,
+    resolvePostTargets,
+    buildEmbed,
+    detectFacets,
+    uploadImages,
+    createPost,
+    deletePost,
+    editPost,
+    likePost,
+    unlikePost,
+    repostPost,
+    unrepostPost
+};
@@ -3,10 +3,23 @@
  *
  * Handles user profile endpoints:
  * - GET /api/me - Get current authenticated user's profile
+ * - GET /api/profile/:actor - Get any user's profile
+ * - GET /api/profile/:actor/feed - Get a user's posts
+ * - GET /api/profile/:actor/followers - Get the accounts that follow a user
+ * - GET /api/profile/:actor/following - Get the accounts a user follows
  */
 
 const express = require('express');
-const { getCurrentUserProfile } = require('./profile.service');
+const { getActiveDid } = require('../../utils/accounts');
+const {
+    AUTHOR_FEED_FILTERS,
+    getCurrentUserProfile,
+    validateActor,
+    getProfile,
+    getAuthorFeed,
+    getFollowers,
+    getFollows
+} = require('./profile.service');
 
 const router = express.Router();
 
@@ -15,7 +28,7 @@ const router = express.Router();
  * Get current authenticated user's profile
  */
 router.get('/me', async (req, res) => {
-    const did = req.signedCookies.user_did;
+    const did = getActiveDid(req);
 
     try {
         const profile = await getCurrentUserProfile(did, req.app.locals.oauthClient);
@@ -27,4 +40,140 @@ router.get('/me', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/profile/:actor
+ * Get a user's profile, including counts and whether the viewer follows them
+ * Params:
+ *   - actor: handle or DID
+ */
+router.get('/profile/:actor', async (req, res) => {
+    const did = getActiveDid(req);
+    if (!did) {
+        return res.status(401).json({ error: 'Not logged in' });
+    }
+
+    const { actor } = req.params;
+
+    // Input Validation
+    const validation = validateActor(actor);
+    if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    try {
+        const profile = await getProfile(did, req.app.locals.oauthClient, actor);
+        if (profile.expired) {
+            return res.status(401).json({ error: profile.error });
+        }
+        if (profile.error) {
+            return res.status(404).json({ error: profile.error });
+        }
+        res.json(profile);
+    } catch (err) {
+        console.error('Profile error:', err);
+        res.status(500).json({ error: 'Failed to fetch profile' });
+    }
+});
+
+/**
+ * GET /api/profile/:actor/feed
+ * Get a user's posts
+ * Query params:
+ *   - filter: posts_with_replies (default), posts_no_replies or posts_with_media
+ *   - cursor: pagination cursor for next page
+ *   - limit: number of posts (default 20, max 50)
+ */
+router.get('/profile/:actor/feed', async (req, res) => {
+    const did = getActiveDid(req);
+    if (!did) {
+        return res.status(401).json({ error: 'Not logged in' });
+    }
+
+    const { actor } = req.params;
+    const filter = req.query.filter || 'posts_with_replies';
+    const cursor = req.query.cursor || undefined;
+    let limit = parseInt(req.query.limit, 10) || 20;
+    limit = Math.min(Math.max(limit, 1), 50); // Clamp between 1 and 50
+
+    // Input Validation
+    const validation = validateActor(actor);
+    if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+    }
+    if (!AUTHOR_FEED_FILTERS.includes(filter)) {
+        return res.status(400).json({ error: 'Invalid filter' });
+    }
+
+    try {
+        const feed = await getAuthorFeed(did, req.app.locals.oauthClient, actor, { filter, cursor, limit });
+        if (feed.expired) {
+            return res.status(401).json({ error: feed.error });
+        }
+        if (feed.error) {
+            return res.status(404).json({ error: feed.error });
+        }
+        res.json(feed);
+    } catch (err) {
+        console.error('Author feed error:', err);
+        res.status(500).json({ error: 'Failed to fetch posts' });
+    }
+});
+
+/**
+ * Build a handler for a paginated follower/following list
+ * @param {Function} list - Service function (did, oauthClient, actor, cursor, limit)
+ * @param {string} failureMessage - Error message for unexpected failures
+ */
+function actorListHandler(list, failureMessage) {
+    return async (req, res) => {
+        const did = getActiveDid(req);
+        if (!did) {
+            return res.status(401).json({ error: 'Not logged in' });
+        }
+
+        const { actor } = req.params;
+        const cursor = req.query.cursor || undefined;
+        let limit = parseInt(req.query.limit, 10) || 20;
+        limit = Math.min(Math.max(limit, 1), 50); // Clamp between 1 and 50
+
+        // Input Validation
+        const validation = validateActor(actor);
+        if (!validation.valid) {
+            return res.status(400).json({ error: validation.error });
+        }
+
+        try {
+            const result = await list(did, req.app.locals.oauthClient, actor, cursor, limit);
+            if (result.expired) {
+                return res.status(401).json({ error: result.error });
+            }
+            if (result.error) {
+                return res.status(404).json({ error: result.error });
+            }
+            res.json(result);
+        } catch (err) {
+            console.error(`${failureMessage}:`, err);
+            res.status(500).json({ error: failureMessage });
+        }
+    };
+}
+
+/**
+ * GET /api/profile/:actor/followers
+ * Get the accounts that follow a user
+ * Query params:
+ *   - cursor: pagination cursor for next page
+ *   - limit: number of accounts (default 20, max 50)
+ */
+router.get('/profile/:actor/followers', actorListHandler(getFollowers, 'Failed to fetch followers'));
+
+/**
+ * GET /api/profile/:actor/following
+ * Get the accounts a user follows
+ * Query params:
+ *   - cursor: pagination cursor for next page
+ *   - limit: number of accounts (default 20, max 50)
+ */
+router.get('/profile/:actor/following', actorListHandler(getFollows, 'Failed to fetch followed accounts'));
+
 module.exports = router;
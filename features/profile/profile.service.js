@@ -1,10 +1,27 @@
 /**
  * Profile Service
  *
- * Handles user profile operations including fetching current user data.
+ * Handles user profile operations including fetching current user data,
+ * other users' profiles, their author feeds and follower/following lists.
  */
 
 const { getAgent } = require('../../utils/agent');
+const { normalizeFeedItem } = require('../feed/feed.service');
+
+// Author feed filters supported by app.bsky.feed.getAuthorFeed
+const AUTHOR_FEED_FILTERS = ['posts_with_replies', 'posts_no_replies', 'posts_with_media'];
+
+const DID_PATTERN = /^did:[a-z]+:[a-zA-Z0-9._:%-]+$/;
+const HANDLE_PATTERN = /^([a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?\.)+[a-zA-Z]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?$/;
+
+// AppView errors meaning the profile can't be shown
+const UNAVAILABLE_ERRORS = {
+    InvalidRequest: 'Profile not found',
+    AccountTakedown: 'Profile not found',
+    AccountDeactivated: 'Profile not found',
+    BlockedActor: 'You have blocked this account',
+    BlockedByActor: 'This account has blocked you'
+};
 
 /**
  * Get current user's profile
@@ -34,4 +51,204 @@ async function getCurrentUserProfile(did, oauthClient) {
     };
 }
 
-module.exports = { getCurrentUserProfile };
+/**
+ * Validate an actor (a handle or DID)
+ * @param {string} actor - Handle or DID
+ * @returns {{valid: boolean, error?: string}}
+ */
+function validateActor(actor) {
+    if (typeof actor !== 'string' || actor.length > 253 || !(DID_PATTERN.test(actor) || HANDLE_PATTERN.test(actor))) {
+        return { valid: false, error: 'Invalid handle or DID' };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Normalize a detailed profile view
+ * @param {Object} profile - ProfileViewDetailed from the AppView
+ * @returns {Object} Normalized profile
+ */
+function normalizeProfile(profile) {
+    return {
+        did: profile.did,
+        handle: profile.handle,
+        displayName: profile.displayName || profile.handle,
+        description: profile.description || '',
+        avatar: profile.avatar,
+        banner: profile.banner,
+        followersCount: profile.followersCount || 0,
+        followsCount: profile.followsCount || 0,
+        postsCount: profile.postsCount || 0,
+        // The viewer's relationship to this account
+        viewer: {
+            following: profile.viewer?.following || null,
+            followedBy: profile.viewer?.followedBy || null,
+            blocking: Boolean(profile.viewer?.blocking),
+            blockedBy: Boolean(profile.viewer?.blockedBy),
+            muted: Boolean(profile.viewer?.muted)
+        }
+    };
+}
+
+/**
+ * Turn AppView errors for unavailable profiles into an error result
+ * @param {Error} err - Error thrown by the agent
+ * @returns {{error: string}} Error result
+ * @throws {Error} If the error is not about the profile being unavailable
+ */
+function unavailableError(err) {
+    if (UNAVAILABLE_ERRORS[err.error]) {
+        return { error: UNAVAILABLE_ERRORS[err.error] };
+    }
+    throw err;
+}
+
+/**
+ * Fetch a user's profile with an existing agent
+ * @param {Object} agent - Agent for the viewing user
+ * @param {string} actor - Handle or DID of the profile
+ * @returns {Promise<Object>} Normalized profile, or an error if the profile is unavailable
+ */
+async function fetchProfile(agent, actor) {
+    try {
+        const response = await agent.getProfile({ actor });
+        return normalizeProfile(response.data);
+    } catch (err) {
+        return unavailableError(err);
+    }
+}
+
+/**
+ * Get any user's profile
+ * @param {string} did - Viewing user's DID
+ * @param {Object} oauthClient - OAuth client instance
+ * @param {string} actor - Handle or DID of the profile
+ * @returns {Promise<Object>} Normalized profile, or an error if the profile is unavailable or the session has expired
+ */
+async function getProfile(did, oauthClient, actor) {
+    const agent = await getAgent(did, oauthClient);
+    if (!agent) {
+        return { error: 'Session expired', expired: true };
+    }
+
+    return fetchProfile(agent, actor);
+}
+
+/**
+ * Get a user's author feed
+ * @param {string} did - Viewing user's DID
+ * @param {Object} oauthClient - OAuth client instance
+ * @param {string} actor - Handle or DID of the author
+ * @param {Object} [options]
+ * @param {string} [options.filter='posts_with_replies'] - One of AUTHOR_FEED_FILTERS
+ * @param {string} [options.cursor] - Pagination cursor
+ * @param {number} [options.limit=20] - Number of posts to fetch
+ * @returns {Promise<{posts?: Array, cursor?: string, error?: string, expired?: boolean}>} Posts, or an error if the profile is unavailable or the session has expired
+ */
+async function getAuthorFeed(did, oauthClient, actor, { filter = 'posts_with_replies', cursor, limit = 20 } = {}) {
+    const agent = await getAgent(did, oauthClient);
+    if (!agent) {
+        return { error: 'Session expired', expired: true };
+    }
+
+    let response;
+    try {
+        response = await agent.getAuthorFeed({ actor, filter, cursor, limit });
+    } catch (err) {
+        return unavailableError(err);
+    }
+
+    return {
+        posts: response.data.feed.map(normalizeFeedItem),
+        cursor: response.data.cursor || null
+    };
+}
+
+/**
+ * Normalize an account in a follower/following list
+ * @param {Object} profile - ProfileView from the AppView
+ * @returns {Object} Normalized account with the viewer's follow state
+ */
+function normalizeListedActor(profile) {
+    return {
+        did: profile.did,
+        handle: profile.handle,
+        displayName: profile.displayName || profile.handle,
+        description: profile.description || '',
+        avatar: profile.avatar,
+        viewer: {
+            following: profile.viewer?.following || null,
+            followedBy: profile.viewer?.followedBy || null
+        }
+    };
+}
+
+/**
+ * Get the accounts that follow a user
+ * @param {string} did - Viewing user's DID
+ * @param {Object} oauthClient - OAuth client instance
+ * @param {string} actor - Handle or DID of the user
+ * @param {string} [cursor] - Pagination cursor
+ * @param {number} [limit=20] - Number of accounts to fetch
+ * @returns {Promise<{actors?: Array, cursor?: string, error?: string, expired?: boolean}>} Followers, or an error if the profile is unavailable or the session has expired
+ */
+async function getFollowers(did, oauthClient, actor, cursor, limit = 20) {
+    const agent = await getAgent(did, oauthClient);
+    if (!agent) {
+        return { error: 'Session expired', expired: true };
+    }
+
+    let response;
+    try {
+        response = await agent.getFollowers({ actor, cursor, limit });
+    } catch (err) {
+        return unavailableError(err);
+    }
+
+    return {
+        actors: response.data.followers.map(normalizeListedActor),
+        cursor: response.data.cursor || null
+    };
+}
+
+/**
+ * Get the accounts a user follows
+ * @param {string} did - Viewing user's DID
+ * @param {Object} oauthClient - OAuth client instance
+ * @param {string} actor - Handle or DID of the user
+ * @param {string} [cursor] - Pagination cursor
+ * @param {number} [limit=20] - Number of accounts to fetch
+ * @returns {Promise<{actors?: Array, cursor?: string, error?: string, expired?: boolean}>} Followed accounts, or an error if the profile is unavailable or the session has expired
+ */
+async function getFollows(did, oauthClient, actor, cursor, limit = 20) {
+    const agent = await getAgent(did, oauthClient);
+    if (!agent) {
+        return { error: 'Session expired', expired: true };
+    }
+
+    let response;
+    try {
+        response = await agent.getFollows({ actor, cursor, limit });
+    } catch (err) {
+        return unavailableError(err);
+    }
+
+    return {
+        actors: response.data.follows.map(normalizeListedActor),
+        cursor: response.data.cursor || null
+    };
+}
+
+module.exports = {
+    AUTHOR_FEED_FILTERS,
+    getCurrentUserProfile,
+    validateActor,
+    normalizeProfile,
+    normalizeListedActor,
+    fetchProfile,
+    getProfile,
+    getAuthorFeed,
+    getFollowers,
+    getFollows
+};
@@ -0,0 +1,179 @@
+/**
+ * Search Routes
+ *
+ * Handles search endpoints:
+ * - GET /api/search/posts - Search posts
+ * - GET /api/search/actors - Search accounts
+ * - GET /api/search/actors/typeahead - Suggest accounts for mention autocomplete
+ * - GET /api/login/suggest - Suggest accounts on the login form (no session needed)
+ */
+
+const express = require('express');
+const { suggestLimiter } = require('../../config/security');
+const { getActiveDid } = require('../../utils/accounts');
+const {
+    validateQuery,
+    validatePostFilters,
+    searchPosts,
+    searchActors,
+    typeaheadActors,
+    suggestLoginActors
+} = require('./search.service');
+
+const router = express.Router();
+
+/**
+ * Parse the limit query parameter
+ * @param {string} value - Raw limit
+ * @param {number} fallback - Default limit
+ * @param {number} max - Maximum limit
+ * @returns {number}
+ */
+function parseLimit(value, fallback, max) {
+    const limit = parseInt(value, 10) || fallback;
+    return Math.min(Math.max(limit, 1), max);
+}
+
+/**
+ * GET /api/search/posts
+ * Search posts
+ * Query params:
+ *   - q: search query
+ *   - sort: top (default) or latest
+ *   - author: handle or DID (optional)
+ *   - since, until: date or datetime bounds (optional)
+ *   - lang: language code (optional)
+ *   - cursor: pagination cursor for next page
+ *   - limit: number of posts (default 25, max 50)
+ */
+router.get('/search/posts', async (req, res) => {
+    const did = getActiveDid(req);
+    if (!did) {
+        return res.status(401).json({ error: 'Not logged in' });
+    }
+
+    const { q, sort, author, since, until, lang } = req.query;
+    const filters = { sort, author, since, until, lang };
+    const cursor = req.query.cursor || undefined;
+    const limit = parseLimit(req.query.limit, 25, 50);
+
+    // Input Validation
+    const validation = validateQuery(q);
+    if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+    }
+    const filterValidation = validatePostFilters(filters);
+    if (!filterValidation.valid) {
+        return res.status(400).json({ error: filterValidation.error });
+    }
+
+    try {
+        const results = await searchPosts(did, req.app.locals.oauthClient, q, { ...filters, cursor, limit });
+        if (results.expired) {
+            return res.status(401).json({ error: results.error });
+        }
+        res.json(results);
+    } catch (err) {
+        console.error('Post search error:', err);
+        res.status(500).json({ error: 'Search failed' });
+    }
+});
+
+/**
+ * GET /api/search/actors
+ * Search accounts
+ * Query params:
+ *   - q: search query
+ *   - cursor: pagination cursor for next page
+ *   - limit: number of accounts (default 25, max 50)
+ */
+router.get('/search/actors', async (req, res) => {
+    const did = getActiveDid(req);
+    if (!did) {
+        return res.status(401).json({ error: 'Not logged in' });
+    }
+
+    const { q } = req.query;
+    const cursor = req.query.cursor || undefined;
+    const limit = parseLimit(req.query.limit, 25, 50);
+
+    // Input Validation
+    const validation = validateQuery(q);
+    if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    try {
+        const results = await searchActors(did, req.app.locals.oauthClient, q, cursor, limit);
+        if (results.expired) {
+            return res.status(401).json({ error: results.error });
+        }
+        res.json(results);
+    } catch (err) {
+        console.error('Actor search error:', err);
+        res.status(500).json({ error: 'Search failed' });
+    }
+});
+
+/**
+ * GET /api/search/actors/typeahead
+ * Suggest accounts for a partially typed handle or name
+ * Query params:
+ *   - q: partial handle or name
+ *   - limit: number of suggestions (default 8, max 10)
+ */
+router.get('/search/actors/typeahead', async (req, res) => {
+    const did = getActiveDid(req);
+    if (!did) {
+        return res.status(401).json({ error: 'Not logged in' });
+    }
+
+    const { q } = req.query;
+    const limit = parseLimit(req.query.limit, 8, 10);
+
+    // Input Validation
+    const validation = validateQuery(q);
+    if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    try {
+        const results = await typeaheadActors(did, req.app.locals.oauthClient, q, limit);
+        if (results.expired) {
+            return res.status(401).json({ error: results.error });
+        }
+        res.json(results);
+    } catch (err) {
+        console.error('Typeahead error:', err);
+        res.status(500).json({ error: 'Search failed' });
+    }
+});
+
+/**
+ * GET /api/login/suggest
+ * Suggest accounts while a handle is typed on the login form
+ * No session is needed, so this is rate limited per IP.
+ * Query params:
+ *   - q: partial handle or name
+ *   - limit: number of suggestions (default 6, max 10)
+ */
+router.get('/login/suggest', suggestLimiter, async (req, res) => {
+    const { q } = req.query;
+    const limit = parseLimit(req.query.limit, 6, 10);
+
+    // Input Validation
+    const validation = validateQuery(q);
+    if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    try {
+        const results = await suggestLoginActors(q, limit);
+        res.json(results);
+    } catch (err) {
+        console.error('Login suggestion error:', err);
+        res.status(500).json({ error: 'Search failed' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,174 @@
+/**
+ * Search Service
+ *
+ * Handles post and actor search, and actor typeahead for mention
+ * autocomplete and the login form. Results use the same shapes as feeds
+ * and profile lists.
+ */
+
+const { getAgent, getPublicAgent } = require('../../utils/agent');
+const { normalizeAuthor, normalizePost } = require('../feed/feed.service');
+const { validateActor, normalizeListedActor } = require('../profile/profile.service');
+
+const MAX_QUERY_LENGTH = 256;
+const SORT_ORDERS = ['top', 'latest'];
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-zA-Z0-9]{1,8})*$/;
+// Shorter login input matches too many accounts to be useful
+const MIN_SUGGEST_LENGTH = 2;
+
+/**
+ * Validate a search query
+ * @param {string} q - Search query
+ * @returns {{valid: boolean, error?: string}}
+ */
+function validateQuery(q) {
+    if (typeof q !== 'string' || !q.trim()) {
+        return { valid: false, error: 'Search query required' };
+    }
+
+    if (q.length > MAX_QUERY_LENGTH) {
+        return { valid: false, error: `Search query too long (max ${MAX_QUERY_LENGTH} chars)` };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Validate post search filters
+ * @param {Object} filters
+ * @param {string} [filters.sort] - 'top' or 'latest'
+ * @param {string} [filters.author] - Handle or DID of the author
+ * @param {string} [filters.since] - Earliest date or datetime
+ * @param {string} [filters.until] - Latest date or datetime
+ * @param {string} [filters.lang] - Language code, e.g. 'en' or 'pt-BR'
+ * @returns {{valid: boolean, error?: string}}
+ */
+function validatePostFilters({ sort, author, since, until, lang } = {}) {
+    if (sort !== undefined && !SORT_ORDERS.includes(sort)) {
+        return { valid: false, error: 'Invalid sort (use top or latest)' };
+    }
+
+    if (author !== undefined && !validateActor(author).valid) {
+        return { valid: false, error: 'Invalid author' };
+    }
+
+    for (const [name, value] of [['since', since], ['until', until]]) {
+        if (value !== undefined && (typeof value !== 'string' || Number.isNaN(Date.parse(value)))) {
+            return { valid: false, error: `Invalid ${name} date` };
+        }
+    }
+
+    if (lang !== undefined && (typeof lang !== 'string' || !LANGUAGE_PATTERN.test(lang))) {
+        return { valid: false, error: 'Invalid language' };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Search posts
+ * @param {string} did - User's DID
+ * @param {Object} oauthClient - OAuth client instance
+ * @param {string} q - Search query
+ * @param {Object} [options]
+ * @param {string} [options.sort] - 'top' or 'latest'
+ * @param {string} [options.author] - Only posts by this handle or DID
+ * @param {string} [options.since] - Only posts after this date
+ * @param {string} [options.until] - Only posts before this date
+ * @param {string} [options.lang] - Only posts in this language
+ * @param {string} [options.cursor] - Pagination cursor
+ * @param {number} [options.limit=25] - Number of posts to fetch
+ * @returns {Promise<{posts?: Array, cursor?: string, error?: string, expired?: boolean}>} Posts, or an error if the session has expired
+ */
+async function searchPosts(did, oauthClient, q, { sort, author, since, until, lang, cursor, limit = 25 } = {}) {
+    const agent = await getAgent(did, oauthClient);
+    if (!agent) {
+        return { error: 'Session expired', expired: true };
+    }
+
+    const response = await agent.app.bsky.feed.searchPosts({
+        q,
+        sort,
+        author,
+        // The AppView expects full datetimes
+        since: since && new Date(since).toISOString(),
+        until: until && new Date(until).toISOString(),
+        lang,
+        cursor,
+        limit
+    });
+
+    return {
+        posts: response.data.posts.map(normalizePost),
+        cursor: response.data.cursor || null
+    };
+}
+
+/**
+ * Search accounts by handle, display name and description
+ * @param {string} did - User's DID
+ * @param {Object} oauthClient - OAuth client instance
+ * @param {string} q - Search query
+ * @param {string} [cursor] - Pagination cursor
+ * @param {number} [limit=25] - Number of accounts to fetch
+ * @returns {Promise<{actors?: Array, cursor?: string, error?: string, expired?: boolean}>} Accounts, or an error if the session has expired
+ */
+async function searchActors(did, oauthClient, q, cursor, limit = 25) {
+    const agent = await getAgent(did, oauthClient);
+    if (!agent) {
+        return { error: 'Session expired', expired: true };
+    }
+
+    const response = await agent.searchActors({ q, cursor, limit });
+
+    return {
+        actors: response.data.actors.map(normalizeListedActor),
+        cursor: response.data.cursor || null
+    };
+}
+
+/**
+ * Suggest accounts for a partially typed handle or name
+ * @param {string} did - User's DID
+ * @param {Object} oauthClient - OAuth client instance
+ * @param {string} q - Partial handle or name (a leading @ is ignored)
+ * @param {number} [limit=8] - Number of suggestions
+ * @returns {Promise<{actors?: Array, error?: string, expired?: boolean}>} Suggestions, or an error if the session has expired
+ */
+async function typeaheadActors(did, oauthClient, q, limit = 8) {
+    const agent = await getAgent(did, oauthClient);
+    if (!agent) {
+        return { error: 'Session expired', expired: true };
+    }
+
+    const response = await agent.searchActorsTypeahead({ q: q.replace(/^@/, ''), limit });
+
+    return { actors: response.data.actors.map(normalizeAuthor) };
+}
+
+/**
+ * Suggest accounts for the login form
+ * Uses the public AppView since nobody is signed in. DIDs and server URLs get no suggestions.
+ * @param {string} q - What the user has typed so far
+ * @param {number} [limit=6] - Number of suggestions
+ * @returns {Promise<{actors: Array}>}
+ */
+async function suggestLoginActors(q, limit = 6) {
+    const term = q.trim().replace(/^@/, '');
+    if (term.length < MIN_SUGGEST_LENGTH || term.startsWith('did:') || /^https?:/i.test(term)) {
+        return { actors: [] };
+    }
+
+    const response = await getPublicAgent().searchActorsTypeahead({ q: term, limit });
+
+    return { actors: response.data.actors.map(normalizeAuthor) };
+}
+
+module.exports = {
+    validateQuery,
+    validatePostFilters,
+    searchPosts,
+    searchActors,
+    typeaheadActors,
+    suggestLoginActors
+};
@@ -0,0 +1,62 @@
+/**
+ * Sessions Routes
+ *
+ * Handles the devices an account is signed in on:
+ * - GET /api/sessions - List browser sessions for the active account
+ * - DELETE /api/sessions/:id - Sign out one of those sessions
+ */
+
+const express = require('express');
+const { getActiveSession, removeAccount } = require('../../utils/accounts');
+const { listSessions, endSession } = require('./sessions.service');
+
+const router = express.Router();
+
+/**
+ * GET /api/sessions
+ * List every browser session the active account is signed in on
+ */
+router.get('/sessions', async (req, res) => {
+    const active = getActiveSession(req);
+    if (!active) {
+        return res.status(401).json({ error: 'Not logged in' });
+    }
+
+    try {
+        const sessions = await listSessions(active.did, active.id);
+        res.json({ sessions });
+    } catch (err) {
+        console.error('Sessions error:', err);
+        res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+});
+
+/**
+ * DELETE /api/sessions/:id
+ * Sign the active account out of one browser session
+ */
+router.delete('/sessions/:id', async (req, res) => {
+    const active = getActiveSession(req);
+    if (!active) {
+        return res.status(401).json({ error: 'Not logged in' });
+    }
+
+    try {
+        const ended = await endSession(active.did, req.params.id);
+        if (!ended) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        // Ending the current session is the same as logging out here
+        if (ended.id === active.id) {
+            await removeAccount(req, res, active.did);
+        }
+
+        res.json({ success: true });
+    } catch (err) {
+        console.error('End session error:', err);
+        res.status(500).json({ error: 'Failed to end session' });
+    }
+});
+
+module.exports = router;
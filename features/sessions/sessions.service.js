@@ -0,0 +1,56 @@
+/**
+ * Sessions Service
+ *
+ * Handles listing and signing out the browser sessions of an account.
+ */
+
+const crypto = require('crypto');
+const db = require('../../db');
+
+/**
+ * Derive the public ID of a browser session
+ * The real session ID is a bearer credential, so it is never sent back to the client.
+ * @param {string} sessionId - Browser session ID
+ * @returns {string} Public session ID
+ */
+function toPublicId(sessionId) {
+    return crypto.createHash('sha256').update(sessionId).digest('base64url').slice(0, 22);
+}
+
+/**
+ * List the browser sessions signed in to an account
+ * @param {string} did - User's DID
+ * @param {string} currentSessionId - ID of the session making the request
+ * @returns {Promise<Array<{id: string, current: boolean, createdAt: string, lastSeenAt: string, ip: string|null, userAgent: string|null}>>}
+ */
+async function listSessions(did, currentSessionId) {
+    const sessions = await db.browserSessionStore.listByDid(did);
+
+    return sessions.map(session => ({
+        id: toPublicId(session.id),
+        current: session.id === currentSessionId,
+        createdAt: new Date(session.createdAt).toISOString(),
+        lastSeenAt: new Date(session.lastSeenAt).toISOString(),
+        ip: session.ip,
+        userAgent: session.userAgent
+    }));
+}
+
+/**
+ * Sign out one browser session of an account
+ * @param {string} did - User's DID
+ * @param {string} publicId - Public ID of the session to end
+ * @returns {Promise<Object|null>} The ended session, or null if the account has no such session
+ */
+async function endSession(did, publicId) {
+    const sessions = await db.browserSessionStore.listByDid(did);
+    const session = sessions.find(candidate => toPublicId(candidate.id) === publicId);
+    if (!session) {
+        return null;
+    }
+
+    await db.browserSessionStore.del(session.id);
+    return session;
+}
+
+module.exports = { listSessions, endSession };
@@ -0,0 +1,54 @@
+/**
+ * Thread Routes
+ *
+ * Handles thread endpoints:
+ * - GET /api/thread - Get a post with its parents and replies
+ */
+
+const express = require('express');
+const { getActiveDid } = require('../../utils/accounts');
+const { validatePostRef } = require('../posts/posts.service');
+const { MAX_DEPTH, getThread } = require('./thread.service');
+
+const router = express.Router();
+
+/**
+ * GET /api/thread
+ * Get the thread around a post
+ * Query params:
+ *   - uri: AT-URI of the post
+ *   - depth: levels of replies to include (default 6, max 10)
+ */
+router.get('/thread', async (req, res) => {
+    const did = getActiveDid(req);
+    if (!did) {
+        return res.status(401).json({ error: 'Not logged in' });
+    }
+
+    const { uri } = req.query;
+
+    // Input Validation
+    const validation = validatePostRef({ uri }, false);
+    if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    let depth = parseInt(req.query.depth, 10);
+    depth = Number.isNaN(depth) ? 6 : Math.min(Math.max(depth, 0), MAX_DEPTH); // Clamp between 0 and MAX_DEPTH
+
+    try {
+        const thread = await getThread(did, req.app.locals.oauthClient, uri, depth);
+        if (thread.expired) {
+            return res.status(401).json({ error: thread.error });
+        }
+        if (thread.error) {
+            return res.status(404).json({ error: thread.error });
+        }
+        res.json(thread);
+    } catch (err) {
+        console.error('Thread error:', err);
+        res.status(500).json({ error: 'Failed to fetch thread' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,140 @@
+/**
+ * Thread Service
+ *
+ * Handles fetching a post thread and normalizing it into the shape the
+ * frontend renders: the chain of parents, the post itself and its replies.
+ */
+
+const { getAgent } = require('../../utils/agent');
+const { normalizePost } = require('../feed/feed.service');
+
+const MAX_DEPTH = 10;
+
+/**
+ * Normalize a thread node that isn't a visible post
+ * The AppView reports deleted posts as not found.
+ * @param {Object} node - Thread node from the AppView
+ * @returns {Object|null} Placeholder node, or null if the node is not a post at all
+ */
+function normalizeUnavailable(node) {
+    switch (node.$type) {
+        case 'app.bsky.feed.defs#notFoundPost':
+            return { uri: node.uri, notFound: true };
+        case 'app.bsky.feed.defs#blockedPost':
+            return {
+                uri: node.uri,
+                blocked: true,
+                author: node.author?.did ? { did: node.author.did } : undefined
+            };
+        default:
+            // Unknown node types are skipped
+            return null;
+    }
+}
+
+/**
+ * Normalize a reply and its own replies
+ * @param {Object} node - Thread node from the AppView
+ * @returns {Object|null} Normalized reply with a replies array, or a placeholder
+ */
+function normalizeReply(node) {
+    if (node.$type !== 'app.bsky.feed.defs#threadViewPost') {
+        return normalizeUnavailable(node);
+    }
+
+    return {
+        ...normalizePost(node.post),
+        replies: normalizeReplies(node.replies)
+    };
+}
+
+/**
+ * Normalize a list of replies, dropping nodes that aren't posts
+ * @param {Array} [replies] - Reply nodes from the AppView
+ * @returns {Array} Normalized replies
+ */
+function normalizeReplies(replies) {
+    return (replies || []).map(normalizeReply).filter(Boolean);
+}
+
+/**
+ * Flatten the parent chain of a thread, root first
+ * @param {Object} [parent] - Parent node of the anchor post
+ * @returns {Array} Normalized parents
+ */
+function normalizeParents(parent) {
+    const parents = [];
+
+    let node = parent;
+    while (node) {
+        if (node.$type === 'app.bsky.feed.defs#threadViewPost') {
+            parents.unshift(normalizePost(node.post));
+            node = node.parent;
+        } else {
+            // Nothing above a blocked or missing parent can be fetched
+            const placeholder = normalizeUnavailable(node);
+            if (placeholder) {
+                parents.unshift(placeholder);
+            }
+            node = null;
+        }
+    }
+
+    return parents;
+}
+
+/**
+ * Normalize a getPostThread response
+ * @param {Object} thread - Root thread node from the AppView
+ * @returns {{parents: Array, post: Object, replies: Array}|{error: string}} Normalized thread, or an error if the post is unavailable
+ */
+function normalizeThread(thread) {
+    if (thread.$type !== 'app.bsky.feed.defs#threadViewPost') {
+        return {
+            error: thread.$type === 'app.bsky.feed.defs#blockedPost' ? 'Post is blocked' : 'Post not found'
+        };
+    }
+
+    return {
+        parents: normalizeParents(thread.parent),
+        post: normalizePost(thread.post),
+        replies: normalizeReplies(thread.replies)
+    };
+}
+
+/**
+ * Get the thread around a post
+ * @param {string} did - User's DID
+ * @param {Object} oauthClient - OAuth client instance
+ * @param {string} uri - AT-URI of the post
+ * @param {number} [depth=6] - How many levels of replies to fetch (at most MAX_DEPTH)
+ * @returns {Promise<{parents?: Array, post?: Object, replies?: Array, error?: string, expired?: boolean}>} Normalized thread, or an error if the post is unavailable or the session has expired
+ */
+async function getThread(did, oauthClient, uri, depth = 6) {
+    const agent = await getAgent(did, oauthClient);
+    if (!agent) {
+        return { error: 'Session expired', expired: true };
+    }
+
+    let response;
+    try {
+        response = await agent.getPostThread({
+            uri,
+            depth
+        });
+    } catch (err) {
+        // Deleted posts, and posts whose author no longer exists, are reported as NotFound
+        if (err.error === 'NotFound') {
+            return { error: 'Post not found' };
+        }
+        throw err;
+    }
+
+    return normalizeThread(response.data.thread);
+}
+
+module.exports = {
+    MAX_DEPTH,
+    normalizeThread,
+    getThread
+};
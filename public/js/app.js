@@ -5,127 +5,1503 @@
 // DOM Elements
 const loading = document.getElementById('loading');
 const loginSection = document.getElementById('loginSection');
+const loginErrorSection = document.getElementById('loginErrorSection');
 const appSection = document.getElementById('appSection');
 const loginForm = document.getElementById('loginForm');
+const loginModeBtn = document.getElementById('loginModeBtn');
+const handleInput = document.getElementById('handle');
+const loginSuggestions = document.getElementById('loginSuggestions');
 const feedContainer = document.getElementById('feedContainer');
 const feedLoading = document.getElementById('feedLoading');
 const loadMoreBtn = document.getElementById('loadMoreBtn');
 const refreshFeedBtn = document.getElementById('refreshFeedBtn');
+const feedTabs = document.getElementById('feedTabs');
+const accountSwitcher = document.getElementById('accountSwitcher');
+const addAccountBtn = document.getElementById('addAccountBtn');
+const sessionsContainer = document.getElementById('sessionsContainer');
+const imageInput = document.getElementById('imageInput');
+const imagePreviews = document.getElementById('imagePreviews');
+const feedSection = document.getElementById('feedSection');
+const threadSection = document.getElementById('threadSection');
+const threadContainer = document.getElementById('threadContainer');
+const threadLoading = document.getElementById('threadLoading');
+const profilePageSection = document.getElementById('profilePageSection');
+const profileHeader = document.getElementById('profileHeader');
+const profileFilters = document.getElementById('profileFilters');
+const profileFeedContainer = document.getElementById('profileFeedContainer');
+const profileFeedLoading = document.getElementById('profileFeedLoading');
+const profileLoadMoreBtn = document.getElementById('profileLoadMoreBtn');
+const notificationsSection = document.getElementById('notificationsSection');
+const notificationsContainer = document.getElementById('notificationsContainer');
+const notificationsLoading = document.getElementById('notificationsLoading');
+const notificationsLoadMoreBtn = document.getElementById('notificationsLoadMoreBtn');
+const notificationsBadge = document.getElementById('notificationsBadge');
+const searchSection = document.getElementById('searchSection');
+const searchInput = document.getElementById('searchInput');
+const searchSort = document.getElementById('searchSort');
+const searchTabs = document.getElementById('searchTabs');
+const searchResults = document.getElementById('searchResults');
+const searchLoading = document.getElementById('searchLoading');
+const searchLoadMoreBtn = document.getElementById('searchLoadMoreBtn');
+const postText = document.getElementById('postText');
+const mentionSuggestions = document.getElementById('mentionSuggestions');
+const chatSection = document.getElementById('chatSection');
+const chatTitle = document.getElementById('chatTitle');
+const chatContainer = document.getElementById('chatContainer');
+const chatLoading = document.getElementById('chatLoading');
+const chatLoadMoreBtn = document.getElementById('chatLoadMoreBtn');
+const chatComposer = document.getElementById('chatComposer');
+const chatText = document.getElementById('chatText');
+
+// Delay before asking the server for mention suggestions
+const TYPEAHEAD_DELAY = 200;
+
+// How often to check for new notifications
+const UNREAD_POLL_INTERVAL = 60 * 1000;
+
+// What to tell the user for each reason a sign-in can fail (see LOGIN_ERRORS on the server)
+const LOGIN_ERROR_MESSAGES = {
+  access_denied: 'You cancelled the sign-in, so nothing was shared with this app.',
+  session_expired: 'The sign-in took too long or was already used. Please start again.',
+  handle_not_found: 'We couldn\'t find that account. Check the handle and try again.',
+  server_unreachable: 'Your account\'s server couldn\'t be reached. Please try again in a moment.',
+  login_failed: 'Something went wrong while signing you in.'
+};
+
+// Server suggested in "sign in with your server" mode
+const DEFAULT_LOGIN_SERVER = 'https://bsky.social';
+
+// Image attachment limits (must match the server)
+const MAX_IMAGES = 4;
+const MAX_IMAGE_SIZE = 1000000;
 
 // State
 let feedCursor = null;
+let currentFeed = null; // AT-URI of the selected custom feed, or null for the home timeline
+let attachedImages = []; // { file, url, alt }
+let composeContext = null; // { type: 'reply' | 'quote', post }
+let currentDid = null;
+let profileActor = null;
+let profileTab = 'posts_no_replies'; // An author feed filter, or 'followers' / 'following'
+let profileCursor = null;
+let notificationsCursor = null;
+let searchQuery = null; // { q, sort }
+let searchTab = 'posts';
+let searchCursor = null;
+let mentionTimer = null;
+let mentionState = null; // { start, end, actors, selected }
+let loginSuggestTimer = null;
+let loginSuggestState = null; // { query, actors, selected } - selected is -1 until the user picks one
+let chatConvoId = null; // Open conversation, or null for the conversation list
+let chatCursor = null;
+
+/**
+ * Check user session and initialize app
+ */
+async function checkSession() {
+  if (location.pathname === '/oauth/error') {
+    showLoginError();
+    return;
+  }
+
+  try {
+    // Fetch CSRF token first
+    const csrfRes = await fetch('/api/csrf');
+    const csrfData = await csrfRes.json();
+    window.csrfToken = csrfData.token;
+
+    const res = await fetch('/api/me');
+    const data = await res.json();
+
+    loading.classList.add('hidden');
+    if (data.loggedIn) {
+      showApp(data);
+    } else {
+      loginSection.classList.remove('hidden');
+    }
+  } catch (e) {
+    console.error(e);
+    loading.textContent = 'Error loading session.';
+  }
+}
+
+/**
+ * Show why the sign-in failed, with a retry that returns to where the user started
+ */
+function showLoginError() {
+  const params = new URLSearchParams(location.search);
+  const reason = params.get('reason');
+  const returnTo = params.get('returnTo') || '/';
+
+  loading.classList.add('hidden');
+  loginErrorSection.classList.remove('hidden');
+  document.getElementById('loginErrorMessage').textContent =
+    Object.hasOwn(LOGIN_ERROR_MESSAGES, reason) ? LOGIN_ERROR_MESSAGES[reason] : LOGIN_ERROR_MESSAGES.login_failed;
+
+  document.getElementById('loginRetryBtn').addEventListener('click', () => {
+    // Only follow same-origin paths, in case the link was tampered with
+    window.location.href = /^\/(?![/\\])/.test(returnTo) ? returnTo : '/';
+  });
+}
+
+/**
+ * Offer to re-authorize when an API error says the session lacks a scope
+ * Returns true if the user is being sent to grant it.
+ */
+function requestScopeUpgrade(data) {
+  if (data.code !== 'insufficient_scope' || !data.scope) return false;
+  if (!confirm('This needs permission you haven\'t granted yet. Grant it now?')) return false;
+
+  const params = new URLSearchParams({
+    scope: data.scope,
+    returnTo: location.pathname + location.search + location.hash
+  });
+  location.href = `/login/upgrade?${params}`;
+  return true;
+}
+
+/**
+ * Show authenticated app interface
+ */
+function showApp(user) {
+  currentDid = user.did;
+  document.getElementById('displayName').textContent = user.displayName || user.handle;
+  document.getElementById('userHandle').textContent = '@' + user.handle;
+  if (user.avatar) {
+    document.getElementById('avatar').src = user.avatar;
+  }
+
+  loginSection.classList.add('hidden');
+  appSection.classList.remove('hidden');
+
+  // Load linked accounts, devices and feed
+  fetchAccounts();
+  fetchSessions();
+  fetchSavedFeeds();
+  fetchFeed();
+  fetchUnreadCount();
+  setInterval(fetchUnreadCount, UNREAD_POLL_INTERVAL);
+  route();
+}
+
+/**
+ * Show the view for the current URL hash
+ * (#/thread/<uri>, #/profile/<actor>, #/notifications, #/search?q=..., #/chat[/<convoId>], or the feed)
+ */
+function route() {
+  if (!currentDid) return;
+
+  const hash = window.location.hash;
+  [feedSection, threadSection, profilePageSection, notificationsSection, searchSection, chatSection]
+    .forEach(section => section.classList.add('hidden'));
+
+  if (hash === '#/chat' || hash.startsWith('#/chat/')) {
+    chatSection.classList.remove('hidden');
+    chatConvoId = hash.startsWith('#/chat/') ? decodeURIComponent(hash.slice('#/chat/'.length)) : null;
+    fetchChat();
+  } else if (hash.startsWith('#/search?')) {
+    searchSection.classList.remove('hidden');
+    const params = new URLSearchParams(hash.slice('#/search?'.length));
+    searchQuery = { q: params.get('q') || '', sort: params.get('sort') || 'top' };
+    searchInput.value = searchQuery.q;
+    searchSort.value = searchQuery.sort;
+    fetchSearchResults();
+  } else if (hash === '#/notifications') {
+    notificationsSection.classList.remove('hidden');
+    fetchNotifications();
+  } else if (hash.startsWith('#/thread/')) {
+    threadSection.classList.remove('hidden');
+    fetchThread(decodeURIComponent(hash.slice('#/thread/'.length)));
+  } else if (hash.startsWith('#/profile/')) {
+    profilePageSection.classList.remove('hidden');
+    openProfile(decodeURIComponent(hash.slice('#/profile/'.length)));
+  } else {
+    feedSection.classList.remove('hidden');
+  }
+}
+
+/**
+ * Link to a user's profile page
+ */
+function profileHref(actor) {
+  return '#/profile/' + encodeURIComponent(actor);
+}
+
+/**
+ * Navigate to a post's thread
+ */
+function openThread(uri) {
+  window.location.hash = '#/thread/' + encodeURIComponent(uri);
+}
+
+/**
+ * Fetch accounts linked to this browser and populate the switcher
+ */
+async function fetchAccounts() {
+  try {
+    const res = await fetch('/api/accounts');
+    const data = await res.json();
+
+    if (data.error || data.accounts.length < 2) {
+      accountSwitcher.classList.add('hidden');
+      return;
+    }
+
+    accountSwitcher.innerHTML = '';
+    data.accounts.forEach(account => {
+      const option = document.createElement('option');
+      option.value = account.did;
+      option.textContent = account.handle ? '@' + account.handle : account.did;
+      option.selected = account.active;
+      accountSwitcher.appendChild(option);
+    });
+    accountSwitcher.classList.remove('hidden');
+  } catch (e) {
+    console.error('Accounts error:', e);
+    accountSwitcher.classList.add('hidden');
+  }
+}
+
+/**
+ * Switch the active account
+ */
+async function switchAccount(did) {
+  accountSwitcher.disabled = true;
+
+  try {
+    const res = await fetch('/api/accounts/switch', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-csrf-token': window.csrfToken
+      },
+      body: JSON.stringify({ did })
+    });
+
+    if (res.ok) {
+      // Reload so the profile, feed and CSRF token belong to the new account
+      window.location.reload();
+      return;
+    }
+  } catch (e) {
+    console.error('Switch account error:', e);
+  }
+
+  accountSwitcher.disabled = false;
+  fetchAccounts();
+}
+
+/**
+ * Fetch the devices the active account is signed in on
+ */
+async function fetchSessions() {
+  try {
+    const res = await fetch('/api/sessions');
+    const data = await res.json();
+
+    if (data.error) {
+      sessionsContainer.innerHTML = '<div class="empty-state">Failed to load devices</div>';
+      return;
+    }
+
+    renderSessions(data.sessions);
+  } catch (e) {
+    console.error('Sessions error:', e);
+    sessionsContainer.innerHTML = '<div class="empty-state">Failed to load devices</div>';
+  }
+}
+
+/**
+ * Render the signed-in devices list
+ */
+function renderSessions(sessions) {
+  sessionsContainer.innerHTML = '';
+
+  sessions.forEach(session => {
+    const sessionEl = document.createElement('div');
+    sessionEl.className = 'session';
+    sessionEl.innerHTML = `
+      <div class="session-info">
+        <div class="session-agent">${escapeHtml(session.userAgent || 'Unknown device')}</div>
+        <div class="session-meta">
+          ${session.current ? 'This device' : 'Last active ' + formatTime(session.lastSeenAt)}
+          ${session.ip ? '· ' + escapeHtml(session.ip) : ''}
+        </div>
+      </div>
+      <button class="secondary">Sign out</button>
+    `;
+    sessionEl.querySelector('button').addEventListener('click', () => endSession(session));
+    sessionsContainer.appendChild(sessionEl);
+  });
+}
+
+/**
+ * Sign out one device
+ */
+async function endSession(session) {
+  try {
+    await fetch(`/api/sessions/${encodeURIComponent(session.id)}`, {
+      method: 'DELETE',
+      headers: {
+        'x-csrf-token': window.csrfToken
+      }
+    });
+  } catch (e) {
+    console.error('End session error:', e);
+  }
+
+  if (session.current) {
+    window.location.reload();
+  } else {
+    fetchSessions();
+  }
+}
+
+/**
+ * Switch the login form between a handle/DID and a server address
+ * With a server, the user picks their account on the server's own sign-in page.
+ */
+function setLoginMode(withServer) {
+  const input = handleInput;
+  hideLoginSuggestions();
+  input.type = withServer ? 'url' : 'text';
+  input.value = withServer ? DEFAULT_LOGIN_SERVER : '';
+  input.placeholder = withServer ? DEFAULT_LOGIN_SERVER : 'handle.bsky.social';
+  input.autocomplete = withServer ? 'url' : 'username';
+  input.focus();
+
+  document.getElementById('loginHint').textContent = withServer
+    ? 'Enter the address of your server. You\'ll choose your account there.'
+    : 'Enter your handle (e.g., alice.bsky.social) or DID to sign in.';
+  loginModeBtn.textContent = withServer ? 'Sign in with a handle instead' : 'Sign in with your server instead';
+  loginModeBtn.dataset.server = withServer ? 'true' : '';
+}
+
+/**
+ * Show the login form to sign in an additional account
+ */
+function showAddAccount() {
+  loginSection.classList.remove('hidden');
+  handleInput.focus();
+}
+
+/**
+ * Fetch timeline feed
+ */
+async function fetchFeed(cursor = null) {
+  try {
+    if (!cursor) {
+      feedLoading.classList.remove('hidden');
+      feedContainer.innerHTML = '';
+      loadMoreBtn.classList.add('hidden');
+    }
+
+    const feed = currentFeed;
+    const params = new URLSearchParams();
+    if (feed) params.set('feed', feed);
+    if (cursor) params.set('cursor', cursor);
+    const res = await fetch(`/api/feed?${params}`);
+    const data = await res.json();
+    if (feed !== currentFeed) return;
+
+    feedLoading.classList.add('hidden');
+
+    if (data.error) {
+      feedContainer.innerHTML = '<div class="empty-state">Failed to load feed</div>';
+      return;
+    }
+
+    if (!cursor && data.posts.length === 0) {
+      feedContainer.innerHTML = '<div class="empty-state">No posts yet. Follow some people to see their posts here!</div>';
+      return;
+    }
+
+    renderPosts(data.posts);
+    feedCursor = data.cursor;
+
+    if (data.cursor) {
+      loadMoreBtn.classList.remove('hidden');
+    } else {
+      loadMoreBtn.classList.add('hidden');
+    }
+  } catch (e) {
+    console.error('Feed error:', e);
+    feedLoading.classList.add('hidden');
+    feedContainer.innerHTML = '<div class="empty-state">Failed to load feed</div>';
+  }
+}
+
+/**
+ * Fetch the user's saved feeds and show them as tabs
+ */
+async function fetchSavedFeeds() {
+  try {
+    const res = await fetch('/api/feeds/saved');
+    const data = await res.json();
+    if (data.error) return;
+
+    // The home timeline is always available, even if it isn't saved
+    const feeds = data.feeds.some(feed => feed.uri === null)
+      ? data.feeds
+      : [{ uri: null, displayName: 'Following' }, ...data.feeds];
+
+    feedTabs.innerHTML = '';
+    if (feeds.length < 2) return;
+
+    feeds.forEach(feed => {
+      const tab = document.createElement('button');
+      tab.className = 'secondary';
+      tab.textContent = feed.displayName;
+      tab.title = feed.description || '';
+      tab.classList.toggle('active', feed.uri === currentFeed);
+      tab.addEventListener('click', () => selectFeed(feed.uri, tab));
+      feedTabs.appendChild(tab);
+    });
+  } catch (e) {
+    console.error('Saved feeds error:', e);
+  }
+}
+
+/**
+ * Switch the feed section to another feed
+ */
+function selectFeed(uri, tab) {
+  if (uri === currentFeed) return;
+
+  currentFeed = uri;
+  feedTabs.querySelectorAll('button').forEach(button => button.classList.toggle('active', button === tab));
+  fetchFeed();
+}
+
+/**
+ * Render posts to the feed container
+ */
+function renderPosts(posts) {
+  posts.forEach(post => {
+    feedContainer.appendChild(createPostElement(post));
+  });
+}
+
+/**
+ * Show a user's profile page
+ */
+function openProfile(actor) {
+  profileActor = actor;
+  profileTab = 'posts_no_replies';
+  fetchProfile(actor);
+  fetchProfileTab();
+}
+
+/**
+ * Fetch and render a user's profile header
+ */
+async function fetchProfile(actor) {
+  profileHeader.innerHTML = '';
+
+  try {
+    const res = await fetch(`/api/profile/${encodeURIComponent(actor)}`);
+    const data = await res.json();
+    if (actor !== profileActor) return;
+
+    if (data.error) {
+      profileHeader.innerHTML = `<div class="empty-state">${escapeHtml(data.error)}</div>`;
+      return;
+    }
+    renderProfileHeader(data);
+  } catch (e) {
+    console.error('Profile error:', e);
+    profileHeader.innerHTML = '<div class="empty-state">Failed to load profile</div>';
+  }
+}
+
+/**
+ * Render a user's banner, avatar, description, counts and relationship to the viewer
+ */
+function renderProfileHeader(profile) {
+  const followsYou = profile.viewer.followedBy ? '<span class="profile-badge">Follows you</span>' : '';
+  const isSelf = profile.did === currentDid;
+
+  profileHeader.innerHTML = `
+    ${profile.banner ? `<img class="profile-banner" src="${escapeHtml(profile.banner)}" alt="">` : ''}
+    <div class="profile">
+      <img src="${escapeHtml(profile.avatar || '')}" alt="" onerror="this.style.display='none'">
+      <div class="profile-info">
+        <strong>${escapeHtml(profile.displayName)}</strong>
+        <div class="handle">@${escapeHtml(profile.handle)} ${followsYou}</div>
+      </div>
+      ${isSelf ? '' : '<button id="followBtn"></button>'}
+    </div>
+    ${profile.description ? `<p class="profile-description">${escapeHtml(profile.description)}</p>` : ''}
+    <div class="profile-counts">
+      <span><strong id="followersCount">${profile.followersCount}</strong> followers</span>
+      <span><strong>${profile.followsCount}</strong> following</span>
+      <span><strong>${profile.postsCount}</strong> posts</span>
+    </div>
+  `;
+
+  if (!isSelf) {
+    const followBtn = document.getElementById('followBtn');
+    updateFollowButton(followBtn, profile);
+    followBtn.addEventListener('click', () => toggleFollow(profile, followBtn));
+  }
+}
+
+/**
+ * Show whether the viewer follows a profile
+ */
+function updateFollowButton(button, profile) {
+  const following = Boolean(profile.viewer.following);
+  button.textContent = following ? 'Unfollow' : 'Follow';
+  button.classList.toggle('secondary', following);
+}
+
+/**
+ * Follow or unfollow a profile, updating the button optimistically
+ */
+async function toggleFollow(profile, button) {
+  const previousFollow = profile.viewer.following;
+  const wasFollowing = Boolean(previousFollow);
+  const countEl = document.getElementById('followersCount');
+
+  // Optimistic update - reverted below if the request fails
+  profile.viewer.following = wasFollowing ? null : 'pending';
+  profile.followersCount += wasFollowing ? -1 : 1;
+  updateFollowButton(button, profile);
+  countEl.textContent = profile.followersCount;
+  button.disabled = true;
+
+  try {
+    const res = await fetch(`/api/follows/${encodeURIComponent(profile.did)}`, {
+      method: wasFollowing ? 'DELETE' : 'POST',
+      headers: { 'x-csrf-token': window.csrfToken }
+    });
+    const data = await res.json();
+    if (!data.success) {
+      requestScopeUpgrade(data);
+      throw new Error(data.error || 'Request failed');
+    }
+
+    profile.viewer.following = wasFollowing ? null : data.uri;
+  } catch (e) {
+    console.error('Follow error:', e);
+    profile.viewer.following = previousFollow;
+    profile.followersCount += wasFollowing ? 1 : -1;
+  } finally {
+    button.disabled = false;
+    updateFollowButton(button, profile);
+    countEl.textContent = profile.followersCount;
+  }
+}
+
+/**
+ * Fetch a page of the selected profile tab (posts for a filter, followers or following)
+ */
+async function fetchProfileTab(cursor = null) {
+  const actor = profileActor;
+  const tab = profileTab;
+  const isActorList = tab === 'followers' || tab === 'following';
+
+  profileFilters.querySelectorAll('button').forEach(button => {
+    button.classList.toggle('active', button.dataset.tab === tab);
+  });
+
+  try {
+    if (!cursor) {
+      profileFeedLoading.classList.remove('hidden');
+      profileFeedContainer.innerHTML = '';
+      profileLoadMoreBtn.classList.add('hidden');
+    }
+
+    const params = new URLSearchParams();
+    if (!isActorList) params.set('filter', tab);
+    if (cursor) params.set('cursor', cursor);
+    const path = isActorList ? tab : 'feed';
+    const res = await fetch(`/api/profile/${encodeURIComponent(actor)}/${path}?${params}`);
+    const data = await res.json();
+    if (actor !== profileActor || tab !== profileTab) return;
+
+    profileFeedLoading.classList.add('hidden');
+
+    if (data.error) {
+      profileFeedContainer.innerHTML = `<div class="empty-state">${escapeHtml(data.error)}</div>`;
+      return;
+    }
+
+    const items = isActorList ? data.actors : data.posts;
+    if (!cursor && items.length === 0) {
+      profileFeedContainer.innerHTML = `<div class="empty-state">${isActorList ? 'Nobody here yet.' : 'No posts yet.'}</div>`;
+      return;
+    }
+
+    items.forEach(item => {
+      profileFeedContainer.appendChild(isActorList ? createActorElement(item) : createPostElement(item));
+    });
+    profileCursor = data.cursor;
+    profileLoadMoreBtn.classList.toggle('hidden', !data.cursor);
+  } catch (e) {
+    console.error('Profile tab error:', e);
+    profileFeedLoading.classList.add('hidden');
+    profileFeedContainer.innerHTML = '<div class="empty-state">Failed to load</div>';
+  }
+}
+
+/**
+ * Build the element for an account in a follower/following list
+ */
+function createActorElement(actor) {
+  const actorEl = document.createElement('a');
+  actorEl.className = 'actor';
+  actorEl.href = profileHref(actor.did);
+  actorEl.innerHTML = `
+    <img src="${escapeHtml(actor.avatar || '')}" alt="" onerror="this.style.display='none'">
+    <div class="actor-info">
+      <div class="post-author-name">${escapeHtml(actor.displayName)}</div>
+      <div class="post-author-handle">
+        @${escapeHtml(actor.handle)}
+        ${actor.viewer.followedBy ? '<span class="profile-badge">Follows you</span>' : ''}
+      </div>
+    </div>
+  `;
+  return actorEl;
+}
+
+/**
+ * Update the notification bell's unread badge
+ */
+async function fetchUnreadCount() {
+  try {
+    const res = await fetch('/api/notifications/unread-count');
+    const data = await res.json();
+    if (data.error) return;
+    renderUnreadBadge(data.count);
+  } catch (e) {
+    console.error('Unread count error:', e);
+  }
+}
+
+/**
+ * Show or hide the unread badge
+ */
+function renderUnreadBadge(count) {
+  notificationsBadge.textContent = count > 99 ? '99+' : String(count);
+  notificationsBadge.classList.toggle('hidden', count === 0);
+}
+
+/**
+ * Fetch and render a page of notifications, marking them as seen
+ */
+async function fetchNotifications(cursor = null) {
+  try {
+    if (!cursor) {
+      notificationsLoading.classList.remove('hidden');
+      notificationsContainer.innerHTML = '';
+      notificationsLoadMoreBtn.classList.add('hidden');
+    }
+
+    const res = await fetch(cursor ? `/api/notifications?cursor=${encodeURIComponent(cursor)}` : '/api/notifications');
+    const data = await res.json();
+
+    notificationsLoading.classList.add('hidden');
+
+    if (data.error) {
+      notificationsContainer.innerHTML = '<div class="empty-state">Failed to load notifications</div>';
+      return;
+    }
+
+    if (!cursor && data.notifications.length === 0) {
+      notificationsContainer.innerHTML = '<div class="empty-state">No notifications yet.</div>';
+    }
+
+    data.notifications.forEach(group => {
+      notificationsContainer.appendChild(createNotificationElement(group));
+    });
+    notificationsCursor = data.cursor;
+    notificationsLoadMoreBtn.classList.toggle('hidden', !data.cursor);
+
+    // Mark seen up to the newest notification shown, so ones that arrive meanwhile stay unread
+    if (!cursor && data.notifications.length > 0) {
+      markNotificationsSeen(data.notifications[0].indexedAt);
+    }
+  } catch (e) {
+    console.error('Notifications error:', e);
+    notificationsLoading.classList.add('hidden');
+    notificationsContainer.innerHTML = '<div class="empty-state">Failed to load notifications</div>';
+  }
+}
+
+/**
+ * Mark notifications as seen and clear the badge
+ */
+async function markNotificationsSeen(seenAt) {
+  try {
+    await fetch('/api/notifications/seen', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-csrf-token': window.csrfToken
+      },
+      body: JSON.stringify({ seenAt })
+    });
+    renderUnreadBadge(0);
+  } catch (e) {
+    console.error('Mark seen error:', e);
+  }
+}
+
+/**
+ * Build the element for a notification group
+ */
+function createNotificationElement(group) {
+  const actions = {
+    like: 'liked your post',
+    repost: 'reposted your post',
+    follow: 'followed you',
+    mention: 'mentioned you',
+    reply: 'replied to your post',
+    quote: 'quoted your post'
+  };
+
+  const [first, ...others] = group.authors;
+  let who = `<strong>${escapeHtml(first.displayName)}</strong>`;
+  if (others.length === 1) {
+    who += ` and <strong>${escapeHtml(others[0].displayName)}</strong>`;
+  } else if (others.length > 1) {
+    who += ` and ${others.length} others`;
+  }
+
+  let body = '';
+  if (group.post) {
+    body = `<div class="post-content">${renderRichText(group.post.text, group.post.facets)}</div>`;
+  } else if (group.subject && group.subject.text) {
+    body = `<div class="notification-subject">${escapeHtml(group.subject.text)}</div>`;
+  }
+
+  const el = document.createElement('div');
+  el.className = 'notification' + (group.isRead ? '' : ' unread');
+  el.innerHTML = `
+    <div class="notification-avatars">
+      ${group.authors.slice(0, 5).map(author => `
+        <a href="${profileHref(author.did)}"><img src="${escapeHtml(author.avatar || '')}" alt="" onerror="this.style.display='none'"></a>
+      `).join('')}
+    </div>
+    <div class="notification-text">${who} ${actions[group.reason]} <span class="post-time">${formatTime(group.indexedAt)}</span></div>
+    ${body}
+  `;
+
+  // Open the post (or the follower's profile) when the notification is clicked
+  el.addEventListener('click', (e) => {
+    if (e.target.closest('a')) return;
+    if (group.post) {
+      openThread(group.post.uri);
+    } else if (group.subject) {
+      openThread(group.subject.uri);
+    } else {
+      window.location.hash = profileHref(first.did);
+    }
+  });
+  return el;
+}
+
+/**
+ * Fetch and render a page of search results for the selected tab
+ */
+async function fetchSearchResults(cursor = null) {
+  const query = searchQuery;
+  const tab = searchTab;
+
+  searchTabs.querySelectorAll('button').forEach(button => {
+    button.classList.toggle('active', button.dataset.tab === tab);
+  });
+
+  try {
+    if (!cursor) {
+      searchLoading.classList.remove('hidden');
+      searchResults.innerHTML = '';
+      searchLoadMoreBtn.classList.add('hidden');
+    }
+
+    const params = new URLSearchParams({ q: query.q });
+    if (tab === 'posts') params.set('sort', query.sort);
+    if (cursor) params.set('cursor', cursor);
+    const res = await fetch(`/api/search/${tab}?${params}`);
+    const data = await res.json();
+    if (query !== searchQuery || tab !== searchTab) return;
+
+    searchLoading.classList.add('hidden');
+
+    if (data.error) {
+      searchResults.innerHTML = `<div class="empty-state">${escapeHtml(data.error)}</div>`;
+      return;
+    }
+
+    const items = tab === 'posts' ? data.posts : data.actors;
+    if (!cursor && items.length === 0) {
+      searchResults.innerHTML = '<div class="empty-state">No results.</div>';
+      return;
+    }
+
+    items.forEach(item => {
+      searchResults.appendChild(tab === 'posts' ? createPostElement(item) : createActorElement(item));
+    });
+    searchCursor = data.cursor;
+    searchLoadMoreBtn.classList.toggle('hidden', !data.cursor);
+  } catch (e) {
+    console.error('Search error:', e);
+    searchLoading.classList.add('hidden');
+    searchResults.innerHTML = '<div class="empty-state">Search failed</div>';
+  }
+}
+
+/**
+ * Find the @mention being typed just before the caret
+ * @returns {{start: number, end: number, query: string}|null}
+ */
+function findMentionAtCaret() {
+  const end = postText.selectionStart;
+  const match = /(^|\s)@([a-zA-Z0-9.-]+)$/.exec(postText.value.slice(0, end));
+  if (!match) return null;
+
+  return { start: end - match[2].length - 1, end, query: match[2] };
+}
+
+/**
+ * Suggest accounts while an @mention is being typed in the composer
+ */
+function handleMentionInput() {
+  clearTimeout(mentionTimer);
+  const mention = findMentionAtCaret();
+  if (!mention) {
+    hideMentionSuggestions();
+    return;
+  }
+
+  mentionTimer = setTimeout(async () => {
+    try {
+      const res = await fetch(`/api/search/actors/typeahead?q=${encodeURIComponent(mention.query)}`);
+      const data = await res.json();
+
+      // Ignore stale responses if the user kept typing
+      const current = findMentionAtCaret();
+      if (data.error || !current || current.query !== mention.query || data.actors.length === 0) {
+        hideMentionSuggestions();
+        return;
+      }
+
+      mentionState = { ...mention, actors: data.actors, selected: 0 };
+      renderMentionSuggestions();
+    } catch (e) {
+      console.error('Typeahead error:', e);
+      hideMentionSuggestions();
+    }
+  }, TYPEAHEAD_DELAY);
+}
+
+/**
+ * Render the mention suggestion dropdown
+ */
+function renderMentionSuggestions() {
+  mentionSuggestions.innerHTML = '';
+  mentionState.actors.forEach((actor, i) => {
+    mentionSuggestions.appendChild(createSuggestionElement(actor, i === mentionState.selected, () => insertMention(actor)));
+  });
+  mentionSuggestions.classList.remove('hidden');
+}
+
+/**
+ * Build an account suggestion for a dropdown
+ */
+function createSuggestionElement(actor, selected, onChoose) {
+  const item = document.createElement('li');
+  item.className = 'suggestion' + (selected ? ' selected' : '');
+  item.setAttribute('role', 'option');
+  item.innerHTML = `
+    <img src="${escapeHtml(actor.avatar || '')}" alt="" onerror="this.style.display='none'">
+    <span><strong>${escapeHtml(actor.displayName)}</strong> <span class="post-author-handle">@${escapeHtml(actor.handle)}</span></span>
+  `;
+  // mousedown fires before the input loses focus
+  item.addEventListener('mousedown', (e) => {
+    e.preventDefault();
+    onChoose();
+  });
+  return item;
+}
+
+/**
+ * Hide the mention suggestion dropdown
+ */
+function hideMentionSuggestions() {
+  mentionState = null;
+  mentionSuggestions.classList.add('hidden');
+  mentionSuggestions.innerHTML = '';
+}
+
+/**
+ * Replace the partially typed mention with the chosen handle
+ */
+function insertMention(actor) {
+  const { start, end } = mentionState;
+  const mention = `@${actor.handle} `;
+  postText.value = postText.value.slice(0, start) + mention + postText.value.slice(end);
+  postText.selectionStart = postText.selectionEnd = start + mention.length;
+  postText.focus();
+  hideMentionSuggestions();
+}
+
+/**
+ * Keyboard navigation for the mention suggestion dropdown
+ */
+function handleMentionKeydown(e) {
+  if (!mentionState) return;
+
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    const count = mentionState.actors.length;
+    mentionState.selected = (mentionState.selected + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+    renderMentionSuggestions();
+  } else if (e.key === 'Enter' || e.key === 'Tab') {
+    e.preventDefault();
+    insertMention(mentionState.actors[mentionState.selected]);
+  } else if (e.key === 'Escape') {
+    hideMentionSuggestions();
+  }
+}
+
+/**
+ * Suggest accounts while a handle is typed on the login form
+ */
+function handleLoginInput() {
+  clearTimeout(loginSuggestTimer);
+  const query = handleInput.value.trim();
+
+  // Server mode, DIDs and very short input get no suggestions (the server skips them too)
+  if (loginModeBtn.dataset.server || query.replace(/^@/, '').length < 2 || query.startsWith('did:')) {
+    hideLoginSuggestions();
+    return;
+  }
+
+  loginSuggestTimer = setTimeout(async () => {
+    try {
+      const res = await fetch(`/api/login/suggest?q=${encodeURIComponent(query)}`);
+      const data = await res.json();
+
+      // Ignore stale responses if the user kept typing
+      if (data.error || handleInput.value.trim() !== query || data.actors.length === 0) {
+        hideLoginSuggestions();
+        return;
+      }
+
+      loginSuggestState = { query, actors: data.actors, selected: -1 };
+      renderLoginSuggestions();
+    } catch (e) {
+      // Rate limited or offline - the form still works without suggestions
+      console.error('Login suggestion error:', e);
+      hideLoginSuggestions();
+    }
+  }, TYPEAHEAD_DELAY);
+}
 
 /**
- * Check user session and initialize app
+ * Render the login suggestion dropdown
  */
-async function checkSession() {
+function renderLoginSuggestions() {
+  loginSuggestions.innerHTML = '';
+  loginSuggestState.actors.forEach((actor, i) => {
+    loginSuggestions.appendChild(createSuggestionElement(actor, i === loginSuggestState.selected, () => chooseLoginSuggestion(actor)));
+  });
+  loginSuggestions.classList.remove('hidden');
+}
+
+/**
+ * Hide the login suggestion dropdown
+ */
+function hideLoginSuggestions() {
+  clearTimeout(loginSuggestTimer);
+  loginSuggestState = null;
+  loginSuggestions.classList.add('hidden');
+  loginSuggestions.innerHTML = '';
+}
+
+/**
+ * Sign in with the exact handle of the chosen suggestion
+ */
+function chooseLoginSuggestion(actor) {
+  handleInput.value = actor.handle;
+  hideLoginSuggestions();
+  loginForm.requestSubmit();
+}
+
+/**
+ * Keyboard navigation for the login suggestion dropdown
+ * Enter only picks a suggestion once one is highlighted; otherwise it submits what was typed.
+ */
+function handleLoginKeydown(e) {
+  if (!loginSuggestState) return;
+
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    const count = loginSuggestState.actors.length;
+    const current = loginSuggestState.selected;
+    loginSuggestState.selected = e.key === 'ArrowDown'
+      ? (current + 1) % count
+      : (current <= 0 ? count : current) - 1;
+    renderLoginSuggestions();
+  } else if (e.key === 'Enter' && loginSuggestState.selected >= 0) {
+    e.preventDefault();
+    chooseLoginSuggestion(loginSuggestState.actors[loginSuggestState.selected]);
+  } else if (e.key === 'Escape') {
+    hideLoginSuggestions();
+  }
+}
+
+/**
+ * Fetch a page of the conversation list, or of the open conversation's messages
+ */
+async function fetchChat(cursor = null) {
+  const convoId = chatConvoId;
+
   try {
-    // Fetch CSRF token first
-    const csrfRes = await fetch('/api/csrf');
-    const csrfData = await csrfRes.json();
-    window.csrfToken = csrfData.token;
+    if (!cursor) {
+      chatLoading.classList.remove('hidden');
+      chatContainer.innerHTML = '';
+      chatLoadMoreBtn.classList.add('hidden');
+      chatComposer.classList.toggle('hidden', !convoId);
+      chatTitle.textContent = 'Messages';
+    }
 
-    const res = await fetch('/api/me');
+    const params = new URLSearchParams();
+    if (cursor) params.set('cursor', cursor);
+    const path = convoId ? `/api/chat/convos/${encodeURIComponent(convoId)}/messages` : '/api/chat/convos';
+    const res = await fetch(`${path}?${params}`);
     const data = await res.json();
+    if (convoId !== chatConvoId) return;
 
-    loading.classList.add('hidden');
-    if (data.loggedIn) {
-      showApp(data);
+    chatLoading.classList.add('hidden');
+
+    if (data.error) {
+      if (requestScopeUpgrade(data)) return;
+      chatComposer.classList.add('hidden');
+      chatContainer.innerHTML = `<div class="empty-state">${escapeHtml(data.error)}</div>`;
+      return;
+    }
+
+    if (convoId) {
+      // Messages arrive newest first; older pages go above
+      const fragment = document.createDocumentFragment();
+      data.messages.slice().reverse().forEach(message => fragment.appendChild(createMessageElement(message)));
+      chatContainer.prepend(fragment);
+      if (!cursor) {
+        markConvoRead(convoId);
+      }
     } else {
-      loginSection.classList.remove('hidden');
+      if (!cursor && data.convos.length === 0) {
+        chatContainer.innerHTML = '<div class="empty-state">No conversations yet.</div>';
+      }
+      data.convos.forEach(convo => chatContainer.appendChild(createConvoElement(convo)));
     }
+
+    chatCursor = data.cursor;
+    chatLoadMoreBtn.classList.toggle('hidden', !data.cursor);
   } catch (e) {
-    console.error(e);
-    loading.textContent = 'Error loading session.';
+    console.error('Chat error:', e);
+    chatLoading.classList.add('hidden');
+    chatContainer.innerHTML = '<div class="empty-state">Failed to load messages</div>';
   }
 }
 
 /**
- * Show authenticated app interface
+ * Build the element for a conversation in the list
  */
-function showApp(user) {
-  document.getElementById('displayName').textContent = user.displayName || user.handle;
-  document.getElementById('userHandle').textContent = '@' + user.handle;
-  if (user.avatar) {
-    document.getElementById('avatar').src = user.avatar;
-  }
+function createConvoElement(convo) {
+  const others = convo.members.filter(member => member.did !== currentDid);
+  const names = (others.length > 0 ? others : convo.members).map(member => member.displayName).join(', ');
+  const last = convo.lastMessage;
+  const preview = last ? (last.deleted ? 'Message deleted' : last.text) : '';
 
-  loginSection.classList.add('hidden');
-  appSection.classList.remove('hidden');
+  const el = document.createElement('a');
+  el.className = 'actor convo' + (convo.unreadCount > 0 ? ' unread' : '');
+  el.href = '#/chat/' + encodeURIComponent(convo.id);
+  el.innerHTML = `
+    <img src="${escapeHtml((others[0] || convo.members[0] || {}).avatar || '')}" alt="" onerror="this.style.display='none'">
+    <div class="actor-info">
+      <div class="post-author-name">${escapeHtml(names)}</div>
+      <div class="post-author-handle">${escapeHtml(preview)}</div>
+    </div>
+    ${convo.unreadCount > 0 ? `<span class="badge">${convo.unreadCount}</span>` : ''}
+  `;
+  return el;
+}
 
-  // Load feed
-  fetchFeed();
+/**
+ * Build the element for a chat message
+ */
+function createMessageElement(message) {
+  const el = document.createElement('div');
+  el.className = 'message' + (message.senderDid === currentDid ? ' own' : '');
+  el.innerHTML = message.deleted
+    ? '<em>Message deleted</em>'
+    : `${renderRichText(message.text, message.facets)}<div class="post-time">${formatTime(message.sentAt)}</div>`;
+  return el;
 }
 
 /**
- * Fetch timeline feed
+ * Mark the open conversation as read
  */
-async function fetchFeed(cursor = null) {
+async function markConvoRead(convoId) {
   try {
-    if (!cursor) {
-      feedLoading.classList.remove('hidden');
-      feedContainer.innerHTML = '';
-      loadMoreBtn.classList.add('hidden');
+    await fetch(`/api/chat/convos/${encodeURIComponent(convoId)}/read`, {
+      method: 'POST',
+      headers: { 'x-csrf-token': window.csrfToken }
+    });
+  } catch (e) {
+    console.error('Mark read error:', e);
+  }
+}
+
+/**
+ * Send a message to the open conversation
+ */
+async function sendChatMessage() {
+  const text = chatText.value.trim();
+  const btn = document.getElementById('chatSendBtn');
+  if (!text || !chatConvoId) return;
+
+  btn.disabled = true;
+  try {
+    const res = await fetch(`/api/chat/convos/${encodeURIComponent(chatConvoId)}/messages`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-csrf-token': window.csrfToken
+      },
+      body: JSON.stringify({ text })
+    });
+    const data = await res.json();
+
+    if (!data.success) {
+      if (requestScopeUpgrade(data)) return;
+      throw new Error(data.error || 'Request failed');
     }
+    chatText.value = '';
+    chatContainer.appendChild(createMessageElement(data.message));
+  } catch (e) {
+    console.error('Send message error:', e);
+    alert('Failed to send message: ' + e.message);
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+/**
+ * Fetch and render a post's thread
+ */
+async function fetchThread(uri) {
+  threadLoading.classList.remove('hidden');
+  threadContainer.innerHTML = '';
 
-    const url = cursor ? `/api/feed?cursor=${encodeURIComponent(cursor)}` : '/api/feed';
-    const res = await fetch(url);
+  try {
+    const res = await fetch(`/api/thread?uri=${encodeURIComponent(uri)}`);
     const data = await res.json();
 
-    feedLoading.classList.add('hidden');
+    threadLoading.classList.add('hidden');
 
     if (data.error) {
-      feedContainer.innerHTML = '<div class="empty-state">Failed to load feed</div>';
+      threadContainer.innerHTML = `<div class="empty-state">${escapeHtml(data.error)}</div>`;
       return;
     }
 
-    if (!cursor && data.posts.length === 0) {
-      feedContainer.innerHTML = '<div class="empty-state">No posts yet. Follow some people to see their posts here!</div>';
-      return;
+    data.parents.forEach(parent => {
+      threadContainer.appendChild(createThreadNodeElement(parent));
+    });
+
+    const anchor = createThreadNodeElement(data.post);
+    anchor.classList.add('thread-anchor');
+    threadContainer.appendChild(anchor);
+
+    threadContainer.appendChild(createRepliesElement(data.replies));
+    anchor.scrollIntoView({ block: 'nearest' });
+  } catch (e) {
+    console.error('Thread error:', e);
+    threadLoading.classList.add('hidden');
+    threadContainer.innerHTML = '<div class="empty-state">Failed to load thread</div>';
+  }
+}
+
+/**
+ * Build the element for a post in a thread, or a placeholder if it is unavailable
+ */
+function createThreadNodeElement(node) {
+  if (node.notFound || node.blocked) {
+    const placeholder = document.createElement('div');
+    placeholder.className = 'post post-unavailable';
+    placeholder.textContent = node.blocked ? 'Blocked post' : 'Deleted post';
+    return placeholder;
+  }
+
+  // The thread layout already shows what each post replies to
+  return createPostElement({ ...node, replyTo: null });
+}
+
+/**
+ * Build the nested list of replies in a thread
+ */
+function createRepliesElement(replies) {
+  const repliesEl = document.createElement('div');
+  repliesEl.className = 'thread-replies';
+
+  replies.forEach(reply => {
+    repliesEl.appendChild(createThreadNodeElement(reply));
+    if (reply.replies && reply.replies.length > 0) {
+      repliesEl.appendChild(createRepliesElement(reply.replies));
     }
+  });
+  return repliesEl;
+}
 
-    renderPosts(data.posts);
-    feedCursor = data.cursor;
+/**
+ * Build the element for a single post
+ */
+function createPostElement(post) {
+  const postEl = document.createElement('div');
+  postEl.className = 'post';
+  postEl.innerHTML = `
+    ${renderReplyContext(post.replyTo)}
+    <div class="post-author">
+      <img src="${escapeHtml(post.author.avatar || '')}" alt="" onerror="this.style.display='none'">
+      <a class="post-author-info" href="${profileHref(post.author.did)}">
+        <div class="post-author-name">${escapeHtml(post.author.displayName)}</div>
+        <div class="post-author-handle">@${escapeHtml(post.author.handle)}</div>
+      </a>
+      ${post.author.did === currentDid ? `
+        <details class="post-menu">
+          <summary aria-label="Post options">⋯</summary>
+          <div class="post-menu-items">
+            <button class="secondary" data-action="edit">Edit</button>
+            <button class="secondary danger" data-action="delete">Delete</button>
+          </div>
+        </details>
+      ` : ''}
+    </div>
+    <div class="post-content">${renderRichText(post.text, post.facets)}</div>
+    ${renderQuote(post.quote)}
+    <div class="post-meta">
+      <span>${post.replyCount} replies</span>
+      <span class="post-time">${formatTime(post.createdAt)}</span>
+    </div>
+    <div class="post-actions">
+      <button class="secondary" data-action="reply">Reply</button>
+      <button class="secondary" data-action="quote">Quote</button>
+      <button class="secondary" data-action="repost"></button>
+      <button class="secondary" data-action="like"></button>
+    </div>
+  `;
 
-    if (data.cursor) {
-      loadMoreBtn.classList.remove('hidden');
-    } else {
-      loadMoreBtn.classList.add('hidden');
+  const repostBtn = postEl.querySelector('[data-action="repost"]');
+  const likeBtn = postEl.querySelector('[data-action="like"]');
+  updateInteractionButton(repostBtn, post, 'repost');
+  updateInteractionButton(likeBtn, post, 'like');
+
+  postEl.querySelector('[data-action="reply"]').addEventListener('click', () => setComposeContext('reply', post));
+  postEl.querySelector('[data-action="quote"]').addEventListener('click', () => setComposeContext('quote', post));
+  repostBtn.addEventListener('click', () => toggleInteraction(post, 'repost', repostBtn));
+  likeBtn.addEventListener('click', () => toggleInteraction(post, 'like', likeBtn));
+
+  // Clicking a post (or a post it quotes) opens its thread
+  postEl.addEventListener('click', (e) => {
+    if (e.target.closest('a, button, details, textarea') || window.getSelection().toString()) return;
+    const quoteEl = e.target.closest('.post-quote[data-uri]');
+    openThread(quoteEl ? quoteEl.dataset.uri : post.uri);
+  });
+
+  if (post.author.did === currentDid) {
+    postEl.querySelector('[data-action="edit"]').addEventListener('click', () => startEditPost(post, postEl));
+    postEl.querySelector('[data-action="delete"]').addEventListener('click', () => deletePost(post, postEl));
+  }
+  return postEl;
+}
+
+/**
+ * Get the record key of a post from its AT-URI
+ */
+function postRkey(post) {
+  return post.uri.split('/').pop();
+}
+
+/**
+ * Delete one of the user's own posts
+ */
+async function deletePost(post, postEl) {
+  postEl.querySelector('.post-menu').open = false;
+  if (!confirm('Delete this post?')) return;
+
+  try {
+    const res = await fetch(`/api/posts/${encodeURIComponent(postRkey(post))}`, {
+      method: 'DELETE',
+      headers: { 'x-csrf-token': window.csrfToken }
+    });
+    const data = await res.json();
+
+    if (!data.success) {
+      if (requestScopeUpgrade(data)) return;
+      throw new Error(data.error || 'Request failed');
     }
+    postEl.remove();
   } catch (e) {
-    console.error('Feed error:', e);
-    feedLoading.classList.add('hidden');
-    feedContainer.innerHTML = '<div class="empty-state">Failed to load feed</div>';
+    console.error('Delete error:', e);
+    alert('Failed to delete post: ' + e.message);
   }
 }
 
 /**
- * Render posts to the feed container
+ * Replace a post's text with an inline editor
  */
-function renderPosts(posts) {
-  posts.forEach(post => {
-    const postEl = document.createElement('div');
-    postEl.className = 'post';
-    postEl.innerHTML = `
-      <div class="post-author">
-        <img src="${escapeHtml(post.author.avatar || '')}" alt="" onerror="this.style.display='none'">
-        <div class="post-author-info">
-          <div class="post-author-name">${escapeHtml(post.author.displayName)}</div>
-          <div class="post-author-handle">@${escapeHtml(post.author.handle)}</div>
-        </div>
-      </div>
-      <div class="post-content">${escapeHtml(post.text)}</div>
-      <div class="post-meta">
-        <span>${post.replyCount} replies</span>
-        <span>${post.repostCount} reposts</span>
-        <span>${post.likeCount} likes</span>
-        <span class="post-time">${formatTime(post.createdAt)}</span>
-      </div>
-    `;
-    feedContainer.appendChild(postEl);
+function startEditPost(post, postEl) {
+  postEl.querySelector('.post-menu').open = false;
+  const content = postEl.querySelector('.post-content');
+  if (content.querySelector('textarea')) return;
+
+  content.innerHTML = `
+    <textarea class="post-edit-text" maxlength="300"></textarea>
+    <div class="post-edit-actions">
+      <button class="secondary" data-action="cancel-edit">Cancel</button>
+      <button data-action="save-edit">Save</button>
+    </div>
+  `;
+  const textarea = content.querySelector('textarea');
+  textarea.value = post.text;
+  textarea.focus();
+
+  const finish = () => {
+    content.innerHTML = renderRichText(post.text, post.facets);
+  };
+  content.querySelector('[data-action="cancel-edit"]').addEventListener('click', finish);
+  content.querySelector('[data-action="save-edit"]').addEventListener('click', async (event) => {
+    const saveBtn = event.target;
+    const text = textarea.value.trim();
+    saveBtn.disabled = true;
+
+    try {
+      const res = await fetch(`/api/posts/${encodeURIComponent(postRkey(post))}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-csrf-token': window.csrfToken
+        },
+        body: JSON.stringify({ text })
+      });
+      const data = await res.json();
+
+      if (!data.success) {
+        if (requestScopeUpgrade(data)) return;
+        throw new Error(data.error || 'Request failed');
+      }
+      post.text = text;
+      post.cid = data.cid;
+      post.facets = data.facets;
+      finish();
+    } catch (e) {
+      console.error('Edit error:', e);
+      alert('Failed to edit post: ' + e.message);
+      saveBtn.disabled = false;
+    }
   });
 }
 
+/**
+ * Show a like/repost button's count and whether the viewer has already acted
+ */
+function updateInteractionButton(button, post, kind) {
+  const active = Boolean(post.viewer && post.viewer[kind]);
+  const count = kind === 'like' ? post.likeCount : post.repostCount;
+  const label = kind === 'like' ? (active ? 'Liked' : 'Like') : (active ? 'Reposted' : 'Repost');
+
+  button.textContent = `${label} · ${count}`;
+  button.classList.toggle('active', active);
+}
+
+/**
+ * Like/unlike or repost/un-repost a post, updating the button optimistically
+ */
+async function toggleInteraction(post, kind, button) {
+  const countKey = kind === 'like' ? 'likeCount' : 'repostCount';
+  post.viewer = post.viewer || {};
+  const previousRecord = post.viewer[kind];
+  const wasActive = Boolean(previousRecord);
+
+  // Optimistic update - reverted below if the request fails
+  post.viewer[kind] = wasActive ? null : 'pending';
+  post[countKey] += wasActive ? -1 : 1;
+  updateInteractionButton(button, post, kind);
+  button.disabled = true;
+
+  try {
+    const res = await fetch(`/api/posts/${kind}`, {
+      method: wasActive ? 'DELETE' : 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-csrf-token': window.csrfToken
+      },
+      // Unlike/un-repost by record URI - the AppView may not know about a record created moments ago
+      body: JSON.stringify(wasActive ? { uri: post.uri, record: previousRecord } : { uri: post.uri, cid: post.cid })
+    });
+    const data = await res.json();
+    if (!data.success) {
+      requestScopeUpgrade(data);
+      throw new Error(data.error || 'Request failed');
+    }
+
+    post.viewer[kind] = wasActive ? null : data.uri;
+  } catch (e) {
+    console.error(`${kind} error:`, e);
+    post.viewer[kind] = previousRecord;
+    post[countKey] += wasActive ? 1 : -1;
+  } finally {
+    button.disabled = false;
+    updateInteractionButton(button, post, kind);
+  }
+}
+
+/**
+ * Render the "replying to" line for a reply
+ */
+function renderReplyContext(replyTo) {
+  if (!replyTo) return '';
+
+  let label = 'Replying to a post';
+  if (replyTo.author) {
+    label = `Replying to @${escapeHtml(replyTo.author.handle)}`;
+  } else if (replyTo.blocked) {
+    label = 'Replying to a blocked post';
+  } else if (replyTo.notFound) {
+    label = 'Replying to a deleted post';
+  }
+  return `<div class="post-reply-context">${label}</div>`;
+}
+
+/**
+ * Render a quoted post inline
+ */
+function renderQuote(quote) {
+  if (!quote) return '';
+
+  if (!quote.author) {
+    let label = 'Quoted post unavailable';
+    if (quote.blocked) label = 'Quoted post is blocked';
+    if (quote.notFound) label = 'Quoted post was deleted';
+    if (quote.detached) label = 'Quoted post was removed by its author';
+    return `<div class="post-quote unavailable">${label}</div>`;
+  }
+
+  return `
+    <div class="post-quote" data-uri="${escapeHtml(quote.uri)}">
+      <div class="post-quote-author">
+        <strong>${escapeHtml(quote.author.displayName)}</strong>
+        <span class="post-author-handle">@${escapeHtml(quote.author.handle)}</span>
+      </div>
+      <div class="post-content">${renderRichText(quote.text, quote.facets)}</div>
+    </div>
+  `;
+}
+
 /**
  * Format timestamp to relative time
  */
@@ -147,13 +1523,97 @@ function formatTime(timestamp) {
 }
 
 /**
- * Escape HTML to prevent XSS
+ * Attach selected image files to the composer
+ */
+function attachImages(files) {
+  const status = document.getElementById('postStatus');
+
+  for (const file of files) {
+    if (attachedImages.length >= MAX_IMAGES) {
+      status.textContent = `You can attach up to ${MAX_IMAGES} images.`;
+      status.className = 'error';
+      break;
+    }
+    if (file.size > MAX_IMAGE_SIZE) {
+      status.textContent = `${file.name} is too large (max 1MB).`;
+      status.className = 'error';
+      continue;
+    }
+    attachedImages.push({ file, url: URL.createObjectURL(file), alt: '' });
+  }
+
+  imageInput.value = '';
+  renderImagePreviews();
+}
+
+/**
+ * Remove an attached image
+ */
+function removeImage(index) {
+  URL.revokeObjectURL(attachedImages[index].url);
+  attachedImages.splice(index, 1);
+  renderImagePreviews();
+}
+
+/**
+ * Clear all attached images
+ */
+function clearImages() {
+  attachedImages.forEach(image => URL.revokeObjectURL(image.url));
+  attachedImages = [];
+  renderImagePreviews();
+}
+
+/**
+ * Render previews (with alt text inputs) for attached images
+ */
+function renderImagePreviews() {
+  imagePreviews.innerHTML = '';
+
+  attachedImages.forEach((image, index) => {
+    const previewEl = document.createElement('div');
+    previewEl.className = 'image-preview';
+    previewEl.innerHTML = `
+      <img src="${escapeHtml(image.url)}" alt="">
+      <button class="remove-image" title="Remove image">✕</button>
+      <input type="text" placeholder="Alt text (describe the image)" maxlength="2000">
+    `;
+
+    const altInput = previewEl.querySelector('input');
+    altInput.value = image.alt;
+    altInput.addEventListener('input', () => {
+      image.alt = altInput.value;
+    });
+    previewEl.querySelector('button').addEventListener('click', () => removeImage(index));
+
+    imagePreviews.appendChild(previewEl);
+  });
+
+  document.getElementById('attachImageBtn').disabled = attachedImages.length >= MAX_IMAGES;
+}
+
+/**
+ * Set the post being replied to or quoted by the composer
+ */
+function setComposeContext(type, post) {
+  composeContext = { type, post };
+
+  const contextEl = document.getElementById('composeContext');
+  const verb = type === 'reply' ? 'Replying to' : 'Quoting';
+  contextEl.querySelector('span').textContent = `${verb} @${post.author.handle}`;
+  contextEl.classList.remove('hidden');
+
+  const textInput = document.getElementById('postText');
+  textInput.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  textInput.focus();
+}
+
+/**
+ * Clear the reply/quote target so the composer makes a top-level post
  */
-function escapeHtml(text) {
-  if (!text) return '';
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+function clearComposeContext() {
+  composeContext = null;
+  document.getElementById('composeContext').classList.add('hidden');
 }
 
 /**
@@ -165,20 +1625,38 @@ async function createPost() {
   const status = document.getElementById('postStatus');
   const text = textInput.value.trim();
 
-  if (!text) return;
+  if (!text && attachedImages.length === 0) return;
 
   btn.disabled = true;
   status.textContent = 'Posting...';
   status.className = '';
 
   try {
+    let body;
+    const headers = { 'x-csrf-token': window.csrfToken };
+    const targets = {};
+    if (composeContext) {
+      targets[composeContext.type === 'reply' ? 'replyTo' : 'quote'] = composeContext.post.uri;
+    }
+
+    if (attachedImages.length > 0) {
+      // Multipart upload - the browser sets the Content-Type boundary
+      body = new FormData();
+      body.append('text', text);
+      Object.entries(targets).forEach(([key, value]) => body.append(key, value));
+      attachedImages.forEach(image => {
+        body.append('images', image.file);
+        body.append('alt', image.alt);
+      });
+    } else {
+      headers['Content-Type'] = 'application/json';
+      body = JSON.stringify({ text, ...targets });
+    }
+
     const res = await fetch('/api/post', {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-csrf-token': window.csrfToken
-      },
-      body: JSON.stringify({ text })
+      headers,
+      body
     });
     const data = await res.json();
 
@@ -186,12 +1664,14 @@ async function createPost() {
       status.textContent = 'Posted!';
       status.className = 'success';
       textInput.value = '';
+      clearImages();
+      clearComposeContext();
       // Refresh feed to show new post
       fetchFeed();
       setTimeout(() => {
         status.textContent = '';
       }, 3000);
-    } else {
+    } else if (!requestScopeUpgrade(data)) {
       status.textContent = 'Error: ' + (data.error || 'Unknown error');
       status.className = 'error';
     }
@@ -204,7 +1684,7 @@ async function createPost() {
 }
 
 /**
- * Logout user
+ * Logout the active account (other linked accounts stay signed in)
  */
 async function logout() {
   await fetch('/logout', {
@@ -219,14 +1699,76 @@ async function logout() {
 // Event Listeners
 loginForm.addEventListener('submit', (e) => {
   e.preventDefault();
-  const handle = document.getElementById('handle').value.trim();
-  window.location.href = `/login?handle=${encodeURIComponent(handle)}`;
+  const handle = handleInput.value.trim();
+  // Come back to the deep link (thread, profile...) that needed the login
+  const params = new URLSearchParams({
+    handle,
+    returnTo: location.pathname + location.search + location.hash
+  });
+  window.location.href = `/login?${params}`;
 });
 
 document.getElementById('postBtn').addEventListener('click', createPost);
+document.getElementById('attachImageBtn').addEventListener('click', () => imageInput.click());
+imageInput.addEventListener('change', () => attachImages(imageInput.files));
+document.getElementById('cancelContextBtn').addEventListener('click', clearComposeContext);
 document.getElementById('logoutBtn').addEventListener('click', logout);
+accountSwitcher.addEventListener('change', () => switchAccount(accountSwitcher.value));
+addAccountBtn.addEventListener('click', showAddAccount);
+loginModeBtn.addEventListener('click', () => setLoginMode(!loginModeBtn.dataset.server));
+handleInput.addEventListener('input', handleLoginInput);
+handleInput.addEventListener('keydown', handleLoginKeydown);
+handleInput.addEventListener('blur', hideLoginSuggestions);
 loadMoreBtn.addEventListener('click', () => fetchFeed(feedCursor));
 refreshFeedBtn.addEventListener('click', () => fetchFeed());
+document.getElementById('backToFeedBtn').addEventListener('click', () => {
+  window.location.hash = '';
+});
+document.getElementById('profileBackBtn').addEventListener('click', () => {
+  window.location.hash = '';
+});
+profileFilters.addEventListener('click', (e) => {
+  const button = e.target.closest('button[data-tab]');
+  if (!button || button.dataset.tab === profileTab) return;
+  profileTab = button.dataset.tab;
+  fetchProfileTab();
+});
+profileLoadMoreBtn.addEventListener('click', () => fetchProfileTab(profileCursor));
+document.getElementById('notificationsBtn').addEventListener('click', () => {
+  window.location.hash = '#/notifications';
+});
+document.getElementById('notificationsBackBtn').addEventListener('click', () => {
+  window.location.hash = '';
+});
+notificationsLoadMoreBtn.addEventListener('click', () => fetchNotifications(notificationsCursor));
+document.getElementById('searchForm').addEventListener('submit', (e) => {
+  e.preventDefault();
+  const q = searchInput.value.trim();
+  if (!q) return;
+  window.location.hash = '#/search?' + new URLSearchParams({ q, sort: searchSort.value });
+});
+document.getElementById('searchBackBtn').addEventListener('click', () => {
+  window.location.hash = '';
+});
+searchTabs.addEventListener('click', (e) => {
+  const button = e.target.closest('button[data-tab]');
+  if (!button || button.dataset.tab === searchTab) return;
+  searchTab = button.dataset.tab;
+  fetchSearchResults();
+});
+searchLoadMoreBtn.addEventListener('click', () => fetchSearchResults(searchCursor));
+postText.addEventListener('input', handleMentionInput);
+postText.addEventListener('keydown', handleMentionKeydown);
+postText.addEventListener('blur', hideMentionSuggestions);
+document.getElementById('messagesBtn').addEventListener('click', () => {
+  window.location.hash = '#/chat';
+});
+document.getElementById('chatBackBtn').addEventListener('click', () => {
+  window.location.hash = chatConvoId ? '#/chat' : '';
+});
+chatLoadMoreBtn.addEventListener('click', () => fetchChat(chatCursor));
+document.getElementById('chatSendBtn').addEventListener('click', sendChatMessage);
+window.addEventListener('hashchange', route);
 
 // Initialize
 checkSession();
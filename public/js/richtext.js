@@ -0,0 +1,85 @@
+/**
+ * ATProtocol OAuth Starter Kit - Rich Text Rendering
+ *
+ * Turns post text and facets (mentions, links, hashtags) into HTML.
+ * Loaded before app.js; also exported for the unit tests.
+ */
+
+/**
+ * Escape text for use in HTML content and quoted attribute values
+ */
+function escapeHtml(text) {
+  if (!text) return '';
+  return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Render post text as HTML, turning facets (mentions, links, hashtags) into links
+ * Facet ranges are UTF-8 byte offsets, so slicing happens on the encoded bytes.
+ */
+function renderRichText(text, facets) {
+  if (!text) return '';
+  if (!facets || facets.length === 0) return escapeHtml(text);
+
+  const bytes = new TextEncoder().encode(text);
+  const decoder = new TextDecoder();
+  const sorted = [...facets].sort((a, b) => a.index.byteStart - b.index.byteStart);
+
+  let html = '';
+  let cursor = 0;
+
+  sorted.forEach(facet => {
+    const { byteStart, byteEnd } = facet.index;
+    // Skip overlapping or out-of-range facets
+    if (byteStart < cursor || byteEnd > bytes.length || byteStart >= byteEnd) return;
+
+    html += escapeHtml(decoder.decode(bytes.slice(cursor, byteStart)));
+    const segment = decoder.decode(bytes.slice(byteStart, byteEnd));
+    const href = facetHref(facet.features && facet.features[0]);
+
+    if (href) {
+      html += `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${escapeHtml(segment)}</a>`;
+    } else {
+      html += escapeHtml(segment);
+    }
+    cursor = byteEnd;
+  });
+
+  html += escapeHtml(decoder.decode(bytes.slice(cursor)));
+  return html;
+}
+
+/**
+ * Parse a link facet URI, returning its normalized form only for http(s) URLs
+ */
+function safeLinkHref(uri) {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch {
+    return null;
+  }
+  return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+}
+
+/**
+ * Get the link target for a facet feature (only http(s) links are allowed)
+ */
+function facetHref(feature) {
+  if (!feature) return null;
+
+  switch (feature.$type) {
+    case 'app.bsky.richtext.facet#mention':
+      return `https://bsky.app/profile/${encodeURIComponent(feature.did)}`;
+    case 'app.bsky.richtext.facet#tag':
+      return `https://bsky.app/hashtag/${encodeURIComponent(feature.tag)}`;
+    case 'app.bsky.richtext.facet#link':
+      return safeLinkHref(feature.uri);
+    default:
+      return null;
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { escapeHtml, renderRichText, facetHref };
+}
@@ -1,15 +1,29 @@
 const { generateKeyPair, exportJWK } = require('jose');
 const fs = require('fs');
 const path = require('path');
+const {
+    DEFAULT_GRACE_DAYS,
+    normalizeKeySet,
+    getActiveKeys,
+    nextKid,
+    addKey,
+    promoteKey,
+    retireKey
+} = require('../config/keys');
 
-async function main() {
+const USAGE = `Usage:
+  npm run generate-keys                                  Create keys.json with a first key
+  npm run generate-keys -- add                           Add a key and publish it (the signing key stays the same)
+  npm run generate-keys -- promote <kid>                 Sign new logins with a published key
+  npm run generate-keys -- retire <kid> [grace-days]     Stop publishing a key after a grace period (default ${DEFAULT_GRACE_DAYS} days)`;
+
+async function createKeyPair(kid) {
     const { privateKey, publicKey } = await generateKeyPair('ES256', { extractable: true });
 
     const privateJwk = await exportJWK(privateKey);
     const publicJwk = await exportJWK(publicKey);
 
-    // Add kid (Key ID) - useful if we rotate keys later
-    const kid = 'key-1';
+    // Key ID, so sessions can keep using the key they were created with after a rotation
     privateJwk.kid = kid;
     publicJwk.kid = kid;
 
@@ -20,17 +34,65 @@ async function main() {
     privateJwk.alg = 'ES256';
     publicJwk.alg = 'ES256';
 
-    const keys = {
-        privateJwk,
-        publicJwk
-    };
+    return { privateJwk, publicJwk };
+}
 
+async function main() {
+    const [mode, ...args] = process.argv.slice(2);
     const outputPath = path.join(__dirname, '..', 'keys.json');
-    fs.writeFileSync(outputPath, JSON.stringify(keys, null, 2));
+    const exists = fs.existsSync(outputPath);
+
+    let keySet;
+    if (!mode) {
+        // Overwriting the keys would log every user out
+        if (exists) {
+            throw new Error(`${outputPath} already exists. Use "add" to rotate keys.`);
+        }
+        const pair = await createKeyPair(nextKid());
+        keySet = normalizeKeySet({ signingKid: pair.privateJwk.kid, keys: [pair] });
+    } else if (mode === 'add' || mode === 'promote' || mode === 'retire') {
+        if (!exists) {
+            throw new Error(`${outputPath} not found. Run without arguments to create it.`);
+        }
+        keySet = normalizeKeySet(JSON.parse(fs.readFileSync(outputPath, 'utf8')));
+
+        // Keys past their grace period are no longer published, so they can go
+        const active = getActiveKeys(keySet);
+        keySet.keys.filter(entry => !active.includes(entry))
+            .forEach(entry => console.log(`Removed expired key ${entry.privateJwk.kid}`));
+        keySet = normalizeKeySet({ signingKid: keySet.signingKid, keys: keySet.keys.filter(entry => active.includes(entry)) });
+
+        if (mode === 'add') {
+            keySet = addKey(keySet, await createKeyPair(nextKid(keySet)));
+        } else if (mode === 'promote') {
+            const [kid] = args;
+            if (!kid) {
+                throw new Error(USAGE);
+            }
+            keySet = promoteKey(keySet, kid);
+        } else {
+            const [kid, graceDays = DEFAULT_GRACE_DAYS] = args;
+            if (!kid || !Number.isFinite(Number(graceDays)) || Number(graceDays) < 0) {
+                throw new Error(USAGE);
+            }
+            keySet = retireKey(keySet, kid, Number(graceDays));
+        }
+    } else {
+        throw new Error(USAGE);
+    }
+
+    fs.writeFileSync(outputPath, JSON.stringify(keySet, null, 2));
 
-    console.log(`Keys generated and saved to ${outputPath}`);
-    console.log('PUBLIC KEY (for client-metadata.json):');
-    console.log(JSON.stringify(publicJwk, null, 2));
+    console.log(`Keys saved to ${outputPath}`);
+    keySet.keys.forEach(entry => {
+        const kid = entry.privateJwk.kid;
+        const status = kid === keySet.signingKid ? 'signing' : entry.retiredAt ? `retired, published until ${entry.expiresAt}` : 'published';
+        console.log(`  ${kid} (${status})`);
+    });
+    console.log('Restart the app (or update KEYS_JSON) to publish the new key set.');
 }
 
-main().catch(console.error);
+main().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+});
@@ -6,10 +6,19 @@ const db = require('./db');
 const { validateEnvironment } = require('./config/environment');
 const { loadKeys, setupCsrf } = require('./config/security');
 const { createOAuthClient } = require('./config/oauth-client');
+const { loadDocuments } = require('./config/client-metadata');
+const { loadAccounts } = require('./utils/accounts');
 const authRoutes = require('./features/auth/auth.routes');
 const profileRoutes = require('./features/profile/profile.routes');
 const postsRoutes = require('./features/posts/posts.routes');
 const feedRoutes = require('./features/feed/feed.routes');
+const threadRoutes = require('./features/thread/thread.routes');
+const followsRoutes = require('./features/follows/follows.routes');
+const notificationsRoutes = require('./features/notifications/notifications.routes');
+const searchRoutes = require('./features/search/search.routes');
+const chatRoutes = require('./features/chat/chat.routes');
+const accountsRoutes = require('./features/accounts/accounts.routes');
+const sessionsRoutes = require('./features/sessions/sessions.routes');
 const metadataRoutes = require('./features/metadata/metadata.routes');
 
 // Validate environment variables on startup
@@ -20,7 +29,7 @@ const PORT = process.env.PORT || 3000;
 const PUBLIC_URL = process.env.PUBLIC_URL || `http://127.0.0.1:${PORT}`;
 
 // Load security configuration
-const keys = loadKeys();
+const keys = loadKeys(PUBLIC_URL);
 const { generateCsrfToken, doubleCsrfProtection } = setupCsrf();
 
 // Initialize App
@@ -29,7 +38,7 @@ async function main() {
     await db.initialize();
 
     // Initialize OAuth Client
-    const { oauthClient, clientMetadata } = await createOAuthClient(
+    const { oauthClient, clientMetadata, jwks } = await createOAuthClient(
         keys,
         PUBLIC_URL,
         db.stateStore,
@@ -40,6 +49,8 @@ async function main() {
     // Make shared resources available to routes
     app.locals.oauthClient = oauthClient;
     app.locals.clientMetadata = clientMetadata;
+    app.locals.jwks = jwks;
+    app.locals.documents = loadDocuments();
     app.locals.generateCsrfToken = generateCsrfToken;
 
     // Trust proxy - required when behind reverse proxy (ngrok, load balancer, etc.)
@@ -53,29 +64,53 @@ async function main() {
     app.use(express.static('public'));
     app.use(cookieParser(process.env.COOKIE_SECRET));
 
+    // Resolve the browser session cookies into the signed-in accounts
+    app.use(loadAccounts);
+
     // Apply CSRF protection to all unsafe routes
     // We explicitly exempt /client-metadata.json and /oauth/callback or just apply globally
     // since they are GET requests, they are ignored by default.
-    // The only unsafe route is /api/post and /logout
+    // The unsafe routes are /api/post, /api/accounts/switch, DELETE /api/sessions/:id and /logout
     app.use(doubleCsrfProtection);
 
     // --- Routes ---
 
-    // Metadata Routes (client-metadata.json, /api/csrf)
+    // Metadata Routes (client-metadata.json, jwks.json, /tos, /policy, /api/csrf)
     app.use('/', metadataRoutes);
 
     // Auth Routes (login, callback, logout)
     app.use('/', authRoutes);
 
-    // Profile Routes (/api/me)
+    // Profile Routes (/api/me, /api/profile/:actor)
     app.use('/api', profileRoutes);
 
-    // Posts Routes (/api/post)
+    // Follows Routes (/api/follows/:actor)
+    app.use('/api', followsRoutes);
+
+    // Posts Routes (/api/post, /api/posts/*)
     app.use('/api', postsRoutes);
 
-    // Feed Routes (/api/feed)
+    // Feed Routes (/api/feed, /api/feeds/saved)
     app.use('/api', feedRoutes);
 
+    // Thread Routes (/api/thread)
+    app.use('/api', threadRoutes);
+
+    // Notifications Routes (/api/notifications/*)
+    app.use('/api', notificationsRoutes);
+
+    // Search Routes (/api/search/*, /api/login/suggest)
+    app.use('/api', searchRoutes);
+
+    // Chat Routes (/api/chat/*)
+    app.use('/api', chatRoutes);
+
+    // Accounts Routes (/api/accounts, /api/accounts/switch)
+    app.use('/api', accountsRoutes);
+
+    // Sessions Routes (/api/sessions)
+    app.use('/api', sessionsRoutes);
+
     // Error Handler
     app.use((err, req, res, next) => {
         console.error('Unhandled Error:', err);
@@ -84,7 +119,7 @@ async function main() {
 
     app.listen(PORT, () => {
         console.log(`Server running at ${PUBLIC_URL}`);
-        console.log(`Client ID is ${PUBLIC_URL}/client-metadata.json`);
+        console.log(`Client ID is ${clientMetadata.client_id}`);
     });
 }
 
@@ -3,6 +3,8 @@
  * Simulates the @atproto/oauth-client-node without making real network calls
  */
 
+const { OAuthCallbackError } = require('@atproto/oauth-client-node');
+
 class MockOAuthClient {
   constructor({ stateStore, sessionStore }) {
     this.stateStore = stateStore;
@@ -23,7 +25,7 @@ class MockOAuthClient {
       options
     });
 
-    return new URL(`https://mock-pds.example.com/oauth/authorize?state=${state}&handle=${handle}`);
+    return new URL(`https://mock-pds.example.com/oauth/authorize?state=${state}&handle=${encodeURIComponent(handle)}`);
   }
 
   /**
@@ -33,10 +35,16 @@ class MockOAuthClient {
     const state = params.get('state');
     const code = params.get('code') || 'mock-code';
 
-    // Validate state exists
+    // Validate state exists (same errors as the real client)
     const stateData = await this.stateStore.get(state);
     if (!stateData) {
-      throw new Error('Invalid state parameter');
+      throw new OAuthCallbackError(params, `Unknown authorization session "${state}"`);
+    }
+
+    // The user denied access (or the PDS reported another error)
+    if (params.get('error')) {
+      await this.stateStore.del(state);
+      throw new OAuthCallbackError(params, undefined, stateData.options?.state);
     }
 
     // Create mock session
@@ -44,6 +52,8 @@ class MockOAuthClient {
     const session = {
       did,
       sub: did,
+      // The user can grant less than was requested (pass scope= to simulate that)
+      scope: params.get('scope') || stateData.options?.scope || null,
       handle: stateData.handle || 'mock.test.user',
       accessToken: 'mock-access-token-' + Date.now(),
       refreshToken: 'mock-refresh-token-' + Date.now(),
@@ -64,7 +74,8 @@ class MockOAuthClient {
     // Clean up state
     await this.stateStore.del(state);
 
-    return { session };
+    // App state passed to authorize comes back with the session
+    return { session, state: stateData.options?.state ?? null };
   }
 
   /**
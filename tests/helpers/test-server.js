@@ -3,6 +3,7 @@
  * Provides a configured Express app for testing without starting the actual server
  */
 
+const path = require('path');
 const express = require('express');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
@@ -11,6 +12,25 @@ const { doubleCsrf } = require('csrf-csrf');
 const { JoseKey } = require('@atproto/jwk-jose');
 const { Agent } = require('@atproto/api');
 const db = require('../../db');
+const {
+  loadAccounts,
+  getActiveSession,
+  getActiveDid,
+  addAccount,
+  removeAccount,
+  requireScope
+} = require('../../utils/accounts');
+const { getRequestedScope } = require('../../config/scopes');
+const { getPublicJwks } = require('../../config/keys');
+const {
+  LOGIN_ERRORS,
+  parseReturnTo,
+  validateReturnTo,
+  validateLoginInput,
+  classifyLoginError,
+  loginErrorPath
+} = require('../../features/auth/auth.service');
+const metadataRoutes = require('../../features/metadata/metadata.routes');
 const { MockOAuthClient, MockAgent } = require('./mock-oauth');
 const mockKeys = require('./mock-keys');
 
@@ -68,7 +88,7 @@ async function createTestApp(options = {}) {
     redirect_uris: [`${PUBLIC_URL}/oauth/callback`],
     grant_types: ['authorization_code', 'refresh_token'],
     response_types: ['code'],
-    scope: 'atproto transition:generic',
+    scope: getRequestedScope(),
     token_endpoint_auth_method: 'private_key_jwt',
     token_endpoint_auth_signing_alg: 'ES256',
     dpop_bound_access_tokens: true,
@@ -91,7 +111,7 @@ async function createTestApp(options = {}) {
     doubleCsrfProtection,
   } = doubleCsrf({
     getSecret: () => process.env.COOKIE_SECRET,
-    getSessionIdentifier: (req) => req.signedCookies?.user_did || "anon",
+    getSessionIdentifier: (req) => getActiveSession(req)?.id || "anon",
     cookieName: "x-csrf-token",
     cookieOptions: {
       httpOnly: true,
@@ -104,6 +124,13 @@ async function createTestApp(options = {}) {
     getTokenFromRequest: (req) => req.headers["x-csrf-token"],
   });
 
+  // Shared resources, as server.js sets them (options.jwks: null is a loopback client without keys)
+  app.locals.oauthClient = oauthClient;
+  app.locals.clientMetadata = clientMetadata;
+  app.locals.jwks = options.jwks !== undefined ? options.jwks : getPublicJwks([mockKeys]);
+  app.locals.documents = {};
+  app.locals.generateCsrfToken = generateCsrfToken;
+
   // Middleware setup
   app.set('trust proxy', 1);
   app.use(helmet({
@@ -111,65 +138,60 @@ async function createTestApp(options = {}) {
   }));
   app.use(express.json({ limit: '1mb' }));
   app.use(cookieParser(process.env.COOKIE_SECRET));
-
-  // CSRF Token Endpoint
-  app.get('/api/csrf', (req, res) => {
-    const token = generateCsrfToken(req, res);
-    res.json({ token });
-  });
+  app.use(loadAccounts);
 
   // Apply CSRF protection
   app.use(doubleCsrfProtection);
 
   // --- Routes (same as server.js) ---
 
-  app.get('/client-metadata.json', (req, res) => {
-    res.json(clientMetadata);
-  });
+  // Metadata Routes (client-metadata.json, jwks.json, /tos, /policy, /api/csrf)
+  app.use('/', metadataRoutes);
 
   app.get('/login', loginLimiter, async (req, res) => {
-    const handle = req.query.handle;
+    const { handle, returnTo = '/' } = req.query;
 
-    if (!handle || typeof handle !== 'string' || handle.trim().length === 0) {
-      return res.status(400).send('Handle required');
+    const validation = validateLoginInput(handle);
+    if (!validation.valid) {
+      return res.status(400).send(validation.error);
     }
-    if (!/^[a-zA-Z0-9.-]+$/.test(handle)) {
-      return res.status(400).send('Invalid handle format');
+    if (!validateReturnTo(returnTo).valid) {
+      return res.status(400).send('Invalid return path');
     }
 
     try {
-      const url = await oauthClient.authorize(handle, {
-        scope: 'atproto transition:generic',
+      const url = await oauthClient.authorize(validation.identifier, {
+        scope: getRequestedScope(),
+        state: JSON.stringify({ returnTo }),
       });
       res.redirect(url.toString());
     } catch (err) {
       console.error('Login error:', err);
-      res.status(500).send(`Failed to start login: ${err.message}`);
+      res.redirect(loginErrorPath(classifyLoginError(err), returnTo));
     }
   });
 
   app.get('/oauth/callback', async (req, res) => {
     try {
       const params = new URLSearchParams(req.query);
-      const { session } = await oauthClient.callback(params);
-
-      res.cookie('user_did', session.did, {
-        httpOnly: true,
-        signed: true,
-        maxAge: 7 * 24 * 60 * 60 * 1000,
-        sameSite: 'lax',
-        secure: true
-      });
+      const { session, state } = await oauthClient.callback(params);
+
+      await addAccount(req, res, session.did, session.scope);
 
-      res.redirect('/');
+      res.redirect(parseReturnTo(state));
     } catch (err) {
       console.error('Callback error:', err);
-      res.status(500).send(`Login failed: ${err.message}`);
+      res.redirect(loginErrorPath(classifyLoginError(err), parseReturnTo(err.state)));
     }
   });
 
+  app.get('/oauth/error', (req, res) => {
+    const reason = Object.hasOwn(LOGIN_ERRORS, req.query.reason) ? req.query.reason : 'login_failed';
+    res.status(LOGIN_ERRORS[reason]).sendFile('index.html', { root: path.join(__dirname, '../../public') });
+  });
+
   app.get('/api/me', async (req, res) => {
-    const did = req.signedCookies.user_did;
+    const did = getActiveDid(req);
     if (!did) return res.json({ loggedIn: false });
 
     try {
@@ -191,8 +213,8 @@ async function createTestApp(options = {}) {
     }
   });
 
-  app.post('/api/post', postLimiter, async (req, res) => {
-    const did = req.signedCookies.user_did;
+  app.post('/api/post', postLimiter, requireScope({ collection: 'app.bsky.feed.post', action: 'create' }), async (req, res) => {
+    const did = getActiveDid(req);
     if (!did) return res.status(401).json({ error: 'Not logged in' });
 
     const { text } = req.body;
@@ -218,16 +240,19 @@ async function createTestApp(options = {}) {
   });
 
   app.post('/logout', async (req, res) => {
-    const did = req.signedCookies.user_did;
+    const did = getActiveDid(req);
+    const activeDid = await removeAccount(req, res, did);
     if (did) {
       try {
-        await oauthClient.revoke(did);
+        const otherSessions = await db.browserSessionStore.listByDid(did);
+        if (otherSessions.length === 0) {
+          await oauthClient.revoke(did);
+        }
       } catch (err) {
         console.error('Failed to revoke token:', err);
       }
     }
-    res.clearCookie('user_did');
-    res.json({ success: true });
+    res.json({ success: true, activeDid: activeDid || null });
   });
 
   // Error Handler
@@ -268,7 +293,16 @@ function getSignedCookie(name, value) {
   return `${name}=s:${value}.${signature}`;
 }
 
+/**
+ * Helper to start a browser session for a DID and get its signed session cookie
+ */
+async function createSessionCookie(did, scope) {
+  const session = await db.browserSessionStore.create({ did, ip: '127.0.0.1', userAgent: 'jest', scope });
+  return getSignedCookie('session_id', session.id);
+}
+
 module.exports = {
   createTestApp,
   getSignedCookie,
+  createSessionCookie,
 };
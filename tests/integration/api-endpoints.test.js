@@ -4,7 +4,7 @@
  */
 
 const request = require('supertest');
-const { createTestApp, getSignedCookie } = require('../helpers/test-server');
+const { createTestApp, createSessionCookie } = require('../helpers/test-server');
 
 describe('API Endpoints', () => {
   let app;
@@ -60,7 +60,7 @@ describe('API Endpoints', () => {
       const did = 'did:plc:testuser123';
       await app._testOAuthClient.createMockSession(did, 'test.user');
 
-      const cookieHeader = getSignedCookie('user_did', did);
+      const cookieHeader = await createSessionCookie(did);
 
       const response = await request(app)
         .get('/api/me')
@@ -75,7 +75,7 @@ describe('API Endpoints', () => {
     });
 
     test('should return loggedIn: false with invalid session', async () => {
-      const cookieHeader = getSignedCookie('user_did', 'did:plc:nonexistent');
+      const cookieHeader = await createSessionCookie('did:plc:nonexistent');
 
       const response = await request(app)
         .get('/api/me')
@@ -88,7 +88,7 @@ describe('API Endpoints', () => {
     test('should return loggedIn: false with unsigned cookie', async () => {
       const response = await request(app)
         .get('/api/me')
-        .set('Cookie', 'user_did=did:plc:fake')
+        .set('Cookie', 'session_id=fake-session-id')
         .expect(200);
 
       expect(response.body.loggedIn).toBe(false);
@@ -109,7 +109,7 @@ describe('API Endpoints', () => {
       // Create authenticated session
       did = 'did:plc:poster123';
       await app._testOAuthClient.createMockSession(did, 'poster.test');
-      const userCookie = getSignedCookie('user_did', did);
+      const userCookie = await createSessionCookie(did);
 
       // Get CSRF token with user cookie
       const csrfResponse = await request(app)
@@ -255,6 +255,26 @@ describe('API Endpoints', () => {
 
       expect(response.body.success).toBe(true);
     });
+
+    test('should return 403 when the session did not grant posting', async () => {
+      const readOnlyCookie = await createSessionCookie(did, 'atproto rpc:*?aud=did:web:api.bsky.app%23bsky_appview');
+      const csrfResponse = await request(app)
+        .get('/api/csrf')
+        .set('Cookie', readOnlyCookie);
+
+      const response = await request(app)
+        .post('/api/post')
+        .set('Cookie', [readOnlyCookie, ...csrfResponse.headers['set-cookie']])
+        .set('x-csrf-token', csrfResponse.body.token)
+        .send({ text: 'Hello, Bluesky!' })
+        .expect(403);
+
+      expect(response.body).toEqual({
+        error: 'Scope not granted',
+        code: 'insufficient_scope',
+        scope: 'transition:generic'
+      });
+    });
   });
 
   describe('Error Handling', () => {
@@ -274,7 +294,7 @@ describe('API Endpoints', () => {
     test('should accept JSON content type', async () => {
       const did = 'did:plc:jsontest';
       await app._testOAuthClient.createMockSession(did, 'json.test');
-      const userCookie = getSignedCookie('user_did', did);
+      const userCookie = await createSessionCookie(did);
 
       const csrfResponse = await request(app)
         .get('/api/csrf')
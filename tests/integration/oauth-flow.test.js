@@ -4,7 +4,7 @@
  */
 
 const request = require('supertest');
-const { createTestApp, getSignedCookie } = require('../helpers/test-server');
+const { createTestApp, createSessionCookie } = require('../helpers/test-server');
 
 describe('OAuth Flow', () => {
   let app;
@@ -48,6 +48,30 @@ describe('OAuth Flow', () => {
     });
   });
 
+  describe('GET /jwks.json', () => {
+    test('should publish cacheable public keys only', async () => {
+      const response = await request(app)
+        .get('/jwks.json')
+        .expect(200)
+        .expect('Content-Type', /json/);
+
+      expect(response.headers['cache-control']).toBe('public, max-age=600');
+      expect(response.body.keys).toHaveLength(1);
+      expect(response.body.keys[0]).toHaveProperty('kid', 'test-key-id-1');
+      expect(response.body.keys[0]).not.toHaveProperty('d');
+    });
+
+    test('should not be served when there are no keys', async () => {
+      const loopbackApp = await createTestApp({ jwks: null });
+
+      const response = await request(loopbackApp)
+        .get('/jwks.json')
+        .expect(404);
+
+      expect(response.headers['cache-control']).toBeUndefined();
+    });
+  });
+
   describe('GET /login', () => {
     test('should redirect to authorization URL with valid handle', async () => {
       const response = await request(app)
@@ -106,6 +130,30 @@ describe('OAuth Flow', () => {
       expect(response.headers.location).toBeDefined();
     });
 
+    test('should accept a handle with a leading @', async () => {
+      const response = await request(app)
+        .get('/login?handle=%40Alice.bsky.social')
+        .expect(302);
+
+      expect(new URL(response.headers.location).searchParams.get('handle')).toBe('alice.bsky.social');
+    });
+
+    test('should accept a DID', async () => {
+      const response = await request(app)
+        .get('/login?handle=did:plc:ewvi7nxzyoun6zhxrhs64oiz')
+        .expect(302);
+
+      expect(new URL(response.headers.location).searchParams.get('handle')).toBe('did:plc:ewvi7nxzyoun6zhxrhs64oiz');
+    });
+
+    test('should accept a server URL', async () => {
+      const response = await request(app)
+        .get(`/login?handle=${encodeURIComponent('https://bsky.social')}`)
+        .expect(302);
+
+      expect(new URL(response.headers.location).searchParams.get('handle')).toBe('https://bsky.social');
+    });
+
     test('should reject handle with special characters', async () => {
       await request(app)
         .get('/login?handle=alice@bob.com')
@@ -141,18 +189,70 @@ describe('OAuth Flow', () => {
       // Check that cookie was set
       const cookies = response.headers['set-cookie'];
       expect(cookies).toBeDefined();
-      const userDidCookie = cookies.find(c => c.startsWith('user_did='));
-      expect(userDidCookie).toBeDefined();
-      expect(userDidCookie).toContain('HttpOnly');
-      expect(userDidCookie).toContain('Secure');
+      const sessionCookie = cookies.find(c => c.startsWith('session_id='));
+      expect(sessionCookie).toBeDefined();
+      expect(sessionCookie).toContain('HttpOnly');
+      expect(sessionCookie).toContain('Secure');
+    });
+
+    test('should return to the path given at login', async () => {
+      const loginResponse = await request(app)
+        .get(`/login?handle=alice.bsky.social&returnTo=${encodeURIComponent('/#/notifications')}`)
+        .expect(302);
+      const state = new URL(loginResponse.headers.location).searchParams.get('state');
+
+      const response = await request(app)
+        .get(`/oauth/callback?state=${state}&code=mock-code`)
+        .expect(302);
+
+      expect(response.headers.location).toBe('/#/notifications');
+    });
+
+    test('should reject return paths on another origin', async () => {
+      const response = await request(app)
+        .get(`/login?handle=alice.bsky.social&returnTo=${encodeURIComponent('//evil.example/phish')}`)
+        .expect(400);
+
+      expect(response.text).toBe('Invalid return path');
+    });
+
+    test('should record the scope the user granted', async () => {
+      const loginResponse = await request(app)
+        .get('/login?handle=alice.bsky.social')
+        .expect(302);
+      const state = new URL(loginResponse.headers.location).searchParams.get('state');
+
+      await request(app)
+        .get(`/oauth/callback?state=${state}&code=mock-code&did=did:plc:narrow&scope=atproto`)
+        .expect(302);
+
+      const db = require('../../db');
+      const [session] = await db.browserSessionStore.listByDid('did:plc:narrow');
+      expect(session.scope).toBe('atproto');
     });
 
-    test('should return 500 with invalid state', async () => {
+    test('should redirect to the error view with invalid state', async () => {
       const response = await request(app)
         .get('/oauth/callback?state=invalid-state&code=test-code')
-        .expect(500);
+        .expect(302);
+
+      expect(response.headers.location).toBe('/oauth/error?reason=session_expired');
+    });
+
+    test('should redirect to the error view when the user denies access', async () => {
+      const loginResponse = await request(app)
+        .get(`/login?handle=alice.bsky.social&returnTo=${encodeURIComponent('/#/chat')}`)
+        .expect(302);
+      const state = new URL(loginResponse.headers.location).searchParams.get('state');
+
+      const response = await request(app)
+        .get(`/oauth/callback?state=${state}&error=access_denied&error_description=User+denied`)
+        .expect(302);
 
-      expect(response.text).toContain('Login failed');
+      const location = new URL(response.headers.location, 'https://test.example.com');
+      expect(location.pathname).toBe('/oauth/error');
+      expect(location.searchParams.get('reason')).toBe('access_denied');
+      expect(location.searchParams.get('returnTo')).toBe('/#/chat');
     });
 
     test('should set proper cookie attributes', async () => {
@@ -168,12 +268,12 @@ describe('OAuth Flow', () => {
         .expect(302);
 
       const cookies = response.headers['set-cookie'];
-      const userDidCookie = cookies.find(c => c.startsWith('user_did='));
+      const sessionCookie = cookies.find(c => c.startsWith('session_id='));
 
-      expect(userDidCookie).toContain('HttpOnly');
-      expect(userDidCookie).toContain('Secure');
-      expect(userDidCookie).toContain('SameSite=Lax');
-      expect(userDidCookie).toContain('Max-Age=');
+      expect(sessionCookie).toContain('HttpOnly');
+      expect(sessionCookie).toContain('Secure');
+      expect(sessionCookie).toContain('SameSite=Lax');
+      expect(sessionCookie).toContain('Max-Age=');
     });
   });
 
@@ -194,7 +294,7 @@ describe('OAuth Flow', () => {
 
       const cookies = response.headers['set-cookie'];
       if (cookies) {
-        const clearedCookie = cookies.find(c => c.startsWith('user_did='));
+        const clearedCookie = cookies.find(c => c.startsWith('session_id='));
         if (clearedCookie) {
           // Cookie should be cleared (either empty or with past expiry)
           expect(clearedCookie).toMatch(/Max-Age=0|Expires=Thu, 01 Jan 1970/);
@@ -207,15 +307,17 @@ describe('OAuth Flow', () => {
       const did = 'did:plc:testlogout123';
       await app._testOAuthClient.createMockSession(did, 'test.logout');
 
+      const userCookie = await createSessionCookie(did);
+
       // Get CSRF token
       const csrfResponse = await request(app)
         .get('/api/csrf')
-        .set('Cookie', getSignedCookie('user_did', did));
+        .set('Cookie', userCookie);
       const csrfToken = csrfResponse.body.token;
       const csrfCookies = csrfResponse.headers['set-cookie'];
 
       // Combine cookies
-      const allCookies = [getSignedCookie('user_did', did), ...csrfCookies];
+      const allCookies = [userCookie, ...csrfCookies];
 
       const response = await request(app)
         .post('/logout')
@@ -231,17 +333,42 @@ describe('OAuth Flow', () => {
       expect(session).toBeUndefined();
     });
 
+    test('should keep tokens while another browser is still signed in', async () => {
+      const did = `did:plc:twodevices${Date.now()}`;
+      await app._testOAuthClient.createMockSession(did, 'two.devices');
+      const userCookie = await createSessionCookie(did);
+      await createSessionCookie(did); // Second device
+
+      const csrfResponse = await request(app)
+        .get('/api/csrf')
+        .set('Cookie', userCookie);
+      const csrfToken = csrfResponse.body.token;
+      const csrfCookies = csrfResponse.headers['set-cookie'];
+
+      await request(app)
+        .post('/logout')
+        .set('Cookie', [userCookie, ...csrfCookies])
+        .set('x-csrf-token', csrfToken)
+        .expect(200);
+
+      const db = require('../../db');
+      expect(await db.sessionStore.get(did)).toBeDefined();
+      expect(await db.browserSessionStore.listByDid(did)).toHaveLength(1);
+    });
+
     test('should succeed even if token revocation fails', async () => {
       const did = 'did:plc:nonexistent';
 
+      const userCookie = await createSessionCookie(did);
+
       // Get CSRF token
       const csrfResponse = await request(app)
         .get('/api/csrf')
-        .set('Cookie', getSignedCookie('user_did', did));
+        .set('Cookie', userCookie);
       const csrfToken = csrfResponse.body.token;
       const csrfCookies = csrfResponse.headers['set-cookie'];
 
-      const allCookies = [getSignedCookie('user_did', did), ...csrfCookies];
+      const allCookies = [userCookie, ...csrfCookies];
 
       const response = await request(app)
         .post('/logout')
@@ -253,6 +380,22 @@ describe('OAuth Flow', () => {
     });
   });
 
+  describe('GET /oauth/error', () => {
+    test('should serve the frontend with the status for the reason', async () => {
+      const response = await request(app)
+        .get('/oauth/error?reason=access_denied')
+        .expect(403);
+
+      expect(response.text).toContain('loginErrorSection');
+    });
+
+    test('should fall back to a generic failure for unknown reasons', async () => {
+      await request(app)
+        .get('/oauth/error?reason=__proto__')
+        .expect(500);
+    });
+  });
+
   describe('Complete OAuth Flow', () => {
     test('should complete full authentication flow', async () => {
       // Step 1: Initiate login
@@ -273,17 +416,28 @@ describe('OAuth Flow', () => {
 
       // Step 3: Verify session is stored
       const cookies = callbackResponse.headers['set-cookie'];
-      const userDidCookie = cookies.find(c => c.startsWith('user_did='));
-      expect(userDidCookie).toBeDefined();
+      const sessionCookie = cookies.find(c => c.startsWith('session_id='));
+      expect(sessionCookie).toBeDefined();
 
-      // Extract DID from cookie (simplified)
+      // The cookie is an opaque session ID, not the DID
       const did = 'did:plc:alice123';
+      expect(sessionCookie).not.toContain(did);
 
       // Step 4: Verify can access authenticated endpoints
       const db = require('../../db');
       const session = await db.sessionStore.get(did);
       expect(session).toBeDefined();
       expect(session.sub).toBe(did);
+
+      const browserSessions = await db.browserSessionStore.listByDid(did);
+      expect(browserSessions.length).toBeGreaterThan(0);
+
+      const meResponse = await request(app)
+        .get('/api/me')
+        .set('Cookie', sessionCookie.split(';')[0])
+        .expect(200);
+      expect(meResponse.body.loggedIn).toBe(true);
+      expect(meResponse.body.did).toBe(did);
     });
   });
 });
@@ -4,7 +4,7 @@
  */
 
 const request = require('supertest');
-const { createTestApp, getSignedCookie } = require('../helpers/test-server');
+const { createTestApp, createSessionCookie } = require('../helpers/test-server');
 
 describe('Security Features', () => {
   let app;
@@ -17,7 +17,7 @@ describe('Security Features', () => {
     test('should reject POST /api/post without CSRF token', async () => {
       const did = 'did:plc:csrftest';
       await app._testOAuthClient.createMockSession(did, 'csrf.test');
-      const cookieHeader = getSignedCookie('user_did', did);
+      const cookieHeader = await createSessionCookie(did);
 
       const response = await request(app)
         .post('/api/post')
@@ -39,7 +39,7 @@ describe('Security Features', () => {
     test('should allow POST with valid CSRF token', async () => {
       const did = 'did:plc:csrfvalid';
       await app._testOAuthClient.createMockSession(did, 'valid.test');
-      const userCookie = getSignedCookie('user_did', did);
+      const userCookie = await createSessionCookie(did);
 
       // Get CSRF token with the user cookie
       const csrfResponse = await request(app)
@@ -70,7 +70,7 @@ describe('Security Features', () => {
     test('should reject POST with invalid CSRF token', async () => {
       const did = 'did:plc:invalidcsrf';
       await app._testOAuthClient.createMockSession(did, 'invalid.test');
-      const cookieHeader = getSignedCookie('user_did', did);
+      const cookieHeader = await createSessionCookie(did);
 
       const response = await request(app)
         .post('/api/post')
@@ -119,7 +119,7 @@ describe('Security Features', () => {
 
       const did = 'did:plc:ratelimitpost';
       await testApp._testOAuthClient.createMockSession(did, 'rate.test');
-      const userCookie = getSignedCookie('user_did', did);
+      const userCookie = await createSessionCookie(did);
 
       const csrfResponse = await request(testApp)
         .get('/api/csrf')
@@ -162,7 +162,7 @@ describe('Security Features', () => {
   });
 
   describe('Cookie Security', () => {
-    test('should set HttpOnly flag on user_did cookie', async () => {
+    test('should set HttpOnly flag on session cookie', async () => {
       const loginResponse = await request(app)
         .get('/login?handle=alice.test')
         .expect(302);
@@ -175,12 +175,12 @@ describe('Security Features', () => {
         .expect(302);
 
       const cookies = response.headers['set-cookie'];
-      const userDidCookie = cookies.find(c => c.startsWith('user_did='));
+      const sessionCookie = cookies.find(c => c.startsWith('session_id='));
 
-      expect(userDidCookie).toContain('HttpOnly');
+      expect(sessionCookie).toContain('HttpOnly');
     });
 
-    test('should set Secure flag on user_did cookie', async () => {
+    test('should set Secure flag on session cookie', async () => {
       const loginResponse = await request(app)
         .get('/login?handle=alice.test')
         .expect(302);
@@ -193,12 +193,12 @@ describe('Security Features', () => {
         .expect(302);
 
       const cookies = response.headers['set-cookie'];
-      const userDidCookie = cookies.find(c => c.startsWith('user_did='));
+      const sessionCookie = cookies.find(c => c.startsWith('session_id='));
 
-      expect(userDidCookie).toContain('Secure');
+      expect(sessionCookie).toContain('Secure');
     });
 
-    test('should set SameSite=Lax on user_did cookie', async () => {
+    test('should set SameSite=Lax on session cookie', async () => {
       const loginResponse = await request(app)
         .get('/login?handle=alice.test')
         .expect(302);
@@ -211,9 +211,9 @@ describe('Security Features', () => {
         .expect(302);
 
       const cookies = response.headers['set-cookie'];
-      const userDidCookie = cookies.find(c => c.startsWith('user_did='));
+      const sessionCookie = cookies.find(c => c.startsWith('session_id='));
 
-      expect(userDidCookie).toContain('SameSite=Lax');
+      expect(sessionCookie).toContain('SameSite=Lax');
     });
 
     test('should sign cookies', async () => {
@@ -229,17 +229,17 @@ describe('Security Features', () => {
         .expect(302);
 
       const cookies = response.headers['set-cookie'];
-      const userDidCookie = cookies.find(c => c.startsWith('user_did='));
+      const sessionCookie = cookies.find(c => c.startsWith('session_id='));
 
       // Signed cookies have format: s:value.signature (may be URL-encoded)
-      expect(userDidCookie).toMatch(/user_did=s(%3A|:)[^;]+\.[^;]+/);
+      expect(sessionCookie).toMatch(/session_id=s(%3A|:)[^;]+\.[^;]+/);
     });
 
     test('should reject tampered cookies', async () => {
       // Set a cookie with invalid signature
       const response = await request(app)
         .get('/api/me')
-        .set('Cookie', 'user_did=s:did:plc:fake.invalidsignature')
+        .set('Cookie', 'session_id=s:fake-session-id.invalidsignature')
         .expect(200);
 
       // Should not be authenticated
@@ -269,7 +269,7 @@ describe('Security Features', () => {
     test('should validate text in post endpoint', async () => {
       const did = 'did:plc:validation';
       await app._testOAuthClient.createMockSession(did, 'validation.test');
-      const userCookie = getSignedCookie('user_did', did);
+      const userCookie = await createSessionCookie(did);
 
       const csrfResponse = await request(app)
         .get('/api/csrf')
@@ -339,7 +339,7 @@ describe('Security Features', () => {
     });
 
     test('should reject requests with expired/invalid sessions', async () => {
-      const cookieHeader = getSignedCookie('user_did', 'did:plc:nonexistent');
+      const cookieHeader = await createSessionCookie('did:plc:nonexistent');
 
       const response = await request(app)
         .get('/api/me')
@@ -353,12 +353,11 @@ describe('Security Features', () => {
       // When errors occur, response should be generic
       const response = await request(app)
         .get('/oauth/callback?state=invalid')
-        .expect(500);
+        .expect(302);
 
-      // Should contain generic error message, not stack traces
-      expect(response.text).not.toContain('at ');
-      expect(response.text).not.toContain('Error:');
-      expect(response.text).toContain('Login failed');
+      // Only a reason code is passed to the error view, never the error message
+      expect(response.headers.location).toBe('/oauth/error?reason=session_expired');
+      expect(response.text).not.toContain('Unknown authorization session');
     });
   });
 
@@ -380,7 +379,7 @@ describe('Security Features', () => {
     test('should accept payloads under 1MB', async () => {
       const did = 'did:plc:payloadtest';
       await app._testOAuthClient.createMockSession(did, 'payload.test');
-      const userCookie = getSignedCookie('user_did', did);
+      const userCookie = await createSessionCookie(did);
 
       const csrfResponse = await request(app)
         .get('/api/csrf')
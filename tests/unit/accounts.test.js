@@ -0,0 +1,269 @@
+/**
+ * Unit tests for linked account handling
+ * Tests the browser session cookies and the accounts they resolve to
+ */
+
+const db = require('../../db');
+const {
+  MAX_LINKED_ACCOUNTS,
+  loadAccounts,
+  getActiveDid,
+  getLinkedDids,
+  addAccount,
+  switchAccount,
+  removeAccount,
+  hasScope
+} = require('../../utils/accounts');
+
+/**
+ * Minimal response stub that records cookie writes
+ */
+function createResponse() {
+  return {
+    cookies: {},
+    cleared: [],
+    cookie(name, value, options) {
+      this.cookies[name] = { value, options };
+    },
+    clearCookie(name) {
+      this.cleared.push(name);
+    }
+  };
+}
+
+/**
+ * Minimal request stub carrying signed session cookies
+ */
+function createRequest(sessionIds = []) {
+  const signedCookies = {};
+  if (sessionIds.length > 0) {
+    signedCookies.session_id = sessionIds[0];
+    signedCookies.linked_sessions = sessionIds.join(',');
+  }
+  return {
+    signedCookies,
+    ip: '203.0.113.7',
+    get: (header) => (header === 'user-agent' ? 'jest-agent' : undefined)
+  };
+}
+
+/**
+ * Run loadAccounts for a request and return it
+ */
+async function load(req, res = createResponse()) {
+  await new Promise((resolve, reject) => {
+    loadAccounts(req, res, (err) => (err ? reject(err) : resolve()));
+  });
+  return req;
+}
+
+describe('Linked Accounts', () => {
+  beforeAll(async () => {
+    delete process.env.REDIS_URL;
+    await db.initialize();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  describe('loadAccounts', () => {
+    test('should resolve nothing when not signed in', async () => {
+      const req = await load({ signedCookies: {} });
+
+      expect(getActiveDid(req)).toBeUndefined();
+      expect(getLinkedDids(req)).toEqual([]);
+    });
+
+    test('should ignore unsigned or tampered cookies', async () => {
+      // cookie-parser sets signedCookies values to false when the signature is invalid
+      const req = await load({ signedCookies: { session_id: false, linked_sessions: false } });
+
+      expect(getActiveDid(req)).toBeUndefined();
+    });
+
+    test('should resolve session IDs to DIDs, active account first', async () => {
+      const alice = await db.browserSessionStore.create({ did: 'did:plc:alice' });
+      const bob = await db.browserSessionStore.create({ did: 'did:plc:bob' });
+
+      const req = await load(createRequest([bob.id, alice.id]));
+
+      expect(getActiveDid(req)).toBe('did:plc:bob');
+      expect(getLinkedDids(req)).toEqual(['did:plc:bob', 'did:plc:alice']);
+    });
+
+    test('should drop unknown sessions and rewrite cookies', async () => {
+      const alice = await db.browserSessionStore.create({ did: 'did:plc:alice' });
+      const res = createResponse();
+
+      const req = await load(createRequest(['signed-out-elsewhere', alice.id]), res);
+
+      expect(getActiveDid(req)).toBe('did:plc:alice');
+      expect(res.cookies.session_id.value).toBe(alice.id);
+    });
+
+    test('should record activity on stale sessions', async () => {
+      const now = Date.now();
+      const session = await db.browserSessionStore.create({ did: 'did:plc:idle' });
+
+      jest.spyOn(Date, 'now').mockReturnValue(now + 10 * 60 * 1000);
+      await load(createRequest([session.id]));
+      const updated = await db.browserSessionStore.get(session.id);
+      jest.restoreAllMocks();
+
+      expect(updated.lastSeenAt).toBe(now + 10 * 60 * 1000);
+      expect(updated.ip).toBe('203.0.113.7');
+      expect(updated.userAgent).toBe('jest-agent');
+    });
+  });
+
+  describe('addAccount', () => {
+    test('should start a browser session and make it active', async () => {
+      const req = await load(createRequest());
+      const res = createResponse();
+
+      const session = await addAccount(req, res, 'did:plc:alice');
+
+      expect(res.cookies.session_id.value).toBe(session.id);
+      expect(res.cookies.session_id.value).not.toContain('did:plc:alice');
+      expect(getActiveDid(req)).toBe('did:plc:alice');
+      expect(session.ip).toBe('203.0.113.7');
+    });
+
+    test('should set secure signed cookies', async () => {
+      const req = await load(createRequest());
+      const res = createResponse();
+
+      await addAccount(req, res, 'did:plc:alice');
+
+      expect(res.cookies.session_id.options).toMatchObject({
+        httpOnly: true,
+        signed: true,
+        secure: true,
+        sameSite: 'lax'
+      });
+    });
+
+    test('should link a second account', async () => {
+      const alice = await db.browserSessionStore.create({ did: 'did:plc:alice' });
+      const req = await load(createRequest([alice.id]));
+      const res = createResponse();
+
+      const bob = await addAccount(req, res, 'did:plc:bob');
+
+      expect(res.cookies.linked_sessions.value).toBe(`${bob.id},${alice.id}`);
+      expect(getLinkedDids(req)).toEqual(['did:plc:bob', 'did:plc:alice']);
+    });
+
+    test('should replace the old session when an account signs in again', async () => {
+      const old = await db.browserSessionStore.create({ did: 'did:plc:again' });
+      const req = await load(createRequest([old.id]));
+
+      await addAccount(req, createResponse(), 'did:plc:again');
+
+      expect(getLinkedDids(req)).toEqual(['did:plc:again']);
+      expect(await db.browserSessionStore.get(old.id)).toBeUndefined();
+    });
+
+    test('should record the granted scope on every session of the DID', async () => {
+      const elsewhere = await db.browserSessionStore.create({ did: 'did:plc:scoped', scope: 'atproto' });
+      const req = await load(createRequest());
+
+      const session = await addAccount(req, createResponse(), 'did:plc:scoped', 'atproto transition:generic');
+
+      expect(session.scope).toBe('atproto transition:generic');
+      expect((await db.browserSessionStore.get(elsewhere.id)).scope).toBe('atproto transition:generic');
+    });
+
+    test('should cap the number of linked accounts', async () => {
+      const sessions = [];
+      for (let i = 0; i < MAX_LINKED_ACCOUNTS; i++) {
+        sessions.push(await db.browserSessionStore.create({ did: `did:plc:cap${i}` }));
+      }
+      const req = await load(createRequest(sessions.map(session => session.id)));
+
+      await addAccount(req, createResponse(), 'did:plc:newest');
+
+      expect(getLinkedDids(req)).toHaveLength(MAX_LINKED_ACCOUNTS);
+      expect(getActiveDid(req)).toBe('did:plc:newest');
+      expect(await db.browserSessionStore.get(sessions[MAX_LINKED_ACCOUNTS - 1].id)).toBeUndefined();
+    });
+  });
+
+  describe('hasScope', () => {
+    test('should check the active session\'s granted scope', async () => {
+      const session = await db.browserSessionStore.create({ did: 'did:plc:reader', scope: 'atproto' });
+      const req = await load(createRequest([session.id]));
+
+      expect(hasScope(req, { collection: 'app.bsky.feed.post', action: 'create' })).toBe(false);
+    });
+
+    test('should check chat access against the granted scope', async () => {
+      const session = await db.browserSessionStore.create({ did: 'did:plc:chatter', scope: 'atproto transition:generic' });
+      const req = await load(createRequest([session.id]));
+
+      expect(hasScope(req, { chat: true })).toBe(false);
+    });
+
+    test('should allow sessions from before scopes were recorded', async () => {
+      const session = await db.browserSessionStore.create({ did: 'did:plc:legacy' });
+      const req = await load(createRequest([session.id]));
+
+      expect(hasScope(req, { collection: 'app.bsky.feed.post', action: 'create' })).toBe(true);
+    });
+  });
+
+  describe('switchAccount', () => {
+    test('should switch to a linked account', async () => {
+      const alice = await db.browserSessionStore.create({ did: 'did:plc:alice' });
+      const bob = await db.browserSessionStore.create({ did: 'did:plc:bob' });
+      const req = await load(createRequest([alice.id, bob.id]));
+      const res = createResponse();
+
+      expect(switchAccount(req, res, 'did:plc:bob')).toBe(true);
+      expect(res.cookies.session_id.value).toBe(bob.id);
+      expect(getActiveDid(req)).toBe('did:plc:bob');
+    });
+
+    test('should refuse to switch to an account that is not linked', async () => {
+      const alice = await db.browserSessionStore.create({ did: 'did:plc:alice' });
+      const req = await load(createRequest([alice.id]));
+      const res = createResponse();
+
+      expect(switchAccount(req, res, 'did:plc:mallory')).toBe(false);
+      expect(res.cookies.session_id).toBeUndefined();
+    });
+  });
+
+  describe('removeAccount', () => {
+    test('should keep the active account when removing another one', async () => {
+      const alice = await db.browserSessionStore.create({ did: 'did:plc:alice' });
+      const bob = await db.browserSessionStore.create({ did: 'did:plc:bob' });
+      const req = await load(createRequest([alice.id, bob.id]));
+      const res = createResponse();
+
+      expect(await removeAccount(req, res, 'did:plc:bob')).toBe('did:plc:alice');
+      expect(res.cookies.linked_sessions.value).toBe(alice.id);
+      expect(await db.browserSessionStore.get(bob.id)).toBeUndefined();
+    });
+
+    test('should activate the next account when removing the active one', async () => {
+      const alice = await db.browserSessionStore.create({ did: 'did:plc:alice' });
+      const bob = await db.browserSessionStore.create({ did: 'did:plc:bob' });
+      const req = await load(createRequest([alice.id, bob.id]));
+      const res = createResponse();
+
+      expect(await removeAccount(req, res, 'did:plc:alice')).toBe('did:plc:bob');
+      expect(res.cookies.session_id.value).toBe(bob.id);
+    });
+
+    test('should clear cookies when the last account is removed', async () => {
+      const alice = await db.browserSessionStore.create({ did: 'did:plc:alice' });
+      const req = await load(createRequest([alice.id]));
+      const res = createResponse();
+
+      expect(await removeAccount(req, res, 'did:plc:alice')).toBeUndefined();
+      expect(res.cleared).toEqual(expect.arrayContaining(['session_id', 'linked_sessions']));
+    });
+  });
+});
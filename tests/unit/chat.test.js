@@ -0,0 +1,138 @@
+/**
+ * Unit tests for the chat service
+ * Tests proxying and message normalization
+ */
+
+jest.mock('../../utils/agent', () => ({ getAgent: jest.fn() }));
+
+const { getAgent } = require('../../utils/agent');
+const {
+  getChatAgent,
+  validateConvoId,
+  validateMessageText,
+  listConvos,
+  getMessages,
+  sendMessage,
+  markConvoRead
+} = require('../../features/chat/chat.service');
+
+const alice = { did: 'did:plc:alice', handle: 'alice.test', displayName: 'Alice' };
+
+function createMessage(id, text) {
+  return {
+    $type: 'chat.bsky.convo.defs#messageView',
+    id,
+    rev: '1',
+    text,
+    sender: { did: alice.did },
+    sentAt: '2026-01-01T00:00:00.000Z'
+  };
+}
+
+/**
+ * Chat agent stub with the convo methods
+ */
+function createChatAgent(convo = {}) {
+  return { chat: { bsky: { convo } } };
+}
+
+describe('Chat Service', () => {
+  afterEach(() => {
+    getAgent.mockReset();
+  });
+
+  describe('getChatAgent', () => {
+    test('should proxy to the chat service', async () => {
+      const proxied = { proxied: true };
+      const agent = { withProxy: jest.fn(() => proxied) };
+      getAgent.mockResolvedValue(agent);
+
+      expect(await getChatAgent('did:plc:bob', {})).toEqual({ agent: proxied });
+      expect(agent.withProxy).toHaveBeenCalledWith('bsky_chat', 'did:web:api.bsky.chat');
+    });
+
+    test('should fail when the session has expired', async () => {
+      getAgent.mockResolvedValue(null);
+
+      expect((await getChatAgent('did:plc:bob', {})).error).toBe('Session expired');
+    });
+  });
+
+  describe('validation', () => {
+    test('should validate conversation IDs', () => {
+      expect(validateConvoId('3kconvo123')).toEqual({ valid: true });
+      expect(validateConvoId('../../x').valid).toBe(false);
+      expect(validateConvoId(undefined).valid).toBe(false);
+    });
+
+    test('should validate message text', () => {
+      expect(validateMessageText('hi')).toEqual({ valid: true });
+      expect(validateMessageText('   ').valid).toBe(false);
+      expect(validateMessageText('a'.repeat(1001)).valid).toBe(false);
+    });
+  });
+
+  describe('conversations and messages', () => {
+    test('should normalize conversations', async () => {
+      const chatAgent = createChatAgent({
+        listConvos: jest.fn(async () => ({
+          data: {
+            convos: [{ id: 'c1', rev: '1', members: [alice], lastMessage: createMessage('m1', 'Hi'), unreadCount: 2, muted: false }],
+            cursor: 'next'
+          }
+        }))
+      });
+
+      expect(await listConvos(chatAgent)).toEqual({
+        convos: [{
+          id: 'c1',
+          members: [{ did: alice.did, handle: alice.handle, displayName: 'Alice', avatar: undefined }],
+          lastMessage: { id: 'm1', text: 'Hi', facets: [], senderDid: alice.did, sentAt: '2026-01-01T00:00:00.000Z' },
+          unreadCount: 2,
+          muted: false
+        }],
+        cursor: 'next'
+      });
+    });
+
+    test('should keep deleted messages and drop unknown ones', async () => {
+      const chatAgent = createChatAgent({
+        getMessages: jest.fn(async () => ({
+          data: {
+            messages: [
+              createMessage('m2', 'Hello'),
+              { $type: 'chat.bsky.convo.defs#deletedMessageView', id: 'm1', rev: '1', sender: { did: alice.did }, sentAt: '2026-01-01T00:00:00.000Z' },
+              { $type: 'chat.bsky.convo.defs#somethingNew', id: 'm0' }
+            ]
+          }
+        }))
+      });
+
+      const result = await getMessages(chatAgent, 'c1');
+
+      expect(result.messages.map(message => message.id)).toEqual(['m2', 'm1']);
+      expect(result.messages[1].deleted).toBe(true);
+      expect(result.cursor).toBeNull();
+    });
+
+    test('should send a message and return it', async () => {
+      const send = jest.fn(async () => ({ data: createMessage('m3', 'Sent') }));
+      const chatAgent = createChatAgent({ sendMessage: send });
+
+      const result = await sendMessage(chatAgent, 'c1', 'Sent');
+
+      expect(send).toHaveBeenCalledWith({ convoId: 'c1', message: { text: 'Sent' } });
+      expect(result.message.text).toBe('Sent');
+    });
+
+    test('should return an error for unknown conversations', async () => {
+      const notFound = jest.fn(async () => {
+        throw Object.assign(new Error('Convo not found'), { error: 'InvalidRequest' });
+      });
+      const chatAgent = createChatAgent({ getMessages: notFound, updateRead: notFound });
+
+      expect(await getMessages(chatAgent, 'nope')).toEqual({ error: 'Conversation not found' });
+      expect(await markConvoRead(chatAgent, 'nope')).toEqual({ error: 'Conversation not found' });
+    });
+  });
+});
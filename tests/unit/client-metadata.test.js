@@ -0,0 +1,147 @@
+/**
+ * Unit tests for client metadata configuration
+ * Tests configurable metadata fields, same-origin validation, the /tos and /policy documents and loopback clients
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  isLoopbackUrl,
+  getRedirectUris,
+  getCallbackPaths,
+  getClientMetadataConfig,
+  validateClientMetadataConfig,
+  loadDocuments
+} = require('../../config/client-metadata');
+const { createLoopbackClientMetadata } = require('../../config/oauth-client');
+
+const PUBLIC_URL = 'https://app.example.com';
+
+describe('Client Metadata Configuration', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'client-metadata-'));
+    fs.writeFileSync(path.join(dir, 'tos.md'), '# Terms\n\nBe **nice**.');
+    fs.writeFileSync(path.join(dir, 'policy.html'), '<!DOCTYPE html><p>Policy</p>');
+    fs.writeFileSync(path.join(dir, 'tos.txt'), 'Terms');
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('getClientMetadataConfig', () => {
+    test('should leave out fields that are not configured', () => {
+      expect(getClientMetadataConfig(PUBLIC_URL, {})).toEqual({
+        client_name: 'ATProto OAuth Example',
+        redirect_uris: ['https://app.example.com/oauth/callback']
+      });
+    });
+
+    test('should use the configured fields', () => {
+      const config = getClientMetadataConfig(PUBLIC_URL, {
+        OAUTH_CLIENT_NAME: 'My App',
+        OAUTH_LOGO_URI: `${PUBLIC_URL}/logo.png`,
+        TOS_FILE: path.join(dir, 'tos.md'),
+        OAUTH_POLICY_URI: `${PUBLIC_URL}/privacy`
+      });
+
+      expect(config).toEqual({
+        client_name: 'My App',
+        redirect_uris: ['https://app.example.com/oauth/callback'],
+        logo_uri: 'https://app.example.com/logo.png',
+        tos_uri: 'https://app.example.com/tos',
+        policy_uri: 'https://app.example.com/privacy'
+      });
+    });
+  });
+
+  describe('getRedirectUris', () => {
+    test('should accept several redirect URIs and serve each path', () => {
+      const env = { OAUTH_REDIRECT_URIS: `${PUBLIC_URL}/auth/done, ${PUBLIC_URL}/oauth/callback` };
+
+      expect(getRedirectUris(PUBLIC_URL, env)).toEqual([
+        'https://app.example.com/auth/done',
+        'https://app.example.com/oauth/callback'
+      ]);
+      expect(getCallbackPaths(env)).toEqual(['/oauth/callback', '/auth/done']);
+    });
+  });
+
+  describe('loopback development clients', () => {
+    test('should recognize loopback URLs over HTTP only', () => {
+      expect(isLoopbackUrl('http://127.0.0.1:3000')).toBe(true);
+      expect(isLoopbackUrl('http://localhost:3000')).toBe(true);
+      expect(isLoopbackUrl('https://localhost:3000')).toBe(false);
+      expect(isLoopbackUrl(PUBLIC_URL)).toBe(false);
+    });
+
+    test('should register redirect URIs on the loopback IP', () => {
+      expect(getRedirectUris('http://localhost:3000', {})).toEqual(['http://127.0.0.1:3000/oauth/callback']);
+    });
+
+    test('should build a loopback client ID without keys', () => {
+      const metadata = createLoopbackClientMetadata('http://localhost:3000');
+      const clientId = new URL(metadata.client_id);
+
+      expect(clientId.origin).toBe('http://localhost');
+      expect(clientId.searchParams.get('redirect_uri')).toBe('http://127.0.0.1:3000/oauth/callback');
+      expect(clientId.searchParams.get('scope')).toBe(metadata.scope);
+      expect(metadata.token_endpoint_auth_method).toBe('none');
+      expect(metadata).not.toHaveProperty('jwks');
+    });
+
+    test('should only check the redirect URIs', () => {
+      expect(validateClientMetadataConfig('http://localhost:3000', { OAUTH_LOGO_URI: 'https://cdn.example.com/logo.png' })).toEqual({ valid: true });
+      expect(validateClientMetadataConfig('http://localhost:3000', { OAUTH_REDIRECT_URIS: 'http://localhost:3000/oauth/callback' }).valid).toBe(false);
+    });
+  });
+
+  describe('validateClientMetadataConfig', () => {
+    test('should accept same-origin URIs and existing documents', () => {
+      expect(validateClientMetadataConfig(PUBLIC_URL, {
+        OAUTH_LOGO_URI: `${PUBLIC_URL}/logo.png`,
+        OAUTH_REDIRECT_URIS: `${PUBLIC_URL}/oauth/callback ${PUBLIC_URL}/auth/done`,
+        TOS_FILE: path.join(dir, 'tos.md'),
+        POLICY_FILE: path.join(dir, 'policy.html')
+      })).toEqual({ valid: true });
+    });
+
+    test('should reject URIs on another origin', () => {
+      expect(validateClientMetadataConfig(PUBLIC_URL, { OAUTH_TOS_URI: 'https://other.example.com/tos' }).error)
+        .toBe('OAUTH_TOS_URI must be on the same origin as PUBLIC_URL (https://app.example.com): https://other.example.com/tos');
+      expect(validateClientMetadataConfig(PUBLIC_URL, { OAUTH_LOGO_URI: 'http://app.example.com/logo.png' }).valid).toBe(false);
+      expect(validateClientMetadataConfig(PUBLIC_URL, { OAUTH_REDIRECT_URIS: 'https://app.example.com:8443/oauth/callback' }).valid).toBe(false);
+    });
+
+    test('should reject invalid URIs', () => {
+      expect(validateClientMetadataConfig(PUBLIC_URL, { OAUTH_POLICY_URI: '/policy' }).error)
+        .toBe('OAUTH_POLICY_URI contains an invalid URI: /policy');
+    });
+
+    test('should reject missing or unsupported documents', () => {
+      expect(validateClientMetadataConfig(PUBLIC_URL, { TOS_FILE: path.join(dir, 'missing.md') }).error).toMatch(/^TOS_FILE not found/);
+      expect(validateClientMetadataConfig(PUBLIC_URL, { TOS_FILE: path.join(dir, 'tos.txt') }).error).toMatch(/^TOS_FILE must be a Markdown/);
+    });
+  });
+
+  describe('loadDocuments', () => {
+    test('should render Markdown and serve HTML as it is', () => {
+      const documents = loadDocuments({
+        OAUTH_CLIENT_NAME: 'My <App>',
+        TOS_FILE: path.join(dir, 'tos.md'),
+        POLICY_FILE: path.join(dir, 'policy.html')
+      });
+
+      expect(documents.tos).toContain('<title>Terms of Service - My &#60;App&#62;</title>');
+      expect(documents.tos).toContain('<strong>nice</strong>');
+      expect(documents.policy).toBe('<!DOCTYPE html><p>Policy</p>');
+    });
+
+    test('should load nothing when no documents are configured', () => {
+      expect(loadDocuments({})).toEqual({});
+    });
+  });
+});
@@ -1,6 +1,6 @@
 /**
  * Unit tests for database operations
- * Tests both stateStore and sessionStore functionality
+ * Tests stateStore, sessionStore and browserSessionStore functionality
  */
 
 const db = require('../../db');
@@ -169,6 +169,139 @@ describe('Database Operations', () => {
     });
   });
 
+  describe('browserSessionStore', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should create a session with an opaque ID', async () => {
+      const session = await db.browserSessionStore.create({
+        did: 'did:plc:browser1',
+        ip: '198.51.100.1',
+        userAgent: 'Mozilla/5.0'
+      });
+
+      expect(session.id).toMatch(/^[A-Za-z0-9_-]{43}$/);
+      expect(session.did).toBe('did:plc:browser1');
+      expect(session.createdAt).toBe(session.lastSeenAt);
+      expect(await db.browserSessionStore.get(session.id)).toEqual(session);
+    });
+
+    test('should list sessions by DID, most recently seen first', async () => {
+      const did = `did:plc:browserlist${Date.now()}`;
+      const first = await db.browserSessionStore.create({ did });
+      const second = await db.browserSessionStore.create({ did });
+      await db.browserSessionStore.create({ did: 'did:plc:someoneelse' });
+
+      jest.spyOn(Date, 'now').mockReturnValue(first.lastSeenAt + 60000);
+      await db.browserSessionStore.touch(first.id, { ip: '198.51.100.2' });
+
+      const sessions = await db.browserSessionStore.listByDid(did);
+      expect(sessions.map(session => session.id)).toEqual([first.id, second.id]);
+      expect(sessions[0].ip).toBe('198.51.100.2');
+    });
+
+    test('should delete a session', async () => {
+      const session = await db.browserSessionStore.create({ did: 'did:plc:browserdel' });
+
+      await db.browserSessionStore.del(session.id);
+
+      expect(await db.browserSessionStore.get(session.id)).toBeUndefined();
+      expect(await db.browserSessionStore.listByDid('did:plc:browserdel')).toEqual([]);
+    });
+
+    test('should expire idle sessions', async () => {
+      const session = await db.browserSessionStore.create({ did: 'did:plc:browseridle' });
+
+      jest.spyOn(Date, 'now').mockReturnValue(session.lastSeenAt + db.BROWSER_SESSION_IDLE_TIMEOUT + 1000);
+
+      expect(await db.browserSessionStore.get(session.id)).toBeUndefined();
+      expect(await db.browserSessionStore.touch(session.id)).toBeUndefined();
+    });
+
+    test('should expire sessions after the absolute timeout even when active', async () => {
+      const session = await db.browserSessionStore.create({ did: 'did:plc:browserabsolute' });
+      const day = 24 * 60 * 60 * 1000;
+
+      // Keep the session active every day until past the absolute timeout
+      for (let t = day; t < db.BROWSER_SESSION_ABSOLUTE_TIMEOUT; t += day) {
+        jest.spyOn(Date, 'now').mockReturnValue(session.createdAt + t);
+        expect(await db.browserSessionStore.touch(session.id)).toBeDefined();
+      }
+
+      Date.now.mockReturnValue(session.createdAt + db.BROWSER_SESSION_ABSOLUTE_TIMEOUT + 1000);
+      expect(await db.browserSessionStore.get(session.id)).toBeUndefined();
+    });
+  });
+
+  describe('Expiry', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should treat expired state as missing', async () => {
+      const key = 'expiring-state-key';
+      const now = Date.now();
+      await db.stateStore.set(key, { data: 'short-lived' });
+
+      jest.spyOn(Date, 'now').mockReturnValue(now + db.STATE_TTL + 1000);
+      const retrieved = await db.stateStore.get(key);
+
+      expect(retrieved).toBeUndefined();
+    });
+
+    test('should keep state until its TTL has passed', async () => {
+      const key = 'fresh-state-key';
+      const now = Date.now();
+      await db.stateStore.set(key, { data: 'still-valid' });
+
+      jest.spyOn(Date, 'now').mockReturnValue(now + db.STATE_TTL - 1000);
+      const retrieved = await db.stateStore.get(key);
+
+      expect(retrieved).toEqual({ data: 'still-valid' });
+    });
+
+    test('should give sessions a longer lifetime than state', async () => {
+      const did = 'did:plc:longlived';
+      const now = Date.now();
+      await db.sessionStore.set(did, { sub: did });
+
+      jest.spyOn(Date, 'now').mockReturnValue(now + db.STATE_TTL + 1000);
+      expect(await db.sessionStore.get(did)).toEqual({ sub: did });
+
+      Date.now.mockReturnValue(now + db.SESSION_TTL + 1000);
+      expect(await db.sessionStore.get(did)).toBeUndefined();
+    });
+
+    test('should extend session lifetime when the session is re-written', async () => {
+      const did = 'did:plc:refreshed';
+      const now = Date.now();
+      await db.sessionStore.set(did, { version: 1 });
+
+      jest.spyOn(Date, 'now').mockReturnValue(now + db.SESSION_TTL - 1000);
+      await db.sessionStore.set(did, { version: 2 });
+
+      Date.now.mockReturnValue(now + db.SESSION_TTL + 1000);
+      expect(await db.sessionStore.get(did)).toEqual({ version: 2 });
+    });
+
+    test('should sweep expired rows', async () => {
+      const now = Date.now();
+      await db.stateStore.set('sweep-expired', { data: 'old' });
+      await db.sessionStore.set('did:plc:sweepkeep', { data: 'new' });
+
+      jest.spyOn(Date, 'now').mockReturnValue(now + db.STATE_TTL + 1000);
+      const removed = db.sweepExpired();
+
+      expect(removed).toBeGreaterThanOrEqual(1);
+      expect(await db.sessionStore.get('did:plc:sweepkeep')).toEqual({ data: 'new' });
+
+      // Swept rows stay gone even once the clock is back to normal
+      Date.now.mockRestore();
+      expect(await db.stateStore.get('sweep-expired')).toBeUndefined();
+    });
+  });
+
   describe('Initialization', () => {
     test('should throw error when accessing stores before initialization', () => {
       // This test is tricky because we initialize in beforeAll
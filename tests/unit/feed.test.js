@@ -0,0 +1,286 @@
+/**
+ * Unit tests for feed post normalization
+ * Tests the post shape shared by the timeline and other feeds, custom feeds and saved feeds
+ */
+
+jest.mock('../../utils/agent', () => ({ getAgent: jest.fn() }));
+
+const { getAgent } = require('../../utils/agent');
+const {
+  normalizePost,
+  normalizeFeedItem,
+  validateFeedUri,
+  getCustomFeed,
+  getSavedFeeds
+} = require('../../features/feed/feed.service');
+
+const author = {
+  did: 'did:plc:alice',
+  handle: 'alice.test',
+  displayName: 'Alice',
+  avatar: 'https://example.com/alice.jpg'
+};
+
+function createPostView(overrides = {}) {
+  return {
+    uri: 'at://did:plc:alice/app.bsky.feed.post/1',
+    cid: 'cid-1',
+    author,
+    record: { text: 'Hello', createdAt: '2026-01-01T00:00:00.000Z' },
+    indexedAt: '2026-01-01T00:00:01.000Z',
+    ...overrides
+  };
+}
+
+describe('Feed Normalization', () => {
+  describe('normalizePost', () => {
+    test('should normalize a plain post', () => {
+      expect(normalizePost(createPostView())).toEqual({
+        uri: 'at://did:plc:alice/app.bsky.feed.post/1',
+        cid: 'cid-1',
+        author,
+        text: 'Hello',
+        facets: [],
+        createdAt: '2026-01-01T00:00:00.000Z',
+        likeCount: 0,
+        repostCount: 0,
+        replyCount: 0,
+        indexedAt: '2026-01-01T00:00:01.000Z',
+        viewer: { like: null, repost: null },
+        replyTo: null,
+        quote: null
+      });
+    });
+
+    test('should include the viewer like and repost URIs', () => {
+      const post = normalizePost(createPostView({
+        likeCount: 3,
+        repostCount: 1,
+        viewer: {
+          like: 'at://did:plc:me/app.bsky.feed.like/1',
+          repost: 'at://did:plc:me/app.bsky.feed.repost/1'
+        }
+      }));
+
+      expect(post.likeCount).toBe(3);
+      expect(post.viewer).toEqual({
+        like: 'at://did:plc:me/app.bsky.feed.like/1',
+        repost: 'at://did:plc:me/app.bsky.feed.repost/1'
+      });
+    });
+
+    test('should fall back to the handle when there is no display name', () => {
+      const post = normalizePost(createPostView({ author: { did: 'did:plc:bob', handle: 'bob.test' } }));
+
+      expect(post.author.displayName).toBe('bob.test');
+    });
+
+    test('should include a quoted post', () => {
+      const post = normalizePost(createPostView({
+        embed: {
+          $type: 'app.bsky.embed.record#view',
+          record: {
+            $type: 'app.bsky.embed.record#viewRecord',
+            uri: 'at://did:plc:bob/app.bsky.feed.post/2',
+            cid: 'cid-2',
+            author: { did: 'did:plc:bob', handle: 'bob.test' },
+            value: { text: 'Quoted', createdAt: '2025-12-31T00:00:00.000Z' }
+          }
+        }
+      }));
+
+      expect(post.quote).toMatchObject({
+        uri: 'at://did:plc:bob/app.bsky.feed.post/2',
+        author: { handle: 'bob.test' },
+        text: 'Quoted'
+      });
+    });
+
+    test('should unwrap quotes that also carry images', () => {
+      const post = normalizePost(createPostView({
+        embed: {
+          $type: 'app.bsky.embed.recordWithMedia#view',
+          record: {
+            record: {
+              $type: 'app.bsky.embed.record#viewRecord',
+              uri: 'at://did:plc:bob/app.bsky.feed.post/2',
+              cid: 'cid-2',
+              author: { did: 'did:plc:bob', handle: 'bob.test' },
+              value: { text: 'Quoted with media' }
+            }
+          },
+          media: { $type: 'app.bsky.embed.images#view', images: [] }
+        }
+      }));
+
+      expect(post.quote.text).toBe('Quoted with media');
+    });
+
+    test('should flag quotes that are unavailable', () => {
+      const quoteOf = (type) => normalizePost(createPostView({
+        embed: {
+          $type: 'app.bsky.embed.record#view',
+          record: { $type: type, uri: 'at://did:plc:bob/app.bsky.feed.post/2' }
+        }
+      })).quote;
+
+      expect(quoteOf('app.bsky.embed.record#viewNotFound').notFound).toBe(true);
+      expect(quoteOf('app.bsky.embed.record#viewBlocked').blocked).toBe(true);
+      expect(quoteOf('app.bsky.embed.record#viewDetached').detached).toBe(true);
+    });
+
+    test('should ignore image-only embeds', () => {
+      const post = normalizePost(createPostView({
+        embed: { $type: 'app.bsky.embed.images#view', images: [] }
+      }));
+
+      expect(post.quote).toBeNull();
+    });
+  });
+
+  describe('normalizeFeedItem', () => {
+    const parentRef = { uri: 'at://did:plc:bob/app.bsky.feed.post/parent', cid: 'cid-parent' };
+    const replyRecord = {
+      text: 'A reply',
+      reply: { root: parentRef, parent: parentRef }
+    };
+
+    test('should include the parent author for replies', () => {
+      const post = normalizeFeedItem({
+        post: createPostView({ record: replyRecord }),
+        reply: {
+          root: { $type: 'app.bsky.feed.defs#postView', ...parentRef, author: { did: 'did:plc:bob', handle: 'bob.test' } },
+          parent: { $type: 'app.bsky.feed.defs#postView', ...parentRef, author: { did: 'did:plc:bob', handle: 'bob.test' } }
+        }
+      });
+
+      expect(post.replyTo).toEqual({
+        uri: parentRef.uri,
+        author: { did: 'did:plc:bob', handle: 'bob.test', displayName: 'bob.test', avatar: undefined }
+      });
+    });
+
+    test('should flag deleted and blocked parents', () => {
+      const deleted = normalizeFeedItem({
+        post: createPostView({ record: replyRecord }),
+        reply: { parent: { $type: 'app.bsky.feed.defs#notFoundPost', uri: parentRef.uri, notFound: true } }
+      });
+      const blocked = normalizeFeedItem({
+        post: createPostView({ record: replyRecord }),
+        reply: { parent: { $type: 'app.bsky.feed.defs#blockedPost', uri: parentRef.uri, blocked: true } }
+      });
+
+      expect(deleted.replyTo).toEqual({ uri: parentRef.uri, notFound: true });
+      expect(blocked.replyTo).toEqual({ uri: parentRef.uri, blocked: true });
+    });
+
+    test('should fall back to the record when the item has no reply context', () => {
+      const post = normalizeFeedItem({ post: createPostView({ record: replyRecord }) });
+
+      expect(post.replyTo).toEqual({ uri: parentRef.uri });
+    });
+  });
+
+  describe('validateFeedUri', () => {
+    test('should accept feed generator AT-URIs', () => {
+      expect(validateFeedUri('at://did:plc:creator/app.bsky.feed.generator/whats-hot')).toEqual({ valid: true });
+    });
+
+    test('should reject other URIs', () => {
+      expect(validateFeedUri('at://did:plc:creator/app.bsky.graph.list/abc').valid).toBe(false);
+      expect(validateFeedUri('https://example.com/feed').valid).toBe(false);
+      expect(validateFeedUri(['at://did:plc:creator/app.bsky.feed.generator/a']).valid).toBe(false);
+    });
+  });
+
+  describe('getCustomFeed', () => {
+    const feedUri = 'at://did:plc:creator/app.bsky.feed.generator/whats-hot';
+
+    afterEach(() => {
+      getAgent.mockReset();
+    });
+
+    test('should fetch the feed and normalize its posts', async () => {
+      const getFeed = jest.fn(async () => ({ data: { feed: [{ post: createPostView() }], cursor: 'next' } }));
+      getAgent.mockResolvedValue({ app: { bsky: { feed: { getFeed } } } });
+
+      const result = await getCustomFeed('did:plc:bob', {}, feedUri, 'abc', 10);
+
+      expect(getFeed).toHaveBeenCalledWith({ feed: feedUri, cursor: 'abc', limit: 10 });
+      expect(result.posts[0].text).toBe('Hello');
+      expect(result.cursor).toBe('next');
+    });
+
+    test('should return an error for unknown feeds', async () => {
+      const getFeed = jest.fn(async () => {
+        throw Object.assign(new Error('Unknown feed'), { error: 'UnknownFeed' });
+      });
+      getAgent.mockResolvedValue({ app: { bsky: { feed: { getFeed } } } });
+
+      expect(await getCustomFeed('did:plc:bob', {}, feedUri)).toEqual({ error: 'Feed not found' });
+    });
+
+    test('should report an expired session', async () => {
+      getAgent.mockResolvedValue(null);
+
+      expect(await getCustomFeed('did:plc:bob', {}, feedUri)).toEqual({ error: 'Session expired', expired: true });
+    });
+  });
+
+  describe('getSavedFeeds', () => {
+    const hotUri = 'at://did:plc:creator/app.bsky.feed.generator/whats-hot';
+    const artUri = 'at://did:plc:creator/app.bsky.feed.generator/art';
+    const goneUri = 'at://did:plc:creator/app.bsky.feed.generator/gone';
+
+    afterEach(() => {
+      getAgent.mockReset();
+    });
+
+    function createAgent(savedFeeds) {
+      const getFeedGenerators = jest.fn(async ({ feeds }) => ({
+        data: {
+          feeds: feeds
+            .filter(uri => uri !== goneUri)
+            .map(uri => ({ uri, displayName: uri.split('/').pop(), description: 'A feed' }))
+        }
+      }));
+      getAgent.mockResolvedValue({
+        getPreferences: jest.fn(async () => ({ savedFeeds })),
+        app: { bsky: { feed: { getFeedGenerators } } }
+      });
+      return getFeedGenerators;
+    }
+
+    test('should list pinned feeds first with generator details', async () => {
+      const getFeedGenerators = createAgent([
+        { id: '1', type: 'feed', value: artUri, pinned: false },
+        { id: '2', type: 'timeline', value: 'following', pinned: true },
+        { id: '3', type: 'feed', value: hotUri, pinned: true }
+      ]);
+
+      const { feeds } = await getSavedFeeds('did:plc:bob', {});
+
+      expect(getFeedGenerators).toHaveBeenCalledWith({ feeds: [artUri, hotUri] });
+      expect(feeds).toEqual([
+        { uri: null, displayName: 'Following', pinned: true },
+        { uri: hotUri, displayName: 'whats-hot', description: 'A feed', avatar: undefined, pinned: true },
+        { uri: artUri, displayName: 'art', description: 'A feed', avatar: undefined, pinned: false }
+      ]);
+    });
+
+    test('should skip lists and feeds that no longer exist', async () => {
+      createAgent([
+        { id: '1', type: 'list', value: 'at://did:plc:creator/app.bsky.graph.list/friends', pinned: true },
+        { id: '2', type: 'feed', value: goneUri, pinned: true }
+      ]);
+
+      expect(await getSavedFeeds('did:plc:bob', {})).toEqual({ feeds: [] });
+    });
+
+    test('should report an expired session', async () => {
+      getAgent.mockResolvedValue(null);
+
+      expect(await getSavedFeeds('did:plc:bob', {})).toEqual({ error: 'Session expired', expired: true });
+    });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Unit tests for the follows service
+ * Tests creating and deleting follow records
+ */
+
+jest.mock('../../utils/agent', () => ({ getAgent: jest.fn() }));
+
+const { getAgent } = require('../../utils/agent');
+const { followActor, unfollowActor } = require('../../features/follows/follows.service');
+
+const followUri = 'at://did:plc:bob/app.bsky.graph.follow/3kfollow';
+
+/**
+ * Agent stub viewing alice's profile with the given follow state
+ */
+function createAgent(viewer = {}) {
+  const agent = {
+    getProfile: jest.fn(async ({ actor }) => {
+      if (actor === 'nobody.test') {
+        throw Object.assign(new Error('Profile not found'), { error: 'InvalidRequest' });
+      }
+      return { data: { did: actor === 'bob.test' ? 'did:plc:bob' : 'did:plc:alice', handle: actor, viewer } };
+    }),
+    follow: jest.fn(async () => ({ uri: followUri, cid: 'cid-follow' })),
+    deleteFollow: jest.fn(async () => {})
+  };
+  getAgent.mockResolvedValue(agent);
+  return agent;
+}
+
+describe('Follows Service', () => {
+  afterEach(() => {
+    getAgent.mockReset();
+  });
+
+  describe('followActor', () => {
+    test('should follow the resolved DID', async () => {
+      const agent = createAgent();
+
+      expect(await followActor('did:plc:bob', {}, 'alice.test')).toEqual({ uri: followUri });
+      expect(agent.follow).toHaveBeenCalledWith('did:plc:alice');
+    });
+
+    test('should return the existing follow instead of following twice', async () => {
+      const agent = createAgent({ following: followUri });
+
+      expect(await followActor('did:plc:bob', {}, 'alice.test')).toEqual({ uri: followUri });
+      expect(agent.follow).not.toHaveBeenCalled();
+    });
+
+    test('should refuse to follow yourself', async () => {
+      const agent = createAgent();
+
+      expect((await followActor('did:plc:bob', {}, 'bob.test')).error).toContain('yourself');
+      expect(agent.follow).not.toHaveBeenCalled();
+    });
+
+    test('should return an error for unknown profiles', async () => {
+      createAgent();
+
+      expect(await followActor('did:plc:bob', {}, 'nobody.test')).toEqual({ error: 'Profile not found' });
+    });
+  });
+
+  describe('unfollowActor', () => {
+    test('should delete the viewer\'s follow record', async () => {
+      const agent = createAgent({ following: followUri });
+
+      expect(await unfollowActor('did:plc:bob', {}, 'alice.test')).toEqual({ removed: true });
+      expect(agent.deleteFollow).toHaveBeenCalledWith(followUri);
+    });
+
+    test('should do nothing when not following', async () => {
+      const agent = createAgent();
+
+      expect(await unfollowActor('did:plc:bob', {}, 'alice.test')).toEqual({ removed: false });
+      expect(agent.deleteFollow).not.toHaveBeenCalled();
+    });
+  });
+
+  test('should report an expired session', async () => {
+    getAgent.mockResolvedValue(null);
+
+    expect(await followActor('did:plc:bob', {}, 'alice.test')).toEqual({ error: 'Session expired', expired: true });
+    expect(await unfollowActor('did:plc:bob', {}, 'alice.test')).toEqual({ error: 'Session expired', expired: true });
+  });
+});
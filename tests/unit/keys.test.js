@@ -0,0 +1,126 @@
+/**
+ * Unit tests for the signing key set
+ * Tests key set validation, rotation, promotion and retirement
+ */
+
+const {
+  normalizeKeySet,
+  getActiveKeys,
+  getPublicJwks,
+  assertPublicJwks,
+  nextKid,
+  addKey,
+  promoteKey,
+  retireKey
+} = require('../../config/keys');
+
+function pair(kid) {
+  return {
+    privateJwk: { kty: 'EC', kid, d: `private-${kid}` },
+    publicJwk: { kty: 'EC', kid }
+  };
+}
+
+describe('Signing Key Set', () => {
+  const now = new Date('2026-01-01T00:00:00Z');
+
+  describe('normalizeKeySet', () => {
+    test('should accept the single-key format', () => {
+      const key = pair('key-1');
+
+      expect(normalizeKeySet(key)).toEqual({ signingKid: 'key-1', keys: [key] });
+    });
+
+    test('should require a signing key that is in the set and not retired', () => {
+      expect(() => normalizeKeySet({ signingKid: 'key-2', keys: [pair('key-1')] })).toThrow('not in the key set');
+      expect(() => normalizeKeySet({
+        signingKid: 'key-1',
+        keys: [{ ...pair('key-1'), retiredAt: now.toISOString() }]
+      })).toThrow('is retired');
+    });
+
+    test('should reject missing, mismatched and duplicate key ids', () => {
+      expect(() => normalizeKeySet({ signingKid: 'key-1', keys: [] })).toThrow('no keys');
+      expect(() => normalizeKeySet({
+        signingKid: 'key-1',
+        keys: [{ privateJwk: { kid: 'key-1' }, publicJwk: { kid: 'key-2' } }]
+      })).toThrow('same "kid"');
+      expect(() => normalizeKeySet({ signingKid: 'key-1', keys: [pair('key-1'), pair('key-1')] })).toThrow('Duplicate');
+    });
+  });
+
+  describe('getPublicJwks', () => {
+    test('should publish only the public halves', () => {
+      const jwks = getPublicJwks([pair('key-2'), pair('key-1')]);
+
+      expect(jwks).toEqual({ keys: [{ kty: 'EC', kid: 'key-2' }, { kty: 'EC', kid: 'key-1' }] });
+      expect(() => assertPublicJwks(jwks)).not.toThrow();
+    });
+  });
+
+  describe('assertPublicJwks', () => {
+    test('should reject keys with private members', () => {
+      expect(() => assertPublicJwks({ keys: [pair('key-1').privateJwk] })).toThrow('"key-1" contains private key material (d)');
+      expect(() => assertPublicJwks({ keys: [{ kty: 'oct', kid: 'key-1', k: 'secret' }] })).toThrow('(k)');
+    });
+  });
+
+  describe('nextKid', () => {
+    test('should continue the numbering', () => {
+      expect(nextKid()).toBe('key-1');
+      expect(nextKid({ signingKid: 'key-3', keys: [pair('key-1'), pair('key-3'), pair('imported')] })).toBe('key-4');
+    });
+  });
+
+  describe('addKey', () => {
+    test('should publish the new key but keep signing with the old one', () => {
+      const keySet = addKey(normalizeKeySet(pair('key-1')), pair('key-2'));
+
+      expect(keySet.signingKid).toBe('key-1');
+      expect(keySet.keys.map(entry => entry.privateJwk.kid)).toEqual(['key-1', 'key-2']);
+      expect(getPublicJwks(getActiveKeys(keySet)).keys.map(jwk => jwk.kid)).toEqual(['key-1', 'key-2']);
+    });
+  });
+
+  describe('promoteKey', () => {
+    const keySet = addKey(normalizeKeySet(pair('key-1')), pair('key-2'));
+
+    test('should sign new logins with a published key', () => {
+      const promoted = promoteKey(keySet, 'key-2');
+
+      expect(promoted.signingKid).toBe('key-2');
+      expect(getActiveKeys(promoted).map(entry => entry.privateJwk.kid)).toEqual(['key-2', 'key-1']);
+    });
+
+    test('should not promote unknown or retired keys', () => {
+      expect(() => promoteKey(keySet, 'key-9')).toThrow('not in the key set');
+      expect(() => promoteKey(retireKey(promoteKey(keySet, 'key-2'), 'key-1', 7, now), 'key-1')).toThrow('is retired');
+    });
+  });
+
+  describe('retireKey', () => {
+    const keySet = promoteKey(addKey(normalizeKeySet(pair('key-1')), pair('key-2')), 'key-2');
+
+    test('should record when the grace period ends', () => {
+      const retired = retireKey(keySet, 'key-1', 7, now).keys[0];
+
+      expect(retired.retiredAt).toBe('2026-01-01T00:00:00.000Z');
+      expect(retired.expiresAt).toBe('2026-01-08T00:00:00.000Z');
+    });
+
+    test('should not retire the signing key or unknown keys', () => {
+      expect(() => retireKey(keySet, 'key-2', 7, now)).toThrow('is the signing key');
+      expect(() => retireKey(keySet, 'key-9', 7, now)).toThrow('not in the key set');
+    });
+  });
+
+  describe('getActiveKeys', () => {
+    test('should list the signing key first and drop expired keys', () => {
+      const keySet = retireKey(promoteKey(addKey(normalizeKeySet(pair('key-1')), pair('key-2')), 'key-2'), 'key-1', 7, now);
+      const kids = (date) => getActiveKeys(keySet, date).map(entry => entry.publicJwk.kid);
+
+      expect(kids(new Date('2026-01-07T00:00:00Z'))).toEqual(['key-2', 'key-1']);
+      expect(kids(new Date('2026-01-09T00:00:00Z'))).toEqual(['key-2']);
+    });
+  });
+});
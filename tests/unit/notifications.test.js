@@ -0,0 +1,131 @@
+/**
+ * Unit tests for the notifications service
+ * Tests grouping by reason, subject lookup and seen tracking
+ */
+
+jest.mock('../../utils/agent', () => ({ getAgent: jest.fn() }));
+
+const { getAgent } = require('../../utils/agent');
+const {
+  NOTIFICATION_REASONS,
+  groupNotifications,
+  getNotifications,
+  getUnreadCount,
+  markSeen
+} = require('../../features/notifications/notifications.service');
+
+const myPost = 'at://did:plc:me/app.bsky.feed.post/1';
+
+function createNotification(reason, handle, overrides = {}) {
+  return {
+    uri: `at://did:plc:${handle}/app.bsky.feed.${reason}/${Math.random().toString(36).slice(2)}`,
+    cid: `cid-${handle}`,
+    author: { did: `did:plc:${handle}`, handle: `${handle}.test` },
+    reason,
+    reasonSubject: reason === 'follow' ? undefined : myPost,
+    record: { text: `${reason} from ${handle}` },
+    isRead: false,
+    indexedAt: '2026-01-01T00:00:00.000Z',
+    ...overrides
+  };
+}
+
+describe('Notifications Service', () => {
+  afterEach(() => {
+    getAgent.mockReset();
+  });
+
+  describe('groupNotifications', () => {
+    test('should combine likes of the same post', () => {
+      const groups = groupNotifications([
+        createNotification('like', 'alice'),
+        createNotification('like', 'bob', { isRead: true }),
+        createNotification('like', 'carol', { reasonSubject: 'at://did:plc:me/app.bsky.feed.post/2' })
+      ]);
+
+      expect(groups).toHaveLength(2);
+      expect(groups[0].authors.map(author => author.handle)).toEqual(['alice.test', 'bob.test']);
+      expect(groups[0].isRead).toBe(false);
+      expect(groups[0].subject).toEqual({ uri: myPost });
+      expect(groups[0].post).toBeNull();
+    });
+
+    test('should combine follows and count each account once', () => {
+      const groups = groupNotifications([
+        createNotification('follow', 'alice'),
+        createNotification('follow', 'bob'),
+        createNotification('follow', 'alice')
+      ]);
+
+      expect(groups).toHaveLength(1);
+      expect(groups[0].authors).toHaveLength(2);
+      expect(groups[0].subject).toBeNull();
+    });
+
+    test('should keep mentions, replies and quotes separate with their text', () => {
+      const groups = groupNotifications([
+        createNotification('reply', 'alice'),
+        createNotification('reply', 'bob'),
+        createNotification('mention', 'carol'),
+        createNotification('quote', 'dave')
+      ]);
+
+      expect(groups.map(group => group.reason)).toEqual(['reply', 'reply', 'mention', 'quote']);
+      expect(groups[2].post.text).toBe('mention from carol');
+    });
+
+    test('should drop reasons the app does not show', () => {
+      expect(groupNotifications([createNotification('starterpack-joined', 'alice')])).toEqual([]);
+    });
+  });
+
+  describe('getNotifications', () => {
+    test('should request supported reasons and add subject text', async () => {
+      const agent = {
+        listNotifications: jest.fn(async () => ({
+          data: {
+            notifications: [createNotification('like', 'alice'), createNotification('follow', 'bob')],
+            cursor: 'next',
+            seenAt: '2026-01-01T00:00:00.000Z'
+          }
+        })),
+        getPosts: jest.fn(async ({ uris }) => ({
+          data: { posts: uris.map(uri => ({ uri, record: { text: 'My post' } })) }
+        }))
+      };
+      getAgent.mockResolvedValue(agent);
+
+      const result = await getNotifications('did:plc:me', {}, 'abc', 20);
+
+      expect(agent.listNotifications).toHaveBeenCalledWith({ reasons: NOTIFICATION_REASONS, cursor: 'abc', limit: 20 });
+      expect(agent.getPosts).toHaveBeenCalledWith({ uris: [myPost] });
+      expect(result.notifications[0].subject).toEqual({ uri: myPost, text: 'My post' });
+      expect(result.cursor).toBe('next');
+      expect(result.seenAt).toBe('2026-01-01T00:00:00.000Z');
+    });
+  });
+
+  describe('unread count and seen', () => {
+    test('should return the unread count', async () => {
+      getAgent.mockResolvedValue({ countUnreadNotifications: jest.fn(async () => ({ data: { count: 3 } })) });
+
+      expect(await getUnreadCount('did:plc:me', {})).toEqual({ count: 3 });
+    });
+
+    test('should mark notifications seen up to the given time', async () => {
+      const agent = { updateSeenNotifications: jest.fn(async () => ({})) };
+      getAgent.mockResolvedValue(agent);
+
+      expect(await markSeen('did:plc:me', {}, '2026-01-01T00:00:00.000Z')).toEqual({ seenAt: '2026-01-01T00:00:00.000Z' });
+      expect(agent.updateSeenNotifications).toHaveBeenCalledWith('2026-01-01T00:00:00.000Z');
+    });
+
+    test('should report an expired session', async () => {
+      getAgent.mockResolvedValue(null);
+
+      expect(await getNotifications('did:plc:me', {})).toEqual({ error: 'Session expired', expired: true });
+      expect(await getUnreadCount('did:plc:me', {})).toEqual({ error: 'Session expired', expired: true });
+      expect(await markSeen('did:plc:me', {})).toEqual({ error: 'Session expired', expired: true });
+    });
+  });
+});
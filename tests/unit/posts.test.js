@@ -0,0 +1,570 @@
+/**
+ * Unit tests for the posts service
+ * Tests post validation, image attachments, reply/quote targets, rich text facet detection
+ * and likes/reposts
+ */
+
+jest.mock('../../utils/agent', () => ({ getAgent: jest.fn() }));
+
+const { getAgent } = require('../../utils/agent');
+const {
+  validatePostText,
+  validatePostTargets,
+  validatePostRef,
+  validateInteractionRecord,
+  validateRecordKey,
+  validateImages,
+  resolvePostTargets,
+  buildEmbed,
+  uploadImages,
+  detectFacets,
+  createPost,
+  deletePost,
+  editPost,
+  likePost,
+  unlikePost,
+  repostPost,
+  unrepostPost
+} = require('../../features/posts/posts.service');
+
+/**
+ * PNG header (signature + IHDR) for an image of the given size
+ */
+function createPng(width, height) {
+  const header = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+  const size = Buffer.alloc(8);
+  size.writeUInt32BE(width, 0);
+  size.writeUInt32BE(height, 4);
+  return Buffer.concat([header, size, Buffer.from('0806000000', 'hex')]);
+}
+
+function createFile(buffer, mimetype = 'image/png') {
+  return { buffer, mimetype, size: buffer.length };
+}
+
+/**
+ * Agent stub that resolves a fixed set of handles
+ */
+function createAgent(handles = {}) {
+  return {
+    com: {
+      atproto: {
+        identity: {
+          resolveHandle: jest.fn(async ({ handle }) => {
+            if (!handles[handle]) {
+              throw new Error('Unable to resolve handle');
+            }
+            return { data: { did: handles[handle] } };
+          })
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Slice the text covered by a facet using its UTF-8 byte range
+ */
+function facetText(text, facet) {
+  const bytes = Buffer.from(text, 'utf8');
+  return bytes.subarray(facet.index.byteStart, facet.index.byteEnd).toString('utf8');
+}
+
+describe('Posts Service', () => {
+  describe('validatePostText', () => {
+    test('should accept normal text', () => {
+      expect(validatePostText('Hello')).toEqual({ valid: true });
+    });
+
+    test('should reject missing or non-string text', () => {
+      expect(validatePostText('').valid).toBe(false);
+      expect(validatePostText(42).valid).toBe(false);
+    });
+
+    test('should reject text over 300 characters', () => {
+      expect(validatePostText('a'.repeat(301)).error).toContain('Text too long');
+    });
+  });
+
+  describe('validatePostText with images', () => {
+    test('should allow empty text when images are attached', () => {
+      expect(validatePostText('', true)).toEqual({ valid: true });
+      expect(validatePostText(undefined, true)).toEqual({ valid: true });
+    });
+
+    test('should still reject empty text without images', () => {
+      expect(validatePostText('', false).valid).toBe(false);
+    });
+  });
+
+  describe('validateImages', () => {
+    test('should accept no images', () => {
+      expect(validateImages([])).toEqual({ valid: true, images: [] });
+    });
+
+    test('should read aspect ratio and pair alt text by position', () => {
+      const files = [createFile(createPng(1200, 800)), createFile(createPng(300, 600))];
+
+      const result = validateImages(files, ['A landscape', 'A portrait']);
+
+      expect(result.valid).toBe(true);
+      expect(result.images[0]).toMatchObject({
+        mimeType: 'image/png',
+        alt: 'A landscape',
+        aspectRatio: { width: 1200, height: 800 }
+      });
+      expect(result.images[1].aspectRatio).toEqual({ width: 300, height: 600 });
+    });
+
+    test('should default missing alt text to an empty string', () => {
+      const result = validateImages([createFile(createPng(10, 10))]);
+
+      expect(result.images[0].alt).toBe('');
+    });
+
+    test('should reject more than 4 images', () => {
+      const files = Array.from({ length: 5 }, () => createFile(createPng(10, 10)));
+
+      expect(validateImages(files).error).toContain('Too many images');
+    });
+
+    test('should reject unsupported MIME types', () => {
+      const result = validateImages([createFile(createPng(10, 10), 'image/svg+xml')]);
+
+      expect(result.error).toContain('Unsupported image type');
+    });
+
+    test('should reject images over 1MB', () => {
+      const file = { ...createFile(createPng(10, 10)), size: 1000001 };
+
+      expect(validateImages([file]).error).toContain('Image too large');
+    });
+
+    test('should reject files whose contents do not match the declared type', () => {
+      const notAnImage = createFile(Buffer.from('<script>alert(1)</script>'));
+      const mislabelled = createFile(createPng(10, 10), 'image/jpeg');
+
+      expect(validateImages([notAnImage]).error).toBe('Invalid image file');
+      expect(validateImages([mislabelled]).error).toBe('Invalid image file');
+    });
+
+    test('should reject overly long alt text', () => {
+      const result = validateImages([createFile(createPng(10, 10))], ['a'.repeat(2001)]);
+
+      expect(result.error).toContain('Alt text too long');
+    });
+  });
+
+  describe('uploadImages', () => {
+    test('should upload blobs and build an images embed', async () => {
+      const agent = {
+        uploadBlob: jest.fn(async (data, { encoding }) => ({
+          data: { blob: { $type: 'blob', mimeType: encoding, size: data.length } }
+        }))
+      };
+      const { images } = validateImages([createFile(createPng(40, 20))], ['Alt']);
+
+      const embed = await uploadImages(agent, images);
+
+      expect(agent.uploadBlob).toHaveBeenCalledWith(images[0].data, { encoding: 'image/png' });
+      expect(embed).toEqual({
+        $type: 'app.bsky.embed.images',
+        images: [{
+          image: { $type: 'blob', mimeType: 'image/png', size: images[0].data.length },
+          alt: 'Alt',
+          aspectRatio: { width: 40, height: 20 }
+        }]
+      });
+    });
+  });
+
+  describe('validatePostTargets', () => {
+    const postUri = 'at://did:plc:alice/app.bsky.feed.post/3kabc123';
+
+    test('should accept no targets', () => {
+      expect(validatePostTargets({})).toEqual({ valid: true });
+    });
+
+    test('should accept post AT-URIs', () => {
+      expect(validatePostTargets({ replyTo: postUri, quote: postUri })).toEqual({ valid: true });
+      expect(validatePostTargets({ quote: 'at://alice.bsky.social/app.bsky.feed.post/3kabc123' }).valid).toBe(true);
+    });
+
+    test('should reject URIs that are not posts', () => {
+      expect(validatePostTargets({ replyTo: 'https://bsky.app/profile/alice/post/3kabc' }).error).toBe('Invalid replyTo URI');
+      expect(validatePostTargets({ quote: 'at://did:plc:alice/app.bsky.feed.like/3kabc' }).error).toBe('Invalid quote URI');
+      expect(validatePostTargets({ replyTo: 42 }).valid).toBe(false);
+    });
+  });
+
+  describe('validatePostRef', () => {
+    const uri = 'at://did:plc:alice/app.bsky.feed.post/3kabc123';
+
+    test('should accept a post URI and CID', () => {
+      expect(validatePostRef({ uri, cid: 'bafyreiabc123' })).toEqual({ valid: true });
+    });
+
+    test('should only require the CID when asked to', () => {
+      expect(validatePostRef({ uri }).error).toBe('Invalid post CID');
+      expect(validatePostRef({ uri }, false)).toEqual({ valid: true });
+      expect(validatePostRef({ uri, cid: 'not a cid' }, false).valid).toBe(false);
+    });
+
+    test('should reject URIs that are not posts', () => {
+      expect(validatePostRef({ uri: 'at://did:plc:alice/app.bsky.feed.like/3kabc', cid: 'bafy' }).error).toBe('Invalid post URI');
+      expect(validatePostRef({}).valid).toBe(false);
+    });
+  });
+
+  describe('likes and reposts', () => {
+    const uri = 'at://did:plc:alice/app.bsky.feed.post/3kabc123';
+    const likeUri = 'at://did:plc:bob/app.bsky.feed.like/3klike';
+    const repostUri = 'at://did:plc:bob/app.bsky.feed.repost/3krepost';
+
+    function createAgent(posts) {
+      const agent = {
+        getPosts: jest.fn(async ({ uris }) => ({
+          data: { posts: posts.filter(post => uris.includes(post.uri)) }
+        })),
+        like: jest.fn(async () => ({ uri: likeUri, cid: 'cid-like' })),
+        deleteLike: jest.fn(async () => {}),
+        deleteRepost: jest.fn(async () => {})
+      };
+      getAgent.mockResolvedValue(agent);
+      return agent;
+    }
+
+    afterEach(() => {
+      getAgent.mockReset();
+    });
+
+    test('should return the new like record', async () => {
+      const agent = createAgent([]);
+
+      expect(await likePost('did:plc:bob', {}, uri, 'cid-post')).toEqual({ uri: likeUri });
+      expect(agent.like).toHaveBeenCalledWith(uri, 'cid-post');
+    });
+
+    test('should delete the viewer\'s own like record', async () => {
+      const agent = createAgent([{ uri, viewer: { like: likeUri } }]);
+
+      expect(await unlikePost('did:plc:bob', {}, uri)).toEqual({ removed: true });
+      expect(agent.deleteLike).toHaveBeenCalledWith(likeUri);
+    });
+
+    test('should do nothing when the post is not liked or reposted', async () => {
+      const agent = createAgent([{ uri, viewer: {} }]);
+
+      expect(await unlikePost('did:plc:bob', {}, uri)).toEqual({ removed: false });
+      expect(await unrepostPost('did:plc:bob', {}, uri)).toEqual({ removed: false });
+      expect(agent.deleteLike).not.toHaveBeenCalled();
+      expect(agent.deleteRepost).not.toHaveBeenCalled();
+    });
+
+    test('should delete the viewer\'s own repost record', async () => {
+      const agent = createAgent([{ uri, viewer: { repost: repostUri } }]);
+
+      expect(await unrepostPost('did:plc:bob', {}, uri)).toEqual({ removed: true });
+      expect(agent.deleteRepost).toHaveBeenCalledWith(repostUri);
+    });
+
+    test('should return an error when the post does not exist', async () => {
+      createAgent([]);
+
+      expect(await unlikePost('did:plc:bob', {}, uri)).toEqual({ error: 'Post not found' });
+    });
+
+    test('should delete a fresh like by its record URI before the AppView knows about it', async () => {
+      // The AppView hasn't indexed the like yet, so its viewer state is empty
+      const agent = createAgent([{ uri, viewer: {} }]);
+
+      expect(await unlikePost('did:plc:bob', {}, uri, likeUri)).toEqual({ removed: true });
+      expect(agent.deleteLike).toHaveBeenCalledWith(likeUri);
+      expect(agent.getPosts).not.toHaveBeenCalled();
+    });
+
+    test('should delete a fresh repost by its record URI', async () => {
+      const agent = createAgent([{ uri, viewer: {} }]);
+
+      expect(await unrepostPost('did:plc:bob', {}, uri, repostUri)).toEqual({ removed: true });
+      expect(agent.deleteRepost).toHaveBeenCalledWith(repostUri);
+    });
+
+    test('should find the viewer state of a post named by handle', async () => {
+      const post = { uri, author: { did: 'did:plc:alice', handle: 'alice.bsky.social' }, viewer: { like: likeUri } };
+      const agent = { getPosts: jest.fn(async () => ({ data: { posts: [post] } })), deleteLike: jest.fn(async () => {}) };
+      getAgent.mockResolvedValue(agent);
+
+      expect(await unlikePost('did:plc:bob', {}, 'at://alice.bsky.social/app.bsky.feed.post/3kabc123')).toEqual({ removed: true });
+      expect(agent.deleteLike).toHaveBeenCalledWith(likeUri);
+    });
+
+    test('should report an expired session', async () => {
+      getAgent.mockResolvedValue(null);
+      const expired = { error: 'Session expired', expired: true };
+
+      expect(await createPost('did:plc:bob', 'Hello', {})).toEqual(expired);
+      expect(await likePost('did:plc:bob', {}, uri, 'cid-post')).toEqual(expired);
+      expect(await unlikePost('did:plc:bob', {}, uri, likeUri)).toEqual(expired);
+      expect(await repostPost('did:plc:bob', {}, uri, 'cid-post')).toEqual(expired);
+      expect(await unrepostPost('did:plc:bob', {}, uri)).toEqual(expired);
+    });
+  });
+
+  describe('validateInteractionRecord', () => {
+    test('should accept the user\'s own records in the expected collection', () => {
+      expect(validateInteractionRecord('at://did:plc:bob/app.bsky.feed.like/3klike', 'did:plc:bob', 'app.bsky.feed.like')).toEqual({ valid: true });
+    });
+
+    test('should reject records in another repo or collection', () => {
+      expect(validateInteractionRecord('at://did:plc:alice/app.bsky.feed.like/3klike', 'did:plc:bob', 'app.bsky.feed.like').error).toBe('Invalid record URI');
+      expect(validateInteractionRecord('at://did:plc:bob/app.bsky.feed.post/3klike', 'did:plc:bob', 'app.bsky.feed.like').valid).toBe(false);
+      expect(validateInteractionRecord('at://did:plc:bob/app.bsky.feed.like/a/b', 'did:plc:bob', 'app.bsky.feed.like').valid).toBe(false);
+      expect(validateInteractionRecord(42, 'did:plc:bob', 'app.bsky.feed.like').valid).toBe(false);
+    });
+  });
+
+  describe('validateRecordKey', () => {
+    test('should accept TID record keys', () => {
+      expect(validateRecordKey('3kabc123xyz2a')).toEqual({ valid: true });
+    });
+
+    test('should reject keys that could escape the collection', () => {
+      expect(validateRecordKey('..').valid).toBe(false);
+      expect(validateRecordKey('a/b').valid).toBe(false);
+      expect(validateRecordKey('').valid).toBe(false);
+      expect(validateRecordKey(undefined).valid).toBe(false);
+    });
+  });
+
+  describe('deletePost and editPost', () => {
+    const did = 'did:plc:alice';
+    const record = {
+      $type: 'app.bsky.feed.post',
+      text: 'Original',
+      createdAt: '2024-01-01T00:00:00.000Z',
+      langs: ['en']
+    };
+
+    function createAgent(value) {
+      const repo = {
+        getRecord: jest.fn(async ({ rkey }) => {
+          if (!value) {
+            throw Object.assign(new Error('Could not locate record'), { error: 'RecordNotFound' });
+          }
+          return { data: { uri: `at://${did}/app.bsky.feed.post/${rkey}`, cid: 'cid-old', value } };
+        }),
+        deleteRecord: jest.fn(async () => ({ data: {} })),
+        putRecord: jest.fn(async ({ rkey }) => ({
+          data: { uri: `at://${did}/app.bsky.feed.post/${rkey}`, cid: 'cid-new' }
+        }))
+      };
+      const agent = {
+        com: { atproto: { repo, identity: { resolveHandle: jest.fn() } } }
+      };
+      getAgent.mockResolvedValue(agent);
+      return repo;
+    }
+
+    afterEach(() => {
+      getAgent.mockReset();
+    });
+
+    test('should delete the post from the user\'s own repo', async () => {
+      const repo = createAgent(record);
+
+      expect(await deletePost(did, {}, '3kpost')).toEqual({ deleted: true });
+      expect(repo.deleteRecord).toHaveBeenCalledWith({
+        repo: did,
+        collection: 'app.bsky.feed.post',
+        rkey: '3kpost',
+        swapRecord: 'cid-old'
+      });
+    });
+
+    test('should return an error when deleting a post that does not exist', async () => {
+      const repo = createAgent(null);
+
+      expect(await deletePost(did, {}, '3kpost')).toEqual({ error: 'Post not found' });
+      expect(repo.deleteRecord).not.toHaveBeenCalled();
+    });
+
+    test('should update the text and keep the original createdAt', async () => {
+      const repo = createAgent(record);
+
+      const result = await editPost(did, {}, '3kpost', 'Edited');
+
+      expect(result).toEqual({ uri: `at://${did}/app.bsky.feed.post/3kpost`, cid: 'cid-new', facets: [] });
+      const update = repo.putRecord.mock.calls[0][0];
+      expect(update.record).toEqual({ ...record, text: 'Edited' });
+      expect(update.swapRecord).toBe('cid-old');
+    });
+
+    test('should reject empty text unless the post has images', async () => {
+      createAgent(record);
+      expect((await editPost(did, {}, '3kpost', '')).error).toBe('Text required');
+
+      const repo = createAgent({ ...record, embed: { $type: 'app.bsky.embed.images', images: [] } });
+      expect((await editPost(did, {}, '3kpost', '')).error).toBeUndefined();
+      expect(repo.putRecord).toHaveBeenCalled();
+    });
+
+    test('should return an error when editing a post that does not exist', async () => {
+      createAgent(null);
+
+      expect(await editPost(did, {}, '3kpost', 'Edited')).toEqual({ error: 'Post not found' });
+    });
+
+    test('should report an expired session', async () => {
+      getAgent.mockResolvedValue(null);
+
+      expect(await deletePost(did, {}, '3kpost')).toEqual({ error: 'Session expired', expired: true });
+      expect(await editPost(did, {}, '3kpost', 'Edited')).toEqual({ error: 'Session expired', expired: true });
+    });
+  });
+
+  describe('resolvePostTargets', () => {
+    const rootRef = { uri: 'at://did:plc:alice/app.bsky.feed.post/root', cid: 'cid-root' };
+    const topLevel = { ...rootRef, record: { text: 'Root' } };
+    const reply = {
+      uri: 'at://did:plc:bob/app.bsky.feed.post/reply',
+      cid: 'cid-reply',
+      record: { text: 'Reply', reply: { root: rootRef, parent: rootRef } }
+    };
+
+    function createAgent(posts) {
+      return {
+        getPosts: jest.fn(async ({ uris }) => ({
+          data: { posts: posts.filter(post => uris.includes(post.uri)) }
+        }))
+      };
+    }
+
+    test('should do nothing without targets', async () => {
+      const agent = createAgent([]);
+
+      expect(await resolvePostTargets(agent, {})).toEqual({});
+      expect(agent.getPosts).not.toHaveBeenCalled();
+    });
+
+    test('should use the parent as root when replying to a top-level post', async () => {
+      const result = await resolvePostTargets(createAgent([topLevel]), { replyTo: topLevel.uri });
+
+      expect(result.reply).toEqual({ root: rootRef, parent: rootRef });
+    });
+
+    test('should keep the thread root when replying to a reply', async () => {
+      const result = await resolvePostTargets(createAgent([reply]), { replyTo: reply.uri });
+
+      expect(result.reply).toEqual({
+        root: rootRef,
+        parent: { uri: reply.uri, cid: 'cid-reply' }
+      });
+    });
+
+    test('should resolve a quoted post to a strong ref', async () => {
+      const result = await resolvePostTargets(createAgent([topLevel]), { quote: topLevel.uri });
+
+      expect(result.quoteRef).toEqual(rootRef);
+    });
+
+    test('should resolve targets named by handle', async () => {
+      const parent = { ...topLevel, author: { did: 'did:plc:alice', handle: 'alice.bsky.social' } };
+      // The AppView resolves the handle and answers with the DID-form URI
+      const agent = { getPosts: jest.fn(async () => ({ data: { posts: [parent] } })) };
+
+      const result = await resolvePostTargets(agent, {
+        replyTo: 'at://alice.bsky.social/app.bsky.feed.post/root',
+        quote: 'at://Alice.bsky.social/app.bsky.feed.post/root'
+      });
+
+      expect(result).toEqual({ reply: { root: rootRef, parent: rootRef }, quoteRef: rootRef });
+    });
+
+    test('should not match a different post by the same author', async () => {
+      const other = { ...topLevel, author: { did: 'did:plc:alice', handle: 'alice.bsky.social' } };
+      const agent = { getPosts: jest.fn(async () => ({ data: { posts: [other] } })) };
+
+      expect((await resolvePostTargets(agent, { replyTo: 'at://alice.bsky.social/app.bsky.feed.post/other' })).error).toContain('replied to');
+    });
+
+    test('should return an error when a target does not exist', async () => {
+      const agent = createAgent([]);
+
+      expect((await resolvePostTargets(agent, { replyTo: topLevel.uri })).error).toContain('replied to');
+      expect((await resolvePostTargets(agent, { quote: topLevel.uri })).error).toContain('Quoted post');
+    });
+  });
+
+  describe('buildEmbed', () => {
+    const quoteRef = { uri: 'at://did:plc:alice/app.bsky.feed.post/q', cid: 'cid-q' };
+    const imagesEmbed = { $type: 'app.bsky.embed.images', images: [] };
+
+    test('should return nothing for a plain post', () => {
+      expect(buildEmbed(undefined, undefined)).toBeUndefined();
+    });
+
+    test('should embed images alone', () => {
+      expect(buildEmbed(imagesEmbed, undefined)).toBe(imagesEmbed);
+    });
+
+    test('should embed a quoted record', () => {
+      expect(buildEmbed(undefined, quoteRef)).toEqual({ $type: 'app.bsky.embed.record', record: quoteRef });
+    });
+
+    test('should combine a quote with images', () => {
+      expect(buildEmbed(imagesEmbed, quoteRef)).toEqual({
+        $type: 'app.bsky.embed.recordWithMedia',
+        record: { $type: 'app.bsky.embed.record', record: quoteRef },
+        media: imagesEmbed
+      });
+    });
+  });
+
+  describe('detectFacets', () => {
+    test('should return undefined for plain text', async () => {
+      expect(await detectFacets('Just a post', createAgent())).toBeUndefined();
+    });
+
+    test('should resolve mentions to DIDs', async () => {
+      const agent = createAgent({ 'alice.bsky.social': 'did:plc:alice' });
+      const text = 'Hello @alice.bsky.social!';
+
+      const facets = await detectFacets(text, agent);
+
+      expect(facets).toHaveLength(1);
+      expect(facets[0].features[0]).toEqual({
+        $type: 'app.bsky.richtext.facet#mention',
+        did: 'did:plc:alice'
+      });
+      expect(facetText(text, facets[0])).toBe('@alice.bsky.social');
+    });
+
+    test('should drop mentions that cannot be resolved', async () => {
+      const facets = await detectFacets('Hi @nobody.example.com', createAgent());
+
+      expect(facets).toBeUndefined();
+    });
+
+    test('should detect links and hashtags', async () => {
+      const text = 'Read https://atproto.com #atproto';
+
+      const facets = await detectFacets(text, createAgent());
+      const types = facets.map(facet => facet.features[0].$type);
+
+      expect(types).toEqual(['app.bsky.richtext.facet#link', 'app.bsky.richtext.facet#tag']);
+      expect(facets[0].features[0].uri).toBe('https://atproto.com');
+      expect(facets[1].features[0].tag).toBe('atproto');
+    });
+
+    test('should use UTF-8 byte offsets after multi-byte characters', async () => {
+      const text = 'Héllo 🦋 #bluesky';
+
+      const facets = await detectFacets(text, createAgent());
+
+      // "Héllo 🦋 " is 8 characters but 12 bytes in UTF-8
+      expect(facets[0].index).toEqual({ byteStart: 12, byteEnd: 20 });
+      expect(facetText(text, facets[0])).toBe('#bluesky');
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Unit tests for the profile service
+ * Tests actor validation, profile normalization, author feeds and follower lists
+ */
+
+jest.mock('../../utils/agent', () => ({ getAgent: jest.fn() }));
+
+const { getAgent } = require('../../utils/agent');
+const {
+  validateActor,
+  normalizeProfile,
+  getProfile,
+  getAuthorFeed,
+  getFollowers,
+  getFollows
+} = require('../../features/profile/profile.service');
+
+const profileView = {
+  did: 'did:plc:alice',
+  handle: 'alice.test',
+  displayName: 'Alice',
+  description: 'Hi there',
+  avatar: 'https://example.com/alice.jpg',
+  banner: 'https://example.com/banner.jpg',
+  followersCount: 10,
+  followsCount: 5,
+  postsCount: 42,
+  viewer: { following: 'at://did:plc:bob/app.bsky.graph.follow/1', muted: false }
+};
+
+function xrpcError(error) {
+  return Object.assign(new Error(error), { error });
+}
+
+describe('Profile Service', () => {
+  afterEach(() => {
+    getAgent.mockReset();
+  });
+
+  describe('validateActor', () => {
+    test('should accept handles and DIDs', () => {
+      expect(validateActor('alice.bsky.social')).toEqual({ valid: true });
+      expect(validateActor('did:plc:abc123')).toEqual({ valid: true });
+      expect(validateActor('did:web:example.com')).toEqual({ valid: true });
+    });
+
+    test('should reject anything else', () => {
+      expect(validateActor('alice').valid).toBe(false);
+      expect(validateActor('@alice.bsky.social').valid).toBe(false);
+      expect(validateActor('../admin').valid).toBe(false);
+      expect(validateActor(undefined).valid).toBe(false);
+    });
+  });
+
+  describe('normalizeProfile', () => {
+    test('should include counts, banner, description and follow state', () => {
+      expect(normalizeProfile(profileView)).toEqual({
+        did: 'did:plc:alice',
+        handle: 'alice.test',
+        displayName: 'Alice',
+        description: 'Hi there',
+        avatar: 'https://example.com/alice.jpg',
+        banner: 'https://example.com/banner.jpg',
+        followersCount: 10,
+        followsCount: 5,
+        postsCount: 42,
+        viewer: {
+          following: 'at://did:plc:bob/app.bsky.graph.follow/1',
+          followedBy: null,
+          blocking: false,
+          blockedBy: false,
+          muted: false
+        }
+      });
+    });
+
+    test('should fill in defaults for sparse profiles', () => {
+      const profile = normalizeProfile({ did: 'did:plc:new', handle: 'new.test' });
+
+      expect(profile.displayName).toBe('new.test');
+      expect(profile.description).toBe('');
+      expect(profile.followersCount).toBe(0);
+      expect(profile.viewer.following).toBeNull();
+    });
+  });
+
+  describe('getProfile', () => {
+    test('should return the normalized profile', async () => {
+      getAgent.mockResolvedValue({ getProfile: jest.fn(async () => ({ data: profileView })) });
+
+      expect((await getProfile('did:plc:bob', {}, 'alice.test')).postsCount).toBe(42);
+    });
+
+    test('should return an error for unknown or blocked profiles', async () => {
+      getAgent.mockResolvedValue({ getProfile: jest.fn(async () => { throw xrpcError('InvalidRequest'); }) });
+      expect(await getProfile('did:plc:bob', {}, 'nobody.test')).toEqual({ error: 'Profile not found' });
+
+      getAgent.mockResolvedValue({ getProfile: jest.fn(async () => { throw xrpcError('BlockedByActor'); }) });
+      expect((await getProfile('did:plc:bob', {}, 'alice.test')).error).toContain('blocked you');
+    });
+
+    test('should rethrow other errors', async () => {
+      getAgent.mockResolvedValue({ getProfile: jest.fn(async () => { throw new Error('fetch failed'); }) });
+
+      await expect(getProfile('did:plc:bob', {}, 'alice.test')).rejects.toThrow('fetch failed');
+    });
+
+    test('should report an expired session', async () => {
+      getAgent.mockResolvedValue(null);
+
+      expect(await getProfile('did:plc:bob', {}, 'alice.test')).toEqual({ error: 'Session expired', expired: true });
+    });
+  });
+
+  describe('getAuthorFeed', () => {
+    test('should pass the filter and normalize posts', async () => {
+      const agent = {
+        getAuthorFeed: jest.fn(async () => ({
+          data: {
+            feed: [{
+              post: {
+                uri: 'at://did:plc:alice/app.bsky.feed.post/1',
+                cid: 'cid-1',
+                author: profileView,
+                record: { text: 'Hello', createdAt: '2026-01-01T00:00:00.000Z' }
+              }
+            }],
+            cursor: 'next'
+          }
+        }))
+      };
+      getAgent.mockResolvedValue(agent);
+
+      const result = await getAuthorFeed('did:plc:bob', {}, 'alice.test', { filter: 'posts_with_media', limit: 10 });
+
+      expect(agent.getAuthorFeed).toHaveBeenCalledWith({ actor: 'alice.test', filter: 'posts_with_media', cursor: undefined, limit: 10 });
+      expect(result.posts[0]).toMatchObject({ text: 'Hello', author: { handle: 'alice.test' } });
+      expect(result.cursor).toBe('next');
+    });
+
+    test('should return an error when the author is blocked', async () => {
+      getAgent.mockResolvedValue({ getAuthorFeed: jest.fn(async () => { throw xrpcError('BlockedActor'); }) });
+
+      expect(await getAuthorFeed('did:plc:bob', {}, 'alice.test')).toEqual({ error: 'You have blocked this account' });
+    });
+
+    test('should report an expired session', async () => {
+      getAgent.mockResolvedValue(null);
+
+      expect(await getAuthorFeed('did:plc:bob', {}, 'alice.test')).toEqual({ error: 'Session expired', expired: true });
+    });
+  });
+
+  describe('getFollowers and getFollows', () => {
+    test('should return accounts with the viewer follow state and a cursor', async () => {
+      const agent = {
+        getFollowers: jest.fn(async () => ({ data: { subject: profileView, followers: [profileView], cursor: 'next' } }))
+      };
+      getAgent.mockResolvedValue(agent);
+
+      const result = await getFollowers('did:plc:bob', {}, 'alice.test', 'abc', 25);
+
+      expect(agent.getFollowers).toHaveBeenCalledWith({ actor: 'alice.test', cursor: 'abc', limit: 25 });
+      expect(result).toEqual({
+        actors: [{
+          did: 'did:plc:alice',
+          handle: 'alice.test',
+          displayName: 'Alice',
+          description: 'Hi there',
+          avatar: 'https://example.com/alice.jpg',
+          viewer: { following: 'at://did:plc:bob/app.bsky.graph.follow/1', followedBy: null }
+        }],
+        cursor: 'next'
+      });
+    });
+
+    test('should return a null cursor on the last page', async () => {
+      getAgent.mockResolvedValue({ getFollows: jest.fn(async () => ({ data: { subject: profileView, follows: [] } })) });
+
+      expect(await getFollows('did:plc:bob', {}, 'alice.test')).toEqual({ actors: [], cursor: null });
+    });
+
+    test('should return an error for unknown profiles', async () => {
+      getAgent.mockResolvedValue({ getFollows: jest.fn(async () => { throw xrpcError('InvalidRequest'); }) });
+
+      expect(await getFollows('did:plc:bob', {}, 'nobody.test')).toEqual({ error: 'Profile not found' });
+    });
+
+    test('should report an expired session', async () => {
+      getAgent.mockResolvedValue(null);
+
+      expect(await getFollowers('did:plc:bob', {}, 'alice.test')).toEqual({ error: 'Session expired', expired: true });
+      expect(await getFollows('did:plc:bob', {}, 'alice.test')).toEqual({ error: 'Session expired', expired: true });
+    });
+  });
+});
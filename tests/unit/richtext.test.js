@@ -0,0 +1,58 @@
+/**
+ * Unit tests for frontend rich text rendering
+ * Tests HTML escaping and facet links in post text
+ */
+
+const { escapeHtml, renderRichText, facetHref } = require('../../public/js/richtext');
+
+function linkFacet(text, segment, uri) {
+  const byteStart = Buffer.byteLength(text.slice(0, text.indexOf(segment)));
+  return {
+    index: { byteStart, byteEnd: byteStart + Buffer.byteLength(segment) },
+    features: [{ $type: 'app.bsky.richtext.facet#link', uri }]
+  };
+}
+
+describe('Rich Text', () => {
+  describe('escapeHtml', () => {
+    test('should escape markup and both quote characters', () => {
+      expect(escapeHtml(`<a href="x" title='y'>&</a>`))
+        .toBe('&#60;a href=&#34;x&#34; title=&#39;y&#39;&#62;&#38;&#60;/a&#62;');
+    });
+  });
+
+  describe('renderRichText', () => {
+    test('should link facets with UTF-8 byte offsets', () => {
+      const text = '✨ see example.com';
+      const html = renderRichText(text, [linkFacet(text, 'example.com', 'https://example.com')]);
+
+      expect(html).toBe('✨ see <a href="https://example.com/" target="_blank" rel="noopener noreferrer">example.com</a>');
+    });
+
+    test('should not let a quote in a facet URI break out of the href', () => {
+      const text = 'click here';
+      const html = renderRichText(text, [linkFacet(text, 'here', 'https://x" onmouseover="alert(document.cookie)')]);
+
+      expect(html).not.toContain('onmouseover="');
+      expect(html).toBe('click here');
+    });
+
+    test('should keep quotes in a valid URL inside the attribute', () => {
+      const text = 'click here';
+      const html = renderRichText(text, [linkFacet(text, 'here', 'https://example.com/?q="x"\'y\'')]);
+
+      expect(html).not.toMatch(/href="[^"]*"[^ >]/);
+      expect(html).not.toContain('"x"');
+    });
+  });
+
+  describe('facetHref', () => {
+    test('should only allow http(s) links', () => {
+      const link = (uri) => facetHref({ $type: 'app.bsky.richtext.facet#link', uri });
+
+      expect(link('javascript:alert(1)')).toBeNull();
+      expect(link('not a url')).toBeNull();
+      expect(link('HTTPS://Example.com/a')).toBe('https://example.com/a');
+    });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Unit tests for OAuth scope configuration
+ * Tests the requested scope presets and granted scope checks
+ */
+
+const { SCOPE_PRESETS, getRequestedScope, grantsPermission, getUpgradeScope } = require('../../config/scopes');
+
+describe('OAuth Scopes', () => {
+  describe('getRequestedScope', () => {
+    test('should request generic access without chat by default', () => {
+      expect(getRequestedScope({})).toBe('atproto transition:generic');
+    });
+
+    test('should use the configured preset', () => {
+      const scope = getRequestedScope({ OAUTH_SCOPE_PRESET: 'read-only', OAUTH_EXTRA_SCOPES: '' });
+
+      expect(scope).toBe(SCOPE_PRESETS['read-only']);
+      expect(scope.startsWith('atproto ')).toBe(true);
+    });
+
+    test('should append extra scopes without duplicates', () => {
+      const scope = getRequestedScope({
+        OAUTH_SCOPE_PRESET: 'generic',
+        OAUTH_EXTRA_SCOPES: ' transition:generic  repo:app.bsky.graph.block '
+      });
+
+      expect(scope).toBe('atproto transition:generic repo:app.bsky.graph.block');
+    });
+
+    test('should reject unknown presets', () => {
+      expect(() => getRequestedScope({ OAUTH_SCOPE_PRESET: 'everything' })).toThrow('Unknown OAUTH_SCOPE_PRESET');
+    });
+  });
+
+  describe('grantsPermission', () => {
+    const createPost = { collection: 'app.bsky.feed.post', action: 'create' };
+
+    test('should grant everything with transition:generic', () => {
+      expect(grantsPermission('atproto transition:generic', createPost)).toBe(true);
+      expect(grantsPermission('atproto transition:generic', { blob: 'image/png' })).toBe(true);
+    });
+
+    test('should grant nothing without a repo scope', () => {
+      expect(grantsPermission('atproto', createPost)).toBe(false);
+      expect(grantsPermission(SCOPE_PRESETS['read-only'], createPost)).toBe(false);
+      expect(grantsPermission(null, createPost)).toBe(false);
+    });
+
+    test('should grant every action when a repo scope lists none', () => {
+      const scope = SCOPE_PRESETS.posting;
+
+      expect(grantsPermission(scope, createPost)).toBe(true);
+      expect(grantsPermission(scope, { collection: 'app.bsky.feed.post', action: 'delete' })).toBe(true);
+      expect(grantsPermission(scope, { collection: 'app.bsky.feed.like', action: 'create' })).toBe(false);
+    });
+
+    test('should only grant the listed actions', () => {
+      const scope = 'atproto repo:app.bsky.feed.post?action=create';
+
+      expect(grantsPermission(scope, createPost)).toBe(true);
+      expect(grantsPermission(scope, { collection: 'app.bsky.feed.post', action: 'update' })).toBe(false);
+    });
+
+    test('should support the collection query form and wildcards', () => {
+      const scope = 'atproto repo?collection=app.bsky.feed.like&collection=app.bsky.feed.repost&action=create';
+
+      expect(grantsPermission(scope, { collection: 'app.bsky.feed.repost', action: 'create' })).toBe(true);
+      expect(grantsPermission(scope, createPost)).toBe(false);
+      expect(grantsPermission('atproto repo:*', createPost)).toBe(true);
+    });
+
+    test('should match blob uploads by MIME type', () => {
+      expect(grantsPermission('atproto blob:image/*', { blob: 'image/jpeg' })).toBe(true);
+      expect(grantsPermission('atproto blob:image/*', { blob: 'video/mp4' })).toBe(false);
+      expect(grantsPermission('atproto blob?accept=video/*&accept=image/png', { blob: 'image/png' })).toBe(true);
+    });
+
+    test('should only grant chat with the chat scope', () => {
+      expect(grantsPermission('atproto transition:generic', { chat: true })).toBe(false);
+      expect(grantsPermission('atproto transition:chat.bsky', { chat: true })).toBe(true);
+    });
+  });
+
+  describe('getUpgradeScope', () => {
+    let originalEnv;
+
+    beforeEach(() => {
+      originalEnv = { ...process.env };
+    });
+
+    afterEach(() => {
+      process.env = originalEnv;
+    });
+
+    test('should list the configured scopes that grant the permission', () => {
+      process.env.OAUTH_SCOPE_PRESET = 'posting';
+      process.env.OAUTH_EXTRA_SCOPES = 'transition:chat.bsky';
+
+      expect(getUpgradeScope({ collection: 'app.bsky.feed.post', action: 'create' })).toBe('repo:app.bsky.feed.post');
+      expect(getUpgradeScope({ chat: true })).toBe('transition:chat.bsky');
+    });
+
+    test('should return null when the deployment never requests the permission', () => {
+      process.env.OAUTH_SCOPE_PRESET = 'read-only';
+      process.env.OAUTH_EXTRA_SCOPES = '';
+
+      expect(getUpgradeScope({ collection: 'app.bsky.feed.like', action: 'create' })).toBeNull();
+      expect(getUpgradeScope({ chat: true })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Unit tests for the search service
+ * Tests query and filter validation, and normalization of search results
+ */
+
+jest.mock('../../utils/agent', () => ({ getAgent: jest.fn(), getPublicAgent: jest.fn() }));
+
+const { getAgent, getPublicAgent } = require('../../utils/agent');
+const {
+  validateQuery,
+  validatePostFilters,
+  searchPosts,
+  searchActors,
+  typeaheadActors,
+  suggestLoginActors
+} = require('../../features/search/search.service');
+
+const author = { did: 'did:plc:alice', handle: 'alice.test', displayName: 'Alice' };
+
+describe('Search Service', () => {
+  afterEach(() => {
+    getAgent.mockReset();
+    getPublicAgent.mockReset();
+  });
+
+  describe('validateQuery', () => {
+    test('should accept a query', () => {
+      expect(validateQuery('atproto')).toEqual({ valid: true });
+    });
+
+    test('should reject empty, missing or overly long queries', () => {
+      expect(validateQuery('   ').valid).toBe(false);
+      expect(validateQuery(undefined).valid).toBe(false);
+      expect(validateQuery(['a', 'b']).valid).toBe(false);
+      expect(validateQuery('a'.repeat(257)).valid).toBe(false);
+    });
+  });
+
+  describe('validatePostFilters', () => {
+    test('should accept no filters', () => {
+      expect(validatePostFilters({})).toEqual({ valid: true });
+    });
+
+    test('should accept valid filters', () => {
+      expect(validatePostFilters({
+        sort: 'latest',
+        author: 'alice.test',
+        since: '2026-01-01',
+        until: '2026-02-01T00:00:00Z',
+        lang: 'pt-BR'
+      })).toEqual({ valid: true });
+    });
+
+    test('should reject invalid filters', () => {
+      expect(validatePostFilters({ sort: 'oldest' }).error).toContain('sort');
+      expect(validatePostFilters({ author: 'not a handle' }).error).toBe('Invalid author');
+      expect(validatePostFilters({ since: 'yesterday' }).error).toBe('Invalid since date');
+      expect(validatePostFilters({ until: 'soon' }).error).toBe('Invalid until date');
+      expect(validatePostFilters({ lang: 'English' }).error).toBe('Invalid language');
+    });
+  });
+
+  describe('searchPosts', () => {
+    test('should pass filters through and normalize posts', async () => {
+      const search = jest.fn(async () => ({
+        data: {
+          posts: [{
+            uri: 'at://did:plc:alice/app.bsky.feed.post/1',
+            cid: 'cid-1',
+            author,
+            record: { text: 'About atproto', createdAt: '2026-01-01T00:00:00.000Z' }
+          }],
+          cursor: '25'
+        }
+      }));
+      getAgent.mockResolvedValue({ app: { bsky: { feed: { searchPosts: search } } } });
+
+      const result = await searchPosts('did:plc:bob', {}, 'atproto', { sort: 'latest', since: '2026-01-01', lang: 'en', limit: 10 });
+
+      expect(search).toHaveBeenCalledWith({
+        q: 'atproto',
+        sort: 'latest',
+        author: undefined,
+        since: '2026-01-01T00:00:00.000Z',
+        until: undefined,
+        lang: 'en',
+        cursor: undefined,
+        limit: 10
+      });
+      expect(result.posts[0]).toMatchObject({ text: 'About atproto', viewer: { like: null, repost: null } });
+      expect(result.cursor).toBe('25');
+    });
+  });
+
+  describe('searchActors', () => {
+    test('should normalize accounts with follow state', async () => {
+      getAgent.mockResolvedValue({
+        searchActors: jest.fn(async () => ({ data: { actors: [{ ...author, viewer: { followedBy: 'at://x' } }] } }))
+      });
+
+      const result = await searchActors('did:plc:bob', {}, 'alice');
+
+      expect(result.actors[0]).toMatchObject({ handle: 'alice.test', viewer: { following: null, followedBy: 'at://x' } });
+      expect(result.cursor).toBeNull();
+    });
+  });
+
+  describe('typeaheadActors', () => {
+    test('should ignore a leading @', async () => {
+      const typeahead = jest.fn(async () => ({ data: { actors: [author] } }));
+      getAgent.mockResolvedValue({ searchActorsTypeahead: typeahead });
+
+      const result = await typeaheadActors('did:plc:bob', {}, '@ali', 5);
+
+      expect(typeahead).toHaveBeenCalledWith({ q: 'ali', limit: 5 });
+      expect(result.actors).toEqual([{ did: 'did:plc:alice', handle: 'alice.test', displayName: 'Alice', avatar: undefined }]);
+    });
+  });
+
+  test('should report an expired session', async () => {
+    getAgent.mockResolvedValue(null);
+    const expired = { error: 'Session expired', expired: true };
+
+    expect(await searchPosts('did:plc:bob', {}, 'hello')).toEqual(expired);
+    expect(await searchActors('did:plc:bob', {}, 'alice')).toEqual(expired);
+    expect(await typeaheadActors('did:plc:bob', {}, 'ali')).toEqual(expired);
+  });
+
+  describe('suggestLoginActors', () => {
+    test('should look up the typed handle on the public AppView', async () => {
+      const typeahead = jest.fn(async () => ({ data: { actors: [{ ...author, avatar: 'https://cdn.example/a.jpg' }] } }));
+      getPublicAgent.mockReturnValue({ searchActorsTypeahead: typeahead });
+
+      const result = await suggestLoginActors(' @alice.te ', 6);
+
+      expect(typeahead).toHaveBeenCalledWith({ q: 'alice.te', limit: 6 });
+      expect(result.actors[0]).toEqual({ ...author, avatar: 'https://cdn.example/a.jpg' });
+    });
+
+    test('should not look up short input, DIDs or server URLs', async () => {
+      for (const q of ['a', 'did:plc:ewvi7nxzyoun6zhxrhs64oiz', 'https://bsky.social']) {
+        expect(await suggestLoginActors(q)).toEqual({ actors: [] });
+      }
+      expect(getPublicAgent).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Unit tests for thread normalization
+ * Tests flattening of parents, nested replies and unavailable posts
+ */
+
+jest.mock('../../utils/agent', () => ({ getAgent: jest.fn() }));
+
+const { getAgent } = require('../../utils/agent');
+const { normalizeThread, getThread } = require('../../features/thread/thread.service');
+
+const author = {
+  did: 'did:plc:alice',
+  handle: 'alice.test',
+  displayName: 'Alice'
+};
+
+function createPostView(id) {
+  return {
+    uri: `at://did:plc:alice/app.bsky.feed.post/${id}`,
+    cid: `cid-${id}`,
+    author,
+    record: { text: `Post ${id}`, createdAt: '2026-01-01T00:00:00.000Z' }
+  };
+}
+
+function threadNode(id, extra = {}) {
+  return { $type: 'app.bsky.feed.defs#threadViewPost', post: createPostView(id), ...extra };
+}
+
+const notFound = { $type: 'app.bsky.feed.defs#notFoundPost', uri: 'at://did:plc:bob/app.bsky.feed.post/gone', notFound: true };
+const blocked = {
+  $type: 'app.bsky.feed.defs#blockedPost',
+  uri: 'at://did:plc:mallory/app.bsky.feed.post/x',
+  blocked: true,
+  author: { did: 'did:plc:mallory', viewer: {} }
+};
+
+describe('Thread Normalization', () => {
+  describe('normalizeThread', () => {
+    test('should flatten parents root first', () => {
+      const thread = threadNode('3', { parent: threadNode('2', { parent: threadNode('1') }) });
+
+      const result = normalizeThread(thread);
+
+      expect(result.parents.map(post => post.text)).toEqual(['Post 1', 'Post 2']);
+      expect(result.post.text).toBe('Post 3');
+      expect(result.replies).toEqual([]);
+    });
+
+    test('should nest replies with the feed post shape', () => {
+      const thread = threadNode('1', {
+        replies: [threadNode('2', { replies: [threadNode('3')] }), threadNode('4')]
+      });
+
+      const result = normalizeThread(thread);
+
+      expect(result.replies).toHaveLength(2);
+      expect(result.replies[0]).toMatchObject({ text: 'Post 2', likeCount: 0, viewer: { like: null, repost: null } });
+      expect(result.replies[0].replies[0].text).toBe('Post 3');
+      expect(result.replies[1].replies).toEqual([]);
+    });
+
+    test('should keep placeholders for deleted and blocked nodes', () => {
+      const thread = threadNode('2', { parent: notFound, replies: [blocked, threadNode('3')] });
+
+      const result = normalizeThread(thread);
+
+      expect(result.parents).toEqual([{ uri: notFound.uri, notFound: true }]);
+      expect(result.replies[0]).toEqual({ uri: blocked.uri, blocked: true, author: { did: 'did:plc:mallory' } });
+      expect(result.replies[1].text).toBe('Post 3');
+    });
+
+    test('should stop at a blocked parent', () => {
+      const thread = threadNode('3', { parent: blocked });
+
+      expect(normalizeThread(thread).parents).toEqual([
+        { uri: blocked.uri, blocked: true, author: { did: 'did:plc:mallory' } }
+      ]);
+    });
+
+    test('should skip unknown node types', () => {
+      const thread = threadNode('1', { replies: [{ $type: 'app.bsky.feed.defs#somethingNew' }] });
+
+      expect(normalizeThread(thread).replies).toEqual([]);
+    });
+
+    test('should return an error when the post itself is unavailable', () => {
+      expect(normalizeThread(notFound)).toEqual({ error: 'Post not found' });
+      expect(normalizeThread(blocked)).toEqual({ error: 'Post is blocked' });
+    });
+  });
+
+  describe('getThread', () => {
+    afterEach(() => {
+      getAgent.mockReset();
+    });
+
+    test('should request the thread with the given depth', async () => {
+      const agent = { getPostThread: jest.fn(async () => ({ data: { thread: threadNode('1') } })) };
+      getAgent.mockResolvedValue(agent);
+
+      const result = await getThread('did:plc:bob', {}, 'at://did:plc:alice/app.bsky.feed.post/1', 3);
+
+      expect(agent.getPostThread).toHaveBeenCalledWith({ uri: 'at://did:plc:alice/app.bsky.feed.post/1', depth: 3 });
+      expect(result.post.text).toBe('Post 1');
+    });
+
+    test('should return an error for deleted posts', async () => {
+      const agent = {
+        getPostThread: jest.fn(async () => {
+          throw Object.assign(new Error('Post not found'), { error: 'NotFound' });
+        })
+      };
+      getAgent.mockResolvedValue(agent);
+
+      expect(await getThread('did:plc:bob', {}, 'at://did:plc:alice/app.bsky.feed.post/1')).toEqual({ error: 'Post not found' });
+    });
+
+    test('should report an expired session', async () => {
+      getAgent.mockResolvedValue(null);
+
+      expect(await getThread('did:plc:bob', {}, 'at://did:plc:alice/app.bsky.feed.post/1')).toEqual({ error: 'Session expired', expired: true });
+    });
+  });
+});
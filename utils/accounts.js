@@ -0,0 +1,242 @@
+/**
+ * Account Utilities
+ *
+ * Helper functions for tracking which accounts are signed in on this browser.
+ * Each signed-in account has a server-side browser session; the browser only
+ * holds opaque session IDs in signed cookies. A browser can link several
+ * accounts; one of them is the active account that API routes act for.
+ */
+
+const db = require('../db');
+const { grantsPermission, getUpgradeScope } = require('../config/scopes');
+
+const ACTIVE_COOKIE = 'session_id';
+const LINKED_COOKIE = 'linked_sessions';
+const MAX_LINKED_ACCOUNTS = 5;
+// Only record activity once a minute to avoid a write on every request
+const TOUCH_INTERVAL = 60 * 1000;
+
+const cookieOptions = {
+    httpOnly: true,
+    signed: true,
+    maxAge: db.BROWSER_SESSION_ABSOLUTE_TIMEOUT,
+    sameSite: 'lax', // Must be lax for top-level navigation (redirect from PDS)
+    secure: true
+};
+
+/**
+ * Read session IDs from the signed cookies (active session first)
+ * @param {Object} req - Express request
+ * @returns {string[]} Session IDs
+ */
+function readSessionIds(req) {
+    const activeId = req.signedCookies?.[ACTIVE_COOKIE];
+    const raw = req.signedCookies?.[LINKED_COOKIE];
+    const linked = typeof raw === 'string' ? raw.split(',').filter(Boolean) : [];
+
+    if (typeof activeId !== 'string' || !activeId) {
+        return linked;
+    }
+    return [activeId, ...linked.filter(id => id !== activeId)];
+}
+
+/**
+ * Write the session cookies for the given browser sessions
+ * @param {Object} res - Express response
+ * @param {Object[]} sessions - Browser sessions (active session first)
+ */
+function writeCookies(res, sessions) {
+    if (sessions.length === 0) {
+        res.clearCookie(ACTIVE_COOKIE);
+        res.clearCookie(LINKED_COOKIE);
+        return;
+    }
+
+    res.cookie(ACTIVE_COOKIE, sessions[0].id, cookieOptions);
+    res.cookie(LINKED_COOKIE, sessions.map(session => session.id).join(','), cookieOptions);
+}
+
+/**
+ * Middleware: resolve the session cookies into req.browserSessions
+ * Expired or revoked sessions are dropped, and activity is recorded.
+ */
+async function loadAccounts(req, res, next) {
+    const ids = readSessionIds(req);
+    req.browserSessions = [];
+
+    if (ids.length === 0) {
+        return next();
+    }
+
+    try {
+        const store = db.browserSessionStore;
+        const found = await Promise.all(ids.map(id => store.get(id)));
+        const now = Date.now();
+
+        const sessions = await Promise.all(found.filter(Boolean).map(session => {
+            if (now - session.lastSeenAt < TOUCH_INTERVAL) {
+                return session;
+            }
+            return store.touch(session.id, { ip: req.ip, userAgent: req.get('user-agent') });
+        }));
+        req.browserSessions = sessions.filter(Boolean);
+
+        // Forget sessions that expired or were signed out from another device
+        if (req.browserSessions.length !== ids.length) {
+            writeCookies(res, req.browserSessions);
+        }
+
+        next();
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Get the active browser session
+ * @param {Object} req - Express request (after loadAccounts)
+ * @returns {Object|undefined} Active session, or undefined if not signed in
+ */
+function getActiveSession(req) {
+    return req.browserSessions?.[0];
+}
+
+/**
+ * Get the active account's DID
+ * @param {Object} req - Express request (after loadAccounts)
+ * @returns {string|undefined} Active DID, or undefined if not signed in
+ */
+function getActiveDid(req) {
+    return getActiveSession(req)?.did;
+}
+
+/**
+ * Get all DIDs linked to this browser (active account first)
+ * @param {Object} req - Express request (after loadAccounts)
+ * @returns {string[]} Linked DIDs
+ */
+function getLinkedDids(req) {
+    return (req.browserSessions || []).map(session => session.did);
+}
+
+/**
+ * Start a browser session for a newly signed-in account and make it active
+ * @param {Object} req - Express request (after loadAccounts)
+ * @param {Object} res - Express response
+ * @param {string} did - DID that just completed login
+ * @param {string|null} [scope] - OAuth scope the DID granted
+ * @returns {Promise<Object>} The new browser session
+ */
+async function addAccount(req, res, did, scope) {
+    const store = db.browserSessionStore;
+    const previous = req.browserSessions || [];
+
+    // Signing in again replaces this browser's old session for the same DID
+    await Promise.all(previous.filter(session => session.did === did).map(session => store.del(session.id)));
+
+    const session = await store.create({ did, ip: req.ip, userAgent: req.get('user-agent'), scope });
+
+    // The OAuth session is shared with the DID's other browsers, so they now have this scope too
+    await store.setScope(did, session.scope);
+    const sessions = [session, ...previous.filter(existing => existing.did !== did)];
+
+    // Sign out the least recently added accounts beyond the limit
+    await Promise.all(sessions.slice(MAX_LINKED_ACCOUNTS).map(dropped => store.del(dropped.id)));
+
+    req.browserSessions = sessions.slice(0, MAX_LINKED_ACCOUNTS);
+    writeCookies(res, req.browserSessions);
+    return session;
+}
+
+/**
+ * Make a linked account active
+ * @param {Object} req - Express request (after loadAccounts)
+ * @param {Object} res - Express response
+ * @param {string} did - DID to switch to
+ * @returns {boolean} False if the DID is not linked to this browser
+ */
+function switchAccount(req, res, did) {
+    const sessions = req.browserSessions || [];
+    const target = sessions.find(session => session.did === did);
+    if (!target) {
+        return false;
+    }
+
+    req.browserSessions = [target, ...sessions.filter(session => session !== target)];
+    writeCookies(res, req.browserSessions);
+    return true;
+}
+
+/**
+ * End this browser's session for an account; if it was active, the next linked account becomes active
+ * @param {Object} req - Express request (after loadAccounts)
+ * @param {Object} res - Express response
+ * @param {string} did - DID to remove
+ * @returns {Promise<string|undefined>} The active DID afterwards, if any account remains
+ */
+async function removeAccount(req, res, did) {
+    const sessions = req.browserSessions || [];
+    const store = db.browserSessionStore;
+
+    await Promise.all(sessions.filter(session => session.did === did).map(session => store.del(session.id)));
+
+    req.browserSessions = sessions.filter(session => session.did !== did);
+    writeCookies(res, req.browserSessions);
+    return getActiveDid(req);
+}
+
+/**
+ * Check whether the active account granted a permission
+ * Sessions from before scopes were recorded are assumed to have it, leaving the PDS to decide.
+ * @param {Object} req - Express request (after loadAccounts)
+ * @param {Object} permission - Permission for grantsPermission (e.g. { collection, action })
+ * @returns {boolean}
+ */
+function hasScope(req, permission) {
+    const scope = getActiveSession(req)?.scope;
+    return !scope || grantsPermission(scope, permission);
+}
+
+/**
+ * Answer 403 with a machine-readable insufficient_scope error
+ * scope lists what to request from /login/upgrade (null if no upgrade can grant it).
+ * @param {Object} res - Express response
+ * @param {Object} permission - Permission the route needed
+ * @param {string} [message='Scope not granted'] - Error message to show
+ */
+function insufficientScope(res, permission, message = 'Scope not granted') {
+    return res.status(403).json({
+        error: message,
+        code: 'insufficient_scope',
+        scope: getUpgradeScope(permission)
+    });
+}
+
+/**
+ * Middleware factory: answer 403 when the active account didn't grant a permission
+ * Requests without an active account pass through so the route can answer 401.
+ * @param {Object} permission - Permission for grantsPermission
+ * @returns {Function} Express middleware
+ */
+function requireScope(permission) {
+    return (req, res, next) => {
+        if (getActiveSession(req) && !hasScope(req, permission)) {
+            return insufficientScope(res, permission);
+        }
+        next();
+    };
+}
+
+module.exports = {
+    MAX_LINKED_ACCOUNTS,
+    loadAccounts,
+    getActiveSession,
+    getActiveDid,
+    getLinkedDids,
+    addAccount,
+    switchAccount,
+    removeAccount,
+    hasScope,
+    insufficientScope,
+    requireScope
+};
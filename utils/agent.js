@@ -6,6 +6,11 @@
 
 const { Agent } = require('@atproto/api');
 
+// AppView used for requests made without a signed-in user
+const DEFAULT_PUBLIC_APPVIEW_URL = 'https://public.api.bsky.app';
+
+let publicAgent;
+
 /**
  * Get Agent for a given DID by restoring OAuth session
  * @param {string} did - User's DID
@@ -26,4 +31,16 @@ async function getAgent(did, oauthClient) {
     }
 }
 
-module.exports = { getAgent };
+/**
+ * Get an unauthenticated Agent for the public AppView
+ * The URL can be changed with PUBLIC_APPVIEW_URL.
+ * @returns {Agent} Shared Agent instance
+ */
+function getPublicAgent() {
+    if (!publicAgent) {
+        publicAgent = new Agent(process.env.PUBLIC_APPVIEW_URL || DEFAULT_PUBLIC_APPVIEW_URL);
+    }
+    return publicAgent;
+}
+
+module.exports = { getAgent, getPublicAgent };